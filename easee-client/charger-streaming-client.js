@@ -27,18 +27,23 @@
 
 module.exports = function(RED) {
   "use strict";
-  const signalR = require("@microsoft/signalr");
 
   class ChargerStreamingClientNode {
     constructor(n) {
       RED.nodes.createNode(this, n);
       const node = this;
       node.charger = n.charger;
+      node.allChargers = n.allChargers || false;
+      node.chargers = node.allChargers ? [] : ChargerStreamingClientNode.parseChargerList(n.charger);
       node.configurationNode = n.configuration;
       node.responses = n.responses;
       node.skipNegotiation = n.skipNegotiation !== undefined ? n.skipNegotiation : true;
       node.connectionConfig = RED.nodes.getNode(node.configurationNode);
       node.responses = n.responses;
+      node.stateOutput = n.stateOutput === true;
+      node.stateInterval = ChargerStreamingClientNode.parseSeconds(n.stateInterval, 10);
+      node.stateKeys = ChargerStreamingClientNode.parseChargerList(n.stateKeys);
+      node.states = new Map();
 
       // Use configuration node's logging if available, fallback to console
       node.logInfo = node.connectionConfig?.logInfo || function(msg, data) {
@@ -55,9 +60,7 @@ module.exports = function(RED) {
       node.logWarn = node.connectionConfig?.logWarn || function(msg, data) {
         console.warn(`[easee] WARN: ${msg}`, data || "");
       };
-      node.options = {};
-      node.reconnectInterval = 3000;
-      node.closing = false;
+      node.startTimeoutHandle = null;
 
       if (!this.connectionConfig) {
         node.emit("erro", {
@@ -84,23 +87,22 @@ module.exports = function(RED) {
         return;
       }
 
-      node.fullReconnect = () => {
-        node.connectionConfig
-          .ensureAuthentication()
-          .then((isAuthenticated) => {
-            if (isAuthenticated) {
-              node.startconn();
-            } else {
-              node.emit("erro", {
-                err: "Authentication failed during fullReconnect()"
-              });
-            }
-          })
-          .catch((e) => {
-            node.emit("erro", {
-              err: "Error during fullReconnect(): " + e.message
-            });
+      /**
+       * Register with the configuration node's shared hub connection.
+       * Registering again re-subscribes this node's chargers.
+       */
+      node.register = () => {
+        if (!node.allChargers && node.chargers.length === 0) {
+          node.emit("erro", {
+            err: "No charger, exiting"
           });
+          return;
+        }
+        node.logDebug("For chargers:", node.allChargers ? "all" : node.chargers.join(","));
+        node.connectionConfig.registerHubClient(node, {
+          allChargers: node.allChargers,
+          skipNegotiation: node.skipNegotiation
+        });
       };
 
       this.connectionConfig.on("update", (msg) => {
@@ -113,7 +115,7 @@ module.exports = function(RED) {
       });
 
       this.on("input", (msg, send, done) => {
-        node.fullReconnect();
+        node.register();
         if (done) {
           done();
         }
@@ -137,45 +139,140 @@ module.exports = function(RED) {
           null,
           null
         ]);
+      });
 
-        try {
-          node.connection.send("SubscribeWithCurrentState", node.charger, true);
-        } catch (error) {
-          easeeClient.logger.error("Error sending SubscribeWithCurrentState:", error);
-          node.emit("erro", {
-            err: `Failed to subscribe to charger updates: ${error.message}`,
-            id: event.id
+      this.on("subscribed", (event) => {
+        node.chargers = event.chargers;
+        node.status({
+          fill: "green",
+          shape: "dot",
+          text: event.chargers.length === 1 ? RED._("node-red:common.status.connected") : `Connected (${event.chargers.length} chargers)`
+        });
+      });
+
+      this.on("reconnecting", (event) => {
+        const seconds = Math.round(event.delay / 1000);
+        if (event.circuitOpen) {
+          node.status({
+            fill: "red",
+            shape: "ring",
+            text: `Circuit open - next attempt in ${Math.round(seconds / 60)} min`
+          });
+        } else {
+          node.status({
+            fill: "yellow",
+            shape: "ring",
+            text: `Reconnecting in ${seconds}s (attempt ${event.attempt})`
           });
         }
 
-        node.connection.on("ProductUpdate", (data) => {
-          try {
-            // Use the configuration node's parseObservation method
-            data = node.connectionConfig.parseObservation(data);
-            node.send([null, null, null, { payload: data }, null, null]);
-          } catch (error) {
-            easeeClient.logger.error("Error parsing ProductUpdate:", error);
-            // Send raw data if parsing fails
-            node.send([null, null, null, { payload: data }, null, null]);
+        node.send([
+          null,
+          { topic: "reconnect", payload: event },
+          null
+        ]);
+      });
+
+      /**
+       * Resolve which chargers to subscribe to. When "all chargers" is
+       * selected, the list is fetched from the account on every connect so
+       * newly added chargers are picked up after a reconnect.
+       *
+       * @returns {Promise<string[]>}
+       */
+      node.resolveChargers = async() => {
+        if (!node.allChargers) {
+          return ChargerStreamingClientNode.parseChargerList(n.charger);
+        }
+        const response = await node.connectionConfig.genericCall("/chargers");
+        if (!Array.isArray(response)) {
+          throw new Error("Unexpected response when listing chargers");
+        }
+        return response.map((charger) => charger.id).filter((id) => !!id);
+      };
+
+      /**
+       * Handle a message dispatched from the shared hub connection
+       *
+       * @param {string} type hub method name
+       * @param {object} data
+       * @param {string|null} charger charger ID the message belongs to
+       */
+      node.handleHubMessage = (type, data, charger) => {
+        switch (type) {
+          case "ProductUpdate":
+          case "ChargerUpdate": {
+            const outputs = [null, null, null, null, null, null];
+            const index = type === "ProductUpdate" ? 3 : 4;
+            try {
+              // Use the configuration node's parseObservation method
+              data = node.connectionConfig.parseObservation(data);
+            } catch (error) {
+              // Send raw data if parsing fails
+              node.logError(`Error parsing ${type}:`, error);
+            }
+            outputs[index] = { charger: charger, payload: data };
+            node.send(outputs);
+            if (node.stateOutput && charger !== null && data?.dataName) {
+              node.updateState(charger, data);
+            }
+            break;
           }
-        });
+          case "CommandResponse":
+            node.send([null, null, null, null, null, { charger: charger, payload: data }]);
+            break;
+        }
+      };
 
-        node.connection.on("ChargerUpdate", (data) => {
-          try {
-            // Use the configuration node's parseObservation method
-            data = node.connectionConfig.parseObservation(data);
-            node.send([null, null, null, null, { payload: data }, null]);
-          } catch (error) {
-            easeeClient.logger.error("Error parsing ChargerUpdate:", error);
-            // Send raw data if parsing fails
-            node.send([null, null, null, null, { payload: data }, null]);
+      /**
+       * Merge an observation into the state of its charger, and send the
+       * state right away when a key in stateKeys changed, or else at most
+       * every stateInterval seconds
+       *
+       * @param {string} charger
+       * @param {object} observation parsed observation
+       */
+      node.updateState = (charger, observation) => {
+        if (!node.states.has(charger)) {
+          node.states.set(charger, { values: {}, sentAt: Date.now(), timer: null });
+        }
+        const state = node.states.get(charger);
+        const previous = state.values[observation.dataName];
+        state.values[observation.dataName] = {
+          value: observation.value,
+          unit: observation.valueUnit,
+          valueText: observation.valueText,
+          timestamp: observation.timestamp ?? new Date().toISOString()
+        };
+
+        const changed = !previous || previous.value !== observation.value;
+        if (changed && node.stateKeys.includes(observation.dataName)) {
+          node.sendState(charger);
+        } else if (node.stateInterval > 0) {
+          if (!state.timer) {
+            state.timer = setTimeout(() => node.sendState(charger), Math.max(0, state.sentAt + node.stateInterval * 1000 - Date.now()));
           }
-        });
-        node.connection.on("CommandResponse", (data) => {
-          node.send([null, null, null, null, null, { payload: data }]);
-        });
-      });
+        } else if (node.stateKeys.length === 0) {
+          node.sendState(charger);
+        }
+      };
 
+      /**
+       * Send the merged state of a charger on the seventh output
+       *
+       * @param {string} charger
+       */
+      node.sendState = (charger) => {
+        const state = node.states.get(charger);
+        clearTimeout(state.timer);
+        state.timer = null;
+        state.sentAt = Date.now();
+        node.send([null, null, null, null, null, null, {
+          topic: "state",
+          charger: charger,
+          payload: { ...state.values }
+        }]);
+      };
 
       /**
        * Error event
@@ -231,12 +328,13 @@ module.exports = function(RED) {
       });
 
       this.on("close", (removed, done) => {
-        node.closing = true;
-        node.connection.stop();
-        if (node.reconnectTimoutHandle) {
-          clearTimeout(node.reconnectTimoutHandle);
-          node.reconnectTimoutHandle = null;
+        if (node.startTimeoutHandle) {
+          clearTimeout(node.startTimeoutHandle);
+          node.startTimeoutHandle = null;
         }
+        node.connectionConfig.unregisterHubClient(node);
+        node.states.forEach((state) => clearTimeout(state.timer));
+        node.states.clear();
 
         if (removed) {
           node.removeInputNode(node);
@@ -251,139 +349,39 @@ module.exports = function(RED) {
         }
       });
 
-      // Connect to remote endpoint
-      node.startconn = () => {
-        node.closing = false;
-        if (node.reconnectTimoutHandle) {
-          clearTimeout(node.reconnectTimoutHandle);
-        }
-        node.reconnectTimoutHandle = null;
-
-        if (!node.charger) {
-          node.emit("erro", {
-            err: "No charger, exiting"
-          });
-          return;
-        }
-        if (!node.connectionConfig.accessToken) {
-          node.emit("erro", {
-            err: "No accessToken, waiting"
-          });
-          node.reconnectTimoutHandle = setTimeout(
-            () => node.startconn(),
-            node.reconnectInterval
-          );
-          return;
-        }
-
-        node.logDebug("Establishing easee SignalR connection...");
-        node.logDebug("For hub:", node.connectionConfig.signalRpath);
-        node.logDebug("For charger:", node.charger);
-
-        // Configure SignalR options properly for v8+
-        const signalROptions = {
-          accessTokenFactory: () => {
-            const token = node.connectionConfig.accessToken;
-            node.logDebug("Providing access token for SignalR, length:", token ? token.length : 0);
-            return token;
-          }
-        };
-
-        // Add skipNegotiation option if enabled - requires WebSocket transport
-        if (node.skipNegotiation) {
-          signalROptions.skipNegotiation = true;
-          signalROptions.transport = signalR.HttpTransportType.WebSockets;
-          node.logDebug("SignalR negotiation disabled - forcing direct WebSocket connection");
-        }
-
-        // Some SignalR hubs require query parameters for authorization context
-        const signalRUrl = node.connectionConfig.signalRpath;
-        node.logDebug("Using SignalR URL:", signalRUrl);
-        node.logDebug("Skip negotiation:", node.skipNegotiation);
-
-        let connection;
-        try {
-          connection = new signalR.HubConnectionBuilder()
-            .withUrl(signalRUrl, signalROptions)
-            .configureLogging(signalR.LogLevel.Debug)
-            .build();
-        } catch (error) {
-          node.logError("Error creating SignalR connection:", error);
-          node.emit("erro", {
-            err: `[easee] Error creating SignalR connection: ${error.message}`
-          });
-          node.status({
-            fill: "red",
-            shape: "ring",
-            text: "SignalR connection error"
-          });
-          return;
-        }
-
-        node.connection = connection; // keep for closing
-        node.handleConnection(connection);
-      };
-
-      node.reconnect = () => {
-        if (node.reconnectTimoutHandle) {
-          clearTimeout(node.reconnectTimoutHandle);
-        }
-        if (node.closing) {
-          return;
-        }
-        node.connectionConfig.ensureAuthentication().then((isAuthenticated) => {
-          if (isAuthenticated) {
-            node.reconnectTimoutHandle = setTimeout(
-              () => node.startconn(),
-              node.reconnectInterval
-            );
-          } else {
-            node.logError("Authentication failed during reconnect");
-          }
-        }).catch((error) => {
-          node.logError("Error during reconnect:", error);
-        });
-      };
-
-      node.notifyOnError = (err, id) => {
-        if (!err) {
-          return;
-        }
-        node.emit("erro", {
-          err: err,
-          id: id
-        });
-      };
-
-      node.handleConnection = async(connection) => {
-        let id = "";
-        try {
-          await connection.start();
-          // We're connected
-          id = connection.connectionId;
-          node.emit("opened", {
-            count: "",
-            id: id
-          });
-
-          connection.onclose((err) => {
-            node.emit("closed", {
-              count: "",
-              id: id
-            });
-            node.notifyOnError(err, id);
-            node.reconnect();
-          });
-        } catch (err) {
-          node.notifyOnError(err, id);
-          node.reconnect();
-        }
-      };
+      // Start in 2 sec
+      node.startTimeoutHandle = setTimeout(() => {
+        node.startTimeoutHandle = null;
+        node.register();
+      }, 2000);
+    }
 
-      node.closing = false;
+    /**
+     * Split a charger setting ("EH000000, EH000001") into a list of IDs
+     *
+     * @param {string|string[]} value
+     * @returns {string[]}
+     */
+    static parseChargerList(value) {
+      if (Array.isArray(value)) {
+        return value.map((id) => String(id).trim()).filter((id) => id !== "");
+      }
+      if (typeof value !== "string") {
+        return [];
+      }
+      return value.split(/[\s,;]+/).filter((id) => id !== "");
+    }
 
-      // Start in 2 sec
-      setTimeout(() => node.fullReconnect(), 2000);
+    /**
+     * Read a number of seconds from the node configuration
+     *
+     * @param {*} value
+     * @param {number} fallback when the value is missing or invalid
+     * @returns {number}
+     */
+    static parseSeconds(value, fallback) {
+      const seconds = parseFloat(value);
+      return isNaN(seconds) || seconds < 0 ? fallback : seconds;
     }
   }
   RED.nodes.registerType(
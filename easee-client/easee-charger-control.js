@@ -0,0 +1,443 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+module.exports = function(RED) {
+  "use strict";
+  const { prepareCommand } = require("./rest-commands");
+  const { EaseeRestError, describeError } = require("./rest-errors");
+
+  // ChargerOpMode values, see the ChargerOpMode observation
+  const CHARGING = [3];
+  const NOT_CHARGING = [2, 4, 6];
+  const ONLINE = [1, 2, 3, 4, 5, 6, 7, 8];
+
+  /**
+   * Actions of the node. Each one sends a command of the REST node (topic,
+   * with body() built from the node settings) and is confirmed once the
+   * observation has gone through the values of each step returned by
+   * expect(settings, before). before is the state read before sending, for
+   * actions with "baseline". read is where the state is polled when no
+   * update confirmed the action in time: the REST topic and the key.
+   */
+  const ACTIONS = {
+    start_charging: {
+      label: "Start charging",
+      topic: "start_charging",
+      observation: "ChargerOpMode",
+      read: ["charger_state", "chargerOpMode"],
+      expect: () => [CHARGING]
+    },
+    stop_charging: {
+      label: "Stop charging",
+      topic: "stop_charging",
+      observation: "ChargerOpMode",
+      read: ["charger_state", "chargerOpMode"],
+      expect: () => [NOT_CHARGING]
+    },
+    pause_charging: {
+      label: "Pause charging",
+      topic: "pause_charging",
+      observation: "ChargerOpMode",
+      read: ["charger_state", "chargerOpMode"],
+      expect: () => [NOT_CHARGING]
+    },
+    resume_charging: {
+      label: "Resume charging",
+      topic: "resume_charging",
+      observation: "ChargerOpMode",
+      read: ["charger_state", "chargerOpMode"],
+      expect: () => [CHARGING]
+    },
+    toggle_charging: {
+      label: "Toggle charging",
+      topic: "toggle_charging",
+      observation: "ChargerOpMode",
+      read: ["charger_state", "chargerOpMode"],
+      baseline: true,
+      expect: (settings, before) => [CHARGING.includes(Number(before)) ? NOT_CHARGING : CHARGING]
+    },
+    reboot: {
+      label: "Reboot",
+      topic: "reboot",
+      observation: "ChargerOpMode",
+      // Offline while rebooting, then back
+      expect: () => [[0], ONLINE]
+    },
+    lock_cable: {
+      label: "Lock cable",
+      topic: "charger_settings",
+      value: "lock",
+      body: (settings) => ({ lockCablePermanently: settings.lock }),
+      observation: "LockCablePermanently",
+      read: ["charger_config", "lockCablePermanently"],
+      expect: (settings) => [[settings.lock]]
+    },
+    set_max_current: {
+      label: "Set max current",
+      topic: "charger_settings",
+      value: "current",
+      body: (settings) => ({ maxChargerCurrent: settings.current }),
+      observation: "MaxChargerCurrent",
+      read: ["charger_config", "maxChargerCurrent"],
+      expect: (settings) => [[settings.current]]
+    },
+    set_dynamic_current: {
+      label: "Set dynamic current",
+      topic: "charger_settings",
+      value: "current",
+      body: (settings) => ({ dynamicChargerCurrent: settings.current }),
+      observation: "DynamicChargerCurrent",
+      read: ["charger_state", "dynamicChargerCurrent"],
+      expect: (settings) => [[settings.current]]
+    }
+  };
+
+  /**
+   * Whether an observed value is the expected one. Hub values arrive as
+   * strings, booleans as "true" or "True".
+   *
+   * @param {*} actual
+   * @param {number|boolean} expected
+   * @returns {boolean}
+   */
+  function sameValue(actual, expected) {
+    if (typeof expected === "boolean") {
+      return String(actual).toLowerCase() === String(expected);
+    }
+    return actual !== null && actual !== "" && Number(actual) === Number(expected);
+  }
+
+  /**
+   * "2, 4 or 6"
+   *
+   * @param {Array} values
+   * @returns {string}
+   */
+  function listValues(values) {
+    return values.length > 1 ? `${values.slice(0, -1).join(", ")} or ${values[values.length - 1]}` : String(values[0]);
+  }
+
+  class EaseeChargerControl {
+    constructor(n) {
+      RED.nodes.createNode(this, n);
+      const node = this;
+      node.charger = n.charger;
+      node.action = n.action;
+      node.current = parseFloat(n.current);
+      // The editor stores the choice as "true" or "false"
+      node.lock = String(n.lock) !== "false";
+      // Wait this many ms for the charger state to change
+      node.confirmTimeout = (parseFloat(n.confirmTimeout) > 0 ? parseFloat(n.confirmTimeout) : 60) * 1000;
+      node.configurationNode = n.configuration;
+      node.connection = RED.nodes.getNode(node.configurationNode);
+
+      // Use configuration node's logging if available, fallback to console
+      node.logInfo = node.connection?.logInfo || function(msg, data) {
+        console.log(`[easee] ${msg}`, data || "");
+      };
+      node.logDebug = node.connection?.logDebug || function(msg, data) {
+        if (node.connection?.debugLogging) {
+          console.log(`[easee] DEBUG: ${msg}`, data || "");
+        }
+      };
+      node.logError = node.connection?.logError || function(msg, error) {
+        console.error(`[easee] ERROR: ${msg}`, error || "");
+      };
+      node.logWarn = node.connection?.logWarn || function(msg, data) {
+        console.warn(`[easee] WARN: ${msg}`, data || "");
+      };
+
+      if (!node.connection) {
+        node.error("[easee] Missing easee configuration node");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Missing configuration"
+        });
+        return;
+      }
+
+      if (!node.connection.isConfigurationValid || !node.connection.isConfigurationValid()) {
+        node.error("[easee] Configuration node is invalid - missing username or password");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Invalid configuration - missing credentials"
+        });
+        return;
+      }
+
+      /**
+       * Send the outcome of an action
+       *
+       * @param {object} msg input message, sent on with the outcome
+       * @param {function} send
+       * @param {object} outcome msg.payload
+       * @param {Error} error when the action failed
+       */
+      node.report = (msg, send, outcome, error = null) => {
+        if (node.closed) {
+          // Cancelled because this node was closed, nobody is listening
+          return;
+        }
+        const label = ACTIONS[outcome.action]?.label ?? outcome.action;
+        if (error) {
+          node.logWarn(`${label} failed:`, error.message ?? error);
+        }
+        node.status({
+          fill: error ? "red" : "green",
+          shape: "dot",
+          text: `${label}: ${outcome.result}`
+        });
+        msg.topic = outcome.action;
+        msg.status = error ? "error" : "ok";
+        msg.payload = outcome;
+        if (error) {
+          msg.error = describeError(error);
+        } else {
+          delete msg.error;
+        }
+        send(msg);
+      };
+
+      /**
+       * Read one value of the charger state through the REST API
+       *
+       * @param {object} connection configuration node, see withSignal()
+       * @param {string} charger
+       * @param {string[]} read REST topic and key
+       * @returns {Promise<*>}
+       */
+      node.readState = async(connection, charger, read) => {
+        const request = prepareCommand(read[0], { charger: charger });
+        const response = await connection.genericCall(request.path, "GET", null);
+        return response?.[read[1]] ?? null;
+      };
+
+      /**
+       * Watch an observation of a charger until it has gone through the
+       * values of every step
+       *
+       * @param {string} charger
+       * @param {string} observation
+       * @param {Array<Array>} steps expected values of each step
+       * @returns {Promise<object>} expectation, with the values seen, confirmed
+       *   (a promise of the confirming value) and close()
+       */
+      node.expectState = async(charger, observation, steps) => {
+        let confirm;
+        const expectation = {
+          values: [],
+          step: 0,
+          confirmed: new Promise((resolve) => {
+            confirm = resolve;
+          })
+        };
+        const watcher = await node.connection.watchCharger(charger, (type, data) => {
+          if (type !== "ProductUpdate" && type !== "ChargerUpdate") {
+            return;
+          }
+          const update = node.connection.parseObservation(data);
+          if (update.dataName !== observation || expectation.step >= steps.length) {
+            return;
+          }
+          expectation.values.push(update.value);
+          if (steps[expectation.step].some((expected) => sameValue(update.value, expected))) {
+            expectation.step++;
+            if (expectation.step === steps.length) {
+              confirm(update.value);
+            }
+          }
+        });
+        expectation.close = () => watcher.close();
+        return expectation;
+      };
+
+      /**
+       * Wait until the expectation is confirmed, the charger rejects the
+       * command, or the confirmation timeout
+       *
+       * @param {object} expectation see expectState()
+       * @param {object} tracker see trackCommand(), null for settings
+       * @param {*} accept response of the command request
+       * @param {AbortSignal} signal
+       * @returns {Promise<object>} { result, value, response }, result being
+       *   "confirmed", "rejected" or "timeout"
+       */
+      node.waitForState = (expectation, tracker, accept, signal) => {
+        const pending = new Promise(() => {});
+        // Ends the wait for the CommandResponse once the state is settled
+        const settled = new AbortController();
+        let timer = null;
+        let onAbort = null;
+        const timeout = new Promise((resolve) => {
+          timer = setTimeout(() => resolve({ result: "timeout", value: null, response: null }), node.confirmTimeout);
+        });
+        const aborted = new Promise((resolve, reject) => {
+          onAbort = () => reject(signal.reason);
+          if (signal.aborted) {
+            onAbort();
+          }
+          signal.addEventListener("abort", onAbort, { once: true });
+        });
+        const rejected = tracker ?
+          tracker.wait(accept, node.confirmTimeout, settled.signal).then((outcome) => {
+            return outcome.result === "rejected" ? { result: "rejected", value: null, response: outcome.response } : pending;
+          }) :
+          pending;
+
+        return Promise.race([
+          expectation.confirmed.then((value) => ({ result: "confirmed", value: value, response: null })),
+          rejected,
+          timeout,
+          aborted
+        ]).finally(() => {
+          clearTimeout(timer);
+          signal.removeEventListener("abort", onAbort);
+          settled.abort();
+        });
+      };
+
+      /**
+       * Run an action and send its outcome. msg.payload is { result, action,
+       * charger, observation, expected, value, values }, result being
+       * "confirmed", "rejected" or "timeout".
+       *
+       * @param {object} msg
+       * @param {function} send
+       */
+      node.run = async(msg, send) => {
+        const name = msg.action ?? node.action;
+        const action = Object.prototype.hasOwnProperty.call(ACTIONS, name) ? ACTIONS[name] : null;
+        const charger = msg.charger ?? node.charger;
+        const settings = {
+          current: typeof msg.payload === "number" ? msg.payload : node.current,
+          lock: typeof msg.payload === "boolean" ? msg.payload : node.lock
+        };
+        const outcome = {
+          result: "error",
+          action: name,
+          charger: charger,
+          observation: action?.observation ?? null,
+          expected: null,
+          value: null,
+          values: []
+        };
+
+        let request;
+        try {
+          if (!action) {
+            throw new Error(`Unknown action ${name}`);
+          }
+          if (action.value === "current" && isNaN(settings.current)) {
+            throw new Error(`${action.label} needs a current in A, in the node or as a number in msg.payload`);
+          }
+          request = prepareCommand(action.topic, { charger: charger }, action.body ? action.body(settings) : undefined);
+        } catch (error) {
+          node.report(msg, send, outcome, new EaseeRestError(error.message, { code: "invalid_request" }));
+          return;
+        }
+
+        node.status({
+          fill: "yellow",
+          shape: "ring",
+          text: `${action.label}: Sending...`
+        });
+
+        let expectation = null;
+        let tracker = null;
+        try {
+          const signal = node.requestController.signal;
+          const connection = node.connection.withSignal(signal);
+          const before = action.baseline ? await node.readState(connection, charger, action.read) : null;
+          const steps = action.expect(settings, before);
+          outcome.expected = steps[steps.length - 1];
+
+          expectation = await node.expectState(charger, action.observation, steps);
+          if (request.command.commandResponse) {
+            tracker = await node.connection.trackCommand(charger);
+          }
+          const accept = await connection.genericCall(request.path, request.method, request.body);
+
+          node.status({
+            fill: "yellow",
+            shape: "dot",
+            text: `${action.label}: Waiting for the charger...`
+          });
+          const result = await node.waitForState(expectation, tracker, accept, signal);
+          outcome.result = result.result;
+          outcome.value = result.value;
+          outcome.values = expectation.values;
+
+          if (result.result === "timeout" && action.read && steps.length === 1) {
+            // The update may have been missed, or the charger was already there
+            const value = await node.readState(connection, charger, action.read);
+            if (outcome.expected.some((expected) => sameValue(value, expected))) {
+              outcome.result = "confirmed";
+              outcome.value = value;
+            }
+          }
+
+          if (outcome.result === "confirmed") {
+            node.report(msg, send, outcome);
+          } else if (outcome.result === "rejected") {
+            node.report(msg, send, outcome, new EaseeRestError(
+              `${name} was rejected by the charger (result code ${result.response.resultCode ?? result.response.ResultCode})`,
+              { code: "command_rejected", attempts: 1 }));
+          } else {
+            const last = outcome.values.length > 0 ? `, last reported ${outcome.values[outcome.values.length - 1]}` : "";
+            node.report(msg, send, outcome, new EaseeRestError(
+              `${name} was not confirmed, ${action.observation} did not change to ${listValues(outcome.expected)} within ${node.confirmTimeout / 1000}s${last}`,
+              { code: "not_confirmed", attempts: 1 }));
+          }
+        } catch (error) {
+          node.report(msg, send, outcome, error);
+        } finally {
+          expectation?.close();
+          tracker?.close();
+        }
+      };
+
+      /**
+       * Actions still running when the node is closed or redeployed are
+       * cancelled
+       */
+      node.requestController = new AbortController();
+      node.on("close", function(removed, done) {
+        node.closed = true;
+        node.requestController.abort(new EaseeRestError("Request cancelled, the node was closed", { code: "cancelled" }));
+        done();
+      });
+
+      node.on("input", async function(msg, send, done) {
+        await node.run(msg, send);
+        if (done) {
+          done();
+        }
+      });
+    }
+  }
+
+  RED.nodes.registerType("easee-charger-control", EaseeChargerControl);
+};
@@ -0,0 +1,473 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+module.exports = function(RED) {
+  "use strict";
+  const { OBSERVATIONS, parseObservation } = require("./observations");
+  const { SCENARIOS } = require("./scenarios");
+
+  // .NET ticks at the Unix epoch, used for simulated CommandResponse ticks
+  const EPOCH_TICKS = 621355968000000000;
+
+  const COMMAND_IDS = {
+    start_charging: 1,
+    stop_charging: 2,
+    pause_charging: 3,
+    resume_charging: 4,
+    toggle_charging: 5
+  };
+
+  class ChargerSimulatorNode {
+    constructor(n) {
+      RED.nodes.createNode(this, n);
+      const node = this;
+      node.charger = (n.charger || "").trim() || "EH000000";
+      node.scenarioName = n.scenario || "charging-session";
+      node.customScenario = n.customScenario || "";
+      node.speed = parseFloat(n.speed) > 0 ? parseFloat(n.speed) : 1;
+      node.interval = parseFloat(n.interval) > 0 ? parseFloat(n.interval) : 10;
+      node.loop = n.loop || false;
+      node.autoStart = n.autoStart !== undefined ? n.autoStart : true;
+
+      node.state = ChargerSimulatorNode.initialState();
+      node.scenario = null;
+      node.stepIndex = 0;
+      node.stepHandle = null;
+      node.tickHandle = null;
+      node.startTimeoutHandle = null;
+      node.running = false;
+      node.lastTicks = 0;
+      node.random = Math.random;
+
+      /**
+       * Build a ProductUpdate payload the way the streaming client delivers it
+       *
+       * @param {string} name observation name
+       * @param {*} value
+       * @returns {object} parsed observation
+       */
+      node.createObservation = (name, value) => {
+        const observation = OBSERVATIONS.find((o) => o.name === name);
+        return parseObservation({
+          mid: node.charger,
+          dataType: observation.dataType,
+          id: observation.observationId,
+          timestamp: new Date().toISOString(),
+          value: String(value)
+        });
+      };
+
+      /**
+       * Update the simulated state and send every value as an observation
+       *
+       * @param {object} values observation name -> value
+       * @param {string} target ProductUpdate or ChargerUpdate
+       */
+      node.setState = (values, target = "ProductUpdate") => {
+        Object.entries(values).forEach(([name, value]) => {
+          if (OBSERVATIONS.some((o) => o.name === name)) {
+            node.state[name] = value;
+          }
+        });
+        node.sendObservations(values, target);
+      };
+
+      /**
+       * Send values as observations without changing the simulated state
+       *
+       * @param {object} values observation name -> value
+       * @param {string} target ProductUpdate or ChargerUpdate
+       */
+      node.sendObservations = (values, target = "ProductUpdate") => {
+        const index = target === "ChargerUpdate" ? 4 : 3;
+        Object.entries(values).forEach(([name, value]) => {
+          if (!OBSERVATIONS.some((o) => o.name === name)) {
+            node.warn(`Unknown observation ${name}, ignored`);
+            return;
+          }
+          const outputs = [null, null, null, null, null, null];
+          outputs[index] = {
+            charger: node.charger,
+            simulated: true,
+            payload: node.createObservation(name, value)
+          };
+          node.send(outputs);
+        });
+      };
+
+      /**
+       * Send a CommandResponse on the sixth output
+       *
+       * @param {object} response fields overriding the defaults
+       */
+      node.sendCommandResponse = (response) => {
+        node.lastTicks = Math.max(EPOCH_TICKS + Date.now() * 10000, node.lastTicks + 10000);
+        node.send([null, null, null, null, null, {
+          charger: node.charger,
+          simulated: true,
+          payload: {
+            serialNumber: node.charger,
+            id: 0,
+            ticks: node.lastTicks,
+            timestamp: new Date().toISOString(),
+            deliveredAt: new Date().toISOString(),
+            wasAccepted: true,
+            resultCode: 0,
+            comment: null,
+            ...response
+          }
+        }]);
+      };
+
+      /**
+       * Look up a scenario by name, or parse a custom one
+       *
+       * @param {string|object|Array} scenario name, scenario object or list of steps
+       * @returns {object} scenario with steps
+       */
+      node.resolveScenario = (scenario) => {
+        let definition = scenario;
+        if (typeof scenario === "string") {
+          if (scenario === "custom") {
+            definition = JSON.parse(node.customScenario || "[]");
+          } else if (SCENARIOS[scenario]) {
+            definition = SCENARIOS[scenario];
+          } else {
+            throw new Error(`Unknown scenario ${scenario}`);
+          }
+        }
+        if (Array.isArray(definition)) {
+          definition = { steps: definition };
+        }
+        if (!definition || !Array.isArray(definition.steps)) {
+          throw new Error("Scenario must be a list of steps");
+        }
+        return definition;
+      };
+
+      /**
+       * Start (or restart) the simulation. Like SubscribeWithCurrentState,
+       * the complete current state is sent first.
+       *
+       * @param {string|object|Array} scenario defaults to the configured scenario
+       */
+      node.start = (scenario = node.scenarioName) => {
+        let definition;
+        try {
+          definition = node.resolveScenario(scenario);
+        } catch (error) {
+          node.reportError(error.message);
+          return;
+        }
+        node.stop(false);
+
+        node.scenario = definition;
+        node.stepIndex = 0;
+        node.running = true;
+        node.status({
+          fill: "green",
+          shape: "dot",
+          text: `Simulating ${typeof scenario === "string" ? scenario : "custom"}${node.speed !== 1 ? ` (x${node.speed})` : ""}`
+        });
+        node.send([{ payload: "Connected", simulated: true }, null, null]);
+        node.setState({ ...node.state });
+
+        node.scheduleNextStep();
+        node.tickHandle = setInterval(node.tick, (node.interval * 1000) / node.speed);
+      };
+
+      /**
+       * Wait for and apply the next scenario step
+       */
+      node.scheduleNextStep = () => {
+        if (node.stepIndex >= node.scenario.steps.length) {
+          if (!(node.loop || node.scenario.loop) || node.scenario.steps.length === 0) {
+            node.status({
+              fill: "blue",
+              shape: "dot",
+              text: "Scenario complete"
+            });
+            return;
+          }
+          node.stepIndex = 0;
+        }
+        const step = node.scenario.steps[node.stepIndex++];
+        node.stepHandle = setTimeout(() => {
+          node.stepHandle = null;
+          node.applyStep(step);
+          node.scheduleNextStep();
+        }, ((step.after || 0) * 1000) / node.speed);
+      };
+
+      /**
+       * @param {object} step
+       */
+      node.applyStep = (step) => {
+        if (step.set) {
+          node.setState(step.set, step.target || "ProductUpdate");
+        }
+        if (step.commandResponse) {
+          node.sendCommandResponse(step.commandResponse);
+        }
+      };
+
+      /**
+       * Advance the charging model by one interval
+       */
+      node.tick = () => {
+        if (node.state.ChargerOpMode !== 3) {
+          return;
+        }
+        // Measured phase currents vary around the set current by up to 1%
+        const jitter = () => 1 + (node.random() - 0.5) * 0.02;
+        const voltage = node.state.InVolt_T2_T3 || 230;
+        const currents = {};
+        const values = {};
+
+        let totalCurrent = 0;
+        ["InCurrent_T3", "InCurrent_T4", "InCurrent_T5"].forEach((phase) => {
+          if (node.state[phase] > 0) {
+            currents[phase] = ChargerSimulatorNode.round(node.state[phase] * jitter(), 2);
+            totalCurrent += currents[phase];
+          }
+        });
+        node.sendObservations(currents);
+
+        // TotalPower is reported in kW, energy in kWh
+        const power = ChargerSimulatorNode.round((totalCurrent * voltage) / 1000, 3);
+        const energy = (power * node.interval) / 3600;
+        values.TotalPower = power;
+        values.SessionEnergy = ChargerSimulatorNode.round(node.state.SessionEnergy + energy, 3);
+        values.LifetimeEnergy = ChargerSimulatorNode.round(node.state.LifetimeEnergy + energy, 3);
+
+        // Temperature creeps towards ambient plus a current dependent rise
+        const targetTemp = node.state.TempAmbient + node.state.OutputCurrent * 1.2;
+        values.TempMax = ChargerSimulatorNode.round(node.state.TempMax + (targetTemp - node.state.TempMax) * 0.1, 1);
+
+        node.setState(values);
+      };
+
+      /**
+       * Handle a charger command the way the charger would
+       *
+       * @param {string} command e.g. pause_charging
+       */
+      node.command = (command) => {
+        const state = node.state;
+        const carConnected = state.ChargerOpMode !== 0 && state.ChargerOpMode !== 1;
+        let accepted = false;
+
+        switch (command) {
+          case "start_charging":
+          case "resume_charging":
+            accepted = carConnected && state.ChargerOpMode !== 3;
+            break;
+          case "pause_charging":
+            accepted = state.ChargerOpMode === 3;
+            break;
+          case "stop_charging":
+            accepted = carConnected;
+            break;
+          case "toggle_charging":
+            accepted = carConnected;
+            command = state.ChargerOpMode === 3 ? "pause_charging" : "resume_charging";
+            break;
+        }
+
+        if (accepted) {
+          if (command === "start_charging" || command === "resume_charging") {
+            const current = Math.min(state.DynamicChargerCurrent, state.MaxChargerCurrent);
+            node.setState({
+              ChargerOpMode: 3,
+              ReasonForNoCurrent: 0,
+              OutputCurrent: current,
+              InCurrent_T3: current,
+              InCurrent_T4: current,
+              InCurrent_T5: current
+            });
+          } else {
+            node.setState({
+              ChargerOpMode: command === "pause_charging" ? 6 : 4,
+              OutputCurrent: 0,
+              InCurrent_T3: 0,
+              InCurrent_T4: 0,
+              InCurrent_T5: 0,
+              TotalPower: 0
+            });
+          }
+        }
+
+        node.sendCommandResponse({
+          id: COMMAND_IDS[command],
+          wasAccepted: accepted,
+          resultCode: accepted ? 0 : 1,
+          comment: accepted ? null : "Command not applicable in current state"
+        });
+      };
+
+      /**
+       * Stop the running scenario
+       *
+       * @param {boolean} notify send "Disconnected" on the third output
+       */
+      node.stop = (notify = true) => {
+        if (node.stepHandle) {
+          clearTimeout(node.stepHandle);
+          node.stepHandle = null;
+        }
+        if (node.tickHandle) {
+          clearInterval(node.tickHandle);
+          node.tickHandle = null;
+        }
+        if (!node.running) {
+          return;
+        }
+        node.running = false;
+        if (notify) {
+          node.status({
+            fill: "grey",
+            shape: "ring",
+            text: "Stopped"
+          });
+          node.send([null, null, { payload: "Disconnected", simulated: true }]);
+        }
+      };
+
+      /**
+       * Report a problem on the status and the second output
+       *
+       * @param {string} message
+       */
+      node.reportError = (message) => {
+        node.error(`[easee] ${message}`);
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: message
+        });
+        node.send([null, { payload: message, simulated: true }, null]);
+      };
+
+      /**
+       * msg.topic: start (msg.payload optionally a scenario name or steps),
+       * stop, reset, set (msg.payload observations) or a charger command
+       */
+      node.on("input", (msg, send, done) => {
+        switch (msg.topic) {
+          case "stop":
+            node.stop();
+            break;
+          case "reset":
+            node.stop();
+            node.state = ChargerSimulatorNode.initialState();
+            break;
+          case "set":
+            if (typeof msg.payload === "object" && msg.payload !== null) {
+              node.setState(msg.payload, msg.target || "ProductUpdate");
+            } else {
+              node.reportError("set requires an object of observations in msg.payload");
+            }
+            break;
+          case "start_charging":
+          case "stop_charging":
+          case "pause_charging":
+          case "resume_charging":
+          case "toggle_charging":
+            node.command(msg.topic);
+            break;
+          default:
+            node.start(msg.payload && typeof msg.payload !== "boolean" && typeof msg.payload !== "number" ? msg.payload : node.scenarioName);
+        }
+        if (done) {
+          done();
+        }
+      });
+
+      node.on("close", (removed, done) => {
+        if (node.startTimeoutHandle) {
+          clearTimeout(node.startTimeoutHandle);
+          node.startTimeoutHandle = null;
+        }
+        node.stop(false);
+        if (done) {
+          done();
+        }
+      });
+
+      node.status({
+        fill: "grey",
+        shape: "ring",
+        text: "Idle"
+      });
+
+      // Start in 2 sec, like the streaming client
+      if (node.autoStart) {
+        node.startTimeoutHandle = setTimeout(() => {
+          node.startTimeoutHandle = null;
+          node.start();
+        }, 2000);
+      }
+    }
+
+    /**
+     * State of a charger with no car connected
+     *
+     * @returns {object} observation name -> value
+     */
+    static initialState() {
+      return {
+        ChargerOpMode: 1,
+        ReasonForNoCurrent: 50,
+        MaxChargerCurrent: 32,
+        DynamicChargerCurrent: 32,
+        OutputPhase: 30,
+        OutputCurrent: 0,
+        InCurrent_T2: 0,
+        InCurrent_T3: 0,
+        InCurrent_T4: 0,
+        InCurrent_T5: 0,
+        InVolt_T2_T3: 230,
+        TotalPower: 0,
+        SessionEnergy: 0,
+        LifetimeEnergy: 1234.5,
+        TempMax: 21.5,
+        TempAmbient: 18
+      };
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} decimals
+     * @returns {number}
+     */
+    static round(value, decimals) {
+      const factor = Math.pow(10, decimals);
+      return Math.round(value * factor) / factor;
+    }
+  }
+
+  ChargerSimulatorNode.SCENARIOS = SCENARIOS;
+
+  RED.nodes.registerType("easee-charger-simulator", ChargerSimulatorNode);
+};
@@ -26,6 +26,22 @@
  **/
 module.exports = function(RED) {
   "use strict";
+  const crypto = require("crypto");
+  const { EventEmitter } = require("events");
+  const signalR = require("@microsoft/signalr");
+  const { parseObservation } = require("./observations");
+  const { fetchProducts, flattenChargers, prepareCommand } = require("./rest-commands");
+  const { RequestQueue, retryAfterDelay, fetchWithTimeout } = require("./request-queue");
+  const { EaseeRestError, fetchError, responseError } = require("./rest-errors");
+
+  // Calls that may be sent again after a network error, timeout or 5xx
+  const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+  // ms before giving up on a request when no timeout is configured
+  const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+  // Editor lookups reuse the account's sites and chargers for this long
+  const PRODUCTS_CACHE_TIME = 60000;
 
   class EaseeConfiguration {
     constructor(n) {
@@ -35,6 +51,14 @@ module.exports = function(RED) {
       // Extract node properties
       node.username = n.username || "";
 
+      /**
+       * How the account authenticates:
+       * - "password": username and password through /accounts/login
+       * - "tokens": a pre-issued access/refresh token pair, refreshed like a login's
+       * - "partner": a partner/organization access token, used as it is
+       */
+      node.authMode = ["tokens", "partner"].includes(n.authMode) ? n.authMode : "password";
+
       // Debug logging configuration - set early for use in validation
       node.debugLogging = n.debugLogging || false;
       node.debugToNodeWarn = n.debugToNodeWarn || false;
@@ -124,6 +148,23 @@ module.exports = function(RED) {
 
       // Validate credentials are provided during node creation
       node.validateCredentials = () => {
+        if (node.authMode === "tokens") {
+          if (!node.credentials?.accessToken || node.credentials.accessToken.trim() === "") {
+            return { valid: false, message: "Access token is required" };
+          }
+          if (!node.credentials?.refreshToken || node.credentials.refreshToken.trim() === "") {
+            return { valid: false, message: "Refresh token is required" };
+          }
+          return { valid: true, message: "Credentials are valid" };
+        }
+
+        if (node.authMode === "partner") {
+          if (!node.credentials?.partnerToken || node.credentials.partnerToken.trim() === "") {
+            return { valid: false, message: "Partner token is required" };
+          }
+          return { valid: true, message: "Credentials are valid" };
+        }
+
         if (!node.username || node.username.trim() === "") {
           return { valid: false, message: "Username is required" };
         }
@@ -158,8 +199,29 @@ module.exports = function(RED) {
         // Don't return or throw - let the node exist but be non-functional
       }
 
-      node.signalRpath = "https://streams.easee.com/hubs/chargers";
-      node.RestApipath = "https://api.easee.com/api";
+      /**
+       * Validate an optional base URL setting, falling back to the default
+       * @param {string} value
+       * @param {string} fallback
+       * @param {string} label
+       * @returns {string}
+       */
+      node.resolveBaseUrl = (value, fallback, label) => {
+        if (!value || value.trim() === "") {
+          return fallback;
+        }
+        try {
+          return parseBaseUrl(value);
+        } catch (error) {
+          node.logError(`Invalid ${label} "${value}" (${error.message}), using default ${fallback}`);
+          return fallback;
+        }
+      };
+
+      node.DEFAULT_SIGNALR_PATH = "https://streams.easee.com/hubs/chargers";
+      node.DEFAULT_REST_API_PATH = "https://api.easee.com/api";
+      node.signalRpath = node.resolveBaseUrl(n.signalRpath, node.DEFAULT_SIGNALR_PATH, "SignalR hub URL");
+      node.RestApipath = node.resolveBaseUrl(n.restApiPath, node.DEFAULT_REST_API_PATH, "REST API URL");
 
       node.accessToken = false;
       node.refreshToken = false;
@@ -180,13 +242,187 @@ module.exports = function(RED) {
       node.EARLY_RENEWAL_THRESHOLD = 600; // 10 minutes - for very short tokens
 
       /**
-       * Stop running token refresh on closed
+       * Token persistence across restarts
+       *
+       * With tokenStorage set to "context" the tokens are kept in the node's
+       * context (use a persistent context store to survive restarts). Node-RED
+       * credentials are not used: changed at runtime, they are only written on
+       * the next deploy, so a refreshed token would be lost on restart. Stored
+       * tokens are bound to the username they were issued for, and are
+       * validated through checkToken() on start like any other.
+       */
+      node.tokenStorage = n.tokenStorage === "context" || n.tokenStorage === "credentials" ? "context" : "none";
+      if (n.tokenStorage === "credentials") {
+        node.logWarn("Tokens are no longer remembered in Node-RED credentials, using node context instead");
+      }
+      node.tokenContextStore = n.tokenContextStore || undefined;
+      node.TOKEN_CONTEXT_KEY = "easeeTokens";
+
+      /**
+       * Read stored tokens
+       * @returns {Object|null}
+       */
+      node.readStoredTokens = () => {
+        try {
+          if (node.tokenStorage === "context") {
+            return node.context().get(node.TOKEN_CONTEXT_KEY, node.tokenContextStore) || null;
+          }
+        } catch (error) {
+          node.logWarn("Unable to read stored tokens:", error.message);
+        }
+        return null;
+      };
+
+      /**
+       * Write tokens to the configured storage
+       * @param {Object|null} data
+       */
+      node.writeStoredTokens = (data) => {
+        try {
+          if (node.tokenStorage === "context") {
+            node.context().set(node.TOKEN_CONTEXT_KEY, data ?? undefined, node.tokenContextStore);
+          }
+        } catch (error) {
+          node.logWarn("Unable to store tokens:", error.message);
+        }
+      };
+
+      /**
+       * Store the current tokens, called after a successful login or refresh
+       */
+      node.saveStoredTokens = () => {
+        if (node.tokenStorage === "none" || !node.accessToken) {
+          return;
+        }
+        node.writeStoredTokens({
+          username: node.username,
+          source: node.tokenSource(),
+          accessToken: node.accessToken,
+          refreshToken: node.refreshToken,
+          tokenExpires: node.tokenExpires.toISOString(),
+          tokenIssuedAt: node.tokenIssuedAt.toISOString(),
+          tokenLifetime: node.tokenLifetime
+        });
+        node.logDebug(`Tokens stored in ${node.tokenStorage}`);
+      };
+
+      /**
+       * Wipe stored tokens
+       */
+      node.clearStoredTokens = () => {
+        if (node.tokenStorage === "none") {
+          return;
+        }
+        node.writeStoredTokens(null);
+        node.logDebug(`Stored tokens cleared from ${node.tokenStorage}`);
+      };
+
+      /**
+       * Restore tokens from storage. The next checkToken() decides whether
+       * they can be used as-is, must be refreshed or need a fresh login.
+       *
+       * @returns {boolean} true if tokens were restored
+       */
+      node.loadStoredTokens = () => {
+        if (node.tokenStorage === "none") {
+          return false;
+        }
+        const data = node.readStoredTokens();
+        if (!data || !data.accessToken || !data.refreshToken) {
+          return false;
+        }
+        if (data.username !== node.username) {
+          node.logInfo("Stored tokens belong to another username, ignoring them");
+          node.clearStoredTokens();
+          return false;
+        }
+        if (data.source !== node.tokenSource()) {
+          node.logInfo("A new token pair was configured, ignoring the stored tokens");
+          node.clearStoredTokens();
+          return false;
+        }
+
+        node.accessToken = data.accessToken;
+        node.refreshToken = data.refreshToken;
+        node.tokenExpires = new Date(data.tokenExpires);
+        node.tokenIssuedAt = new Date(data.tokenIssuedAt);
+        node.tokenLifetime = data.tokenLifetime || 0;
+        node.logInfo(`Restored stored tokens, expires at: ${node.tokenExpires.toISOString()}`);
+        return true;
+      };
+
+      /**
+       * Identifies the configured token pair, so refreshed tokens stored for
+       * an old pair are not used after a new one is entered
+       *
+       * @returns {string|undefined}
+       */
+      node.tokenSource = () => {
+        if (node.authMode !== "tokens") {
+          return undefined;
+        }
+        return crypto.createHash("sha256").update(node.credentials.refreshToken).digest("hex").substring(0, 16);
+      };
+
+      /**
+       * Use the configured tokens of the "tokens" and "partner" modes. The
+       * expiry is read from the access token when it is a JWT; an access
+       * token without one is refreshed right away, a partner token is used
+       * until the API rejects it. A token pair is only used once, as its
+       * refresh token is replaced on the first refresh.
+       *
+       * @returns {boolean} true if tokens were set
+       */
+      node.configuredTokensTried = false;
+      node.loadConfiguredTokens = () => {
+        const now = new Date();
+        if (node.authMode === "tokens") {
+          const accessToken = node.credentials.accessToken.trim();
+          node.configuredTokensTried = true;
+          node.accessToken = accessToken;
+          node.refreshToken = node.credentials.refreshToken.trim();
+          node.tokenIssuedAt = now;
+          node.tokenExpires = tokenExpiry(accessToken) || now;
+          node.tokenLifetime = 0;
+          node.logInfo(`Using the configured token pair, expires at: ${node.tokenExpires.toISOString()}`);
+          return true;
+        }
+        if (node.authMode === "partner") {
+          const partnerToken = node.credentials.partnerToken.trim();
+          node.accessToken = partnerToken;
+          node.refreshToken = false;
+          node.tokenIssuedAt = now;
+          node.tokenExpires = tokenExpiry(partnerToken) || new Date(8640000000000000);
+          node.tokenLifetime = 0;
+          node.logInfo("Using the configured partner token");
+          return true;
+        }
+        return false;
+      };
+
+      if (validation.valid && !node.loadStoredTokens()) {
+        node.loadConfiguredTokens();
+      }
+
+      /**
+       * Stop running token refresh and the shared hub connection on closed
        */
-      node.on("close", function() {
+      node.on("close", function(removed, done) {
+        node.closed = true;
         if (node.checkTokenHandler) {
           clearTimeout(node.checkTokenHandler);
           node.checkTokenHandler = null;
         }
+        const cancelled = new EaseeRestError("Request cancelled, the configuration node was closed", { code: "cancelled" });
+        node.requestQueue.clear(cancelled);
+        node.requestController.abort(cancelled);
+        node.hubClients.clear();
+        node.chargerStates.clear();
+        node.stopHub().finally(() => {
+          if (done) {
+            done();
+          }
+        });
       });
 
       /**
@@ -209,1234 +445,336 @@ module.exports = function(RED) {
        * @param {string} url
        * @param {string} method
        * @param {*} body
+       * @param {object} options
+       * @param {AbortSignal} options.signal cancels the call
        * @returns
        */
-      node.genericCall = (url, method = "GET", body = null) => {
-        return node.doAuthRestCall(url, method, null, body).then((response) => {
+      node.genericCall = (url, method = "GET", body = null, options = {}) => {
+        return node.doAuthRestCall(url, method, null, body, options).then((response) => {
           return response;
         });
       };
 
       /**
+       * This configuration node, with REST calls cancelled when the signal
+       * aborts. Consumer nodes pass it to code that makes several calls, so
+       * closing the node cancels all of them.
+       *
+       * @param {AbortSignal} signal
+       * @returns {object}
+       */
+      node.withSignal = (signal) => {
+        const scoped = Object.create(node);
+        scoped.genericCall = (url, method = "GET", body = null) => node.genericCall(url, method, body, { signal });
+        scoped.doAuthRestCall = (url, method = "GET", headers = null, body = null) => {
+          return node.doAuthRestCall(url, method, headers, body, { signal });
+        };
+        return scoped;
+      };
+
+      /**
+       * Requests give up after requestTimeout seconds, and are cancelled
+       * when this node closes
+       */
+      node.requestTimeout = parseFloat(n.requestTimeout) >= 0 && n.requestTimeout !== "" ?
+        parseFloat(n.requestTimeout) * 1000 :
+        DEFAULT_REQUEST_TIMEOUT;
+      node.requestController = new AbortController();
+
+      /**
+       * fetch() with the request timeout, cancelled when this node closes
+       *
+       * @param {string} url
+       * @param {object} options fetch options
+       * @param {AbortSignal} signal also cancels the request
+       * @returns {Promise<object>} the response
+       */
+      node.timedFetch = (url, options, signal = null) => {
+        return fetchWithTimeout(url, options, node.requestTimeout, [node.requestController.signal, signal]);
+      };
+
+      /**
+       * Sites, circuits and chargers of the account, for the editor lookups.
+       * Cached for a minute unless refresh is set.
+       *
+       * @param {boolean} refresh
+       * @returns {Promise<{sites: object[], chargers: object[]}>}
+       */
+      node.getAccountProducts = async(refresh = false) => {
+        if (!refresh && node.productsCache && Date.now() - node.productsCache.time < PRODUCTS_CACHE_TIME) {
+          return node.productsCache.products;
+        }
+        const sites = await fetchProducts(node);
+        const chargers = await node.genericCall("/chargers");
+        const products = {
+          sites: sites,
+          chargers: flattenChargers(sites, Array.isArray(chargers) ? chargers : [])
+        };
+        node.productsCache = { time: Date.now(), products: products };
+        return products;
+      };
+
+      /**
+       * REST calls of the account go through one queue, limited to
+       * requestConcurrency at once and requestsPerMinute (0 for no limit).
+       * When more than requestQueueSize are waiting, requestOverflow decides:
+       * "wait" queues them anyway, "drop" drops the oldest waiting call and
+       * "reject" fails the new one.
+       */
+      node.REQUEST_RATE_LIMIT_RETRIES = 3; // retries of a call answered with 429
+      node.REQUEST_MAX_ATTEMPTS = 3; // attempts of idempotent calls failing with network errors, timeouts or 5xx
+      node.REQUEST_RETRY_DELAY = 1000; // ms before the first of those retries, doubling
+      node.requestQueueDepth = 0;
+      node.requestQueue = new RequestQueue({
+        concurrency: parseInt(n.requestConcurrency) || 2,
+        perMinute: n.requestsPerMinute === undefined || n.requestsPerMinute === "" ? 60 : parseInt(n.requestsPerMinute),
+        maxWaiting: n.requestQueueSize === undefined || n.requestQueueSize === "" ? 100 : parseInt(n.requestQueueSize),
+        overflow: n.requestOverflow,
+        onChange: (queue) => {
+          const depth = queue.waiting.length;
+          if (depth === node.requestQueueDepth) {
+            return;
+          }
+          node.requestQueueDepth = depth;
+          if (depth > 0) {
+            node.status({
+              fill: "yellow",
+              shape: "ring",
+              text: `${depth} request${depth === 1 ? "" : "s"} queued`
+            });
+          }
+        }
+      });
+
+      /**
+       * Authenticated REST call, queued behind the other calls of the account
+       *
+       * @param {string} url path below the REST API URL
+       * @param {string} method
+       * @param {object} headers extra headers
+       * @param {*} body sent as JSON
+       * @param {object} options
+       * @param {AbortSignal} options.signal cancels the call, waiting or sent
+       * @returns {Promise<Object>} the response JSON, or { result, resultText } without one
+       */
+      node.doAuthRestCall = (
+        url,
+        method = "GET",
+        headers = null,
+        body = null,
+        options = {}
+      ) => {
+        return node.requestQueue.add(() => node.sendAuthRestCall(url, method, headers, body, options), options.signal);
+      }; // node.doAuthRestCall()
+
+      /**
+       * Send a REST call right away, see doAuthRestCall().
        *
-       * @param {*} url
-       * @param {*} method
-       * @param {*} headers
+       * Failures are classified (see rest-errors.js) and some are tried again:
+       * - 401: the token is refreshed once and the call replayed
+       * - 429: the queue is held back for Retry-After and the call retried
+       * - network errors, timeouts and 5xx: idempotent calls are retried with backoff
+       *
+       * @param {string} url
+       * @param {string} method
+       * @param {object} headers
        * @param {*} body
-       * @returns
+       * @param {object} options
+       * @param {AbortSignal} options.signal cancels the call
+       * @returns {Promise<Object>}
+       * @throws {EaseeRestError}
        */
-      node.doAuthRestCall = async(
+      node.sendAuthRestCall = async(
         url,
         method = "GET",
         headers = null,
-        body = null
+        body = null,
+        options = {}
       ) => {
 
         // Ensure authentication is available before making the call
         const authAvailable = await node.ensureAuthentication();
         if (!authAvailable) {
-          const error = new Error("Authentication not available");
           node.logError("Authentication not available for doAuthRestCall");
           node.status({
             fill: "red",
             shape: "ring",
             text: "Authentication failed"
           });
-          throw error;
+          throw new EaseeRestError("Authentication not available", { code: "unauthorized" });
         }
 
-        headers = {
-          ...headers,
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          Authorization: "Bearer " + node.accessToken
-        };
         const bodyPayload = body ? JSON.stringify(body) : null;
+        const idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+        let refreshed = false;
+        let rateLimited = 0;
+
+        for (let attempt = 1; ; attempt++) {
+          const accessToken = node.accessToken;
+          let response = null;
+          let error = null;
+          try {
+            response = await node.timedFetch(node.RestApipath + url, {
+              method: method,
+              headers: {
+                ...headers,
+                Accept: "application/json",
+                "Content-Type": "application/json",
+                Authorization: "Bearer " + accessToken
+              },
+              body: bodyPayload
+            }, options.signal);
+          } catch (fetchFailure) {
+            error = fetchError(fetchFailure, attempt);
+          }
 
-        const response = await fetch(node.RestApipath + url, {
-          method: method,
-          headers: headers,
-          body: bodyPayload
-        }).catch((error) => {
-          node.logError("Critical error in doAuthRestCall() fetch, failing", error);
-          node.error(error);
-          return;
-        });
+          if (response?.ok) {
+            return node.readRestResponse(url, response);
+          }
+          if (response) {
+            error = responseError(response, await response.text(), attempt);
+          }
+          if (node.closed || error.code === "cancelled") {
+            throw error;
+          }
 
+          let delay = null;
+          if (error.code === "unauthorized" && !refreshed) {
+            // Replayed right away with a new token, unless another call already got one
+            refreshed = true;
+            node.logWarn(`Unauthorized on ${url}, refreshing the token and trying again`);
+            if (node.accessToken === accessToken) {
+              node.tokenExpires = new Date(0);
+            }
+            if (await node.ensureAuthentication()) {
+              continue;
+            }
+          } else if (error.code === "rate_limited" && rateLimited < node.REQUEST_RATE_LIMIT_RETRIES) {
+            rateLimited++;
+            delay = retryAfterDelay(response, ChargerHubBackoff.getDelay(rateLimited, 1000, 60000));
+            node.logWarn(`Rate limited on ${url}, retrying in ${Math.ceil(delay / 1000)}s (retry ${rateLimited} of ${node.REQUEST_RATE_LIMIT_RETRIES})`);
+            node.status({
+              fill: "yellow",
+              shape: "ring",
+              text: `Rate limited, retrying in ${Math.ceil(delay / 1000)}s`
+            });
+            node.requestQueue.pause(delay);
+          } else if (error.retryable && error.code !== "rate_limited" && idempotent && attempt < node.REQUEST_MAX_ATTEMPTS) {
+            delay = ChargerHubBackoff.getDelay(attempt, node.REQUEST_RETRY_DELAY, node.REQUEST_RETRY_DELAY * 8);
+            node.logWarn(`${error.message} on ${url}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${node.REQUEST_MAX_ATTEMPTS})`);
+          }
+
+          if (delay === null) {
+            throw error;
+          }
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          if (options.signal?.aborted) {
+            throw fetchError(options.signal.reason, attempt);
+          }
+        }
+      }; // node.sendAuthRestCall()
+
+      /**
+       * The JSON of a successful response, or its status when it has none
+       *
+       * @param {string} url
+       * @param {object} response fetch response
+       * @returns {Promise<Object>}
+       */
+      node.readRestResponse = async(url, response) => {
         const http_text = await response.text();
         let http_json = null;
         try {
           http_json = JSON.parse(http_text);
-          // eslint-disable-next-line no-unused-vars
-        } catch (err) {
+        } catch {
           // Ignore JSON parse errors - http_json will remain null
         }
 
-        const http_status = response.status;
-        const http_statusText = response.statusText;
-        const is_ok = response.ok;
-        const is_json = (typeof http_json === "object");
+        node.status({
+          fill: "green",
+          shape: "dot",
+          text: url
+        });
+        if (typeof http_json === "object" && http_json !== null) {
+          return http_json;
+        }
+        return {
+          result: response.status,
+          resultText: response.statusText
+        };
+      }; // node.readRestResponse()
 
-        if (!is_ok) {
-          // Do we have valid JSON and JSON message?
-          if (is_json) {
-            if (is_json?.message ?? false) {
-              throw Error(`REST Command failed (${http_status}: ${http_statusText}) ${is_json.message}`);
+      /**
+       * Parse an observation, see observations.js
+       *
+       * @param {object} data
+       * @param {string} mode "id" or "name"
+       * @returns {object}
+       */
+      node.parseObservation = (data, mode = "id") => {
+        return parseObservation(data, mode);
+      }; // node.parseObservation()
 
-            } else {
-              throw Error(`REST Command failed (${http_status}: ${http_statusText}) ${http_text}`);
-            }
+      /**
+       * Ensures authentication is available, using existing token or triggering refresh if needed
+       * This is the preferred method for consumer nodes to ensure authentication.
+       *
+       * IMPORTANT: This method prevents double login issues by checking token validity
+       * before triggering authentication, unlike doLogin() which always performs a fresh login.
+       * Consumer nodes (REST client, streaming client) should use this instead of doLogin().
+       *
+       * @returns {Promise<boolean>} true if authentication is available, false otherwise
+       */
+      node.ensureAuthentication = async() => {
+        // Validate credentials first
+        const credentialsCheck = node.validateCredentials();
+        if (!credentialsCheck.valid) {
+          node.logDebug(`Cannot ensure authentication: ${credentialsCheck.message}`);
+          return false;
+        }
+
+        // If authentication is already in progress, wait for it to complete
+        if (node.authenticationInProgress) {
+          node.logDebug("Authentication already in progress, waiting...");
+
+          // Helper function to avoid function-in-loop issue
+          const waitDelay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+          // Wait for current authentication to complete (max 30 seconds)
+          const maxWaitTime = 30000; // 30 seconds
+          const pollInterval = 100; // 100ms
+          const startTime = Date.now();
+
+          while (node.authenticationInProgress && (Date.now() - startTime) < maxWaitTime) {
+            await waitDelay(pollInterval);
           }
+          // Return current authentication status
+          return !!node.accessToken;
+        }
+
+        // If we have a valid token, use it
+        if (node.accessToken) {
+          const now = new Date();
+          const timeToExpire = Math.floor((node.tokenExpires - now) / 1000);
 
-          // We do not have valid JSON
-          throw Error(`REST Command failed (${http_status}: ${http_statusText}) ${http_text}`);
+          // If token is still valid (more than 1 minute remaining), use it
+          if (timeToExpire > 60) {
+            return true;
+          }
         }
-        if (is_json && http_json !== null) {
-          node.status({
-            fill: "green",
-            shape: "dot",
-            text: url
-          });
-          return http_json;
-        } else {
-          node.status({
-            fill: "green",
-            shape: "dot",
-            text: url
-          });
-          return {
-            result: http_status,
-            resultText: http_statusText
-          };
+
+        // Token is missing or expiring soon, trigger a check which will refresh/login as needed
+        try {
+          await node.checkToken();
+          return !!node.accessToken;
+        } catch (error) {
+          node.logError("Error ensuring authentication:", error);
+          return false;
         }
-      }; // node.doAuthRestCall()
+      };
 
       /**
-       *
-       * https://developer.easee.com/reference/get_api-resources-observation-properties
-       *
-       * @param {*} data
-       * @param {*} mode
-       * @returns
-       */
-      node.parseObservation = (data, mode = "id") => {
-        const observations = [
-          {
-            observationId: 15,
-            name: "LocalPreAuthorizeEnabled",
-            dataType: 2
-          },
-          {
-            observationId: 16,
-            name: "LocalAuthorizeOfflineEnabled",
-            dataType: 2
-          },
-          {
-            observationId: 17,
-            name: "AllowOfflineTxForUnknownId",
-            dataType: 2
-          },
-          {
-            observationId: 20,
-            name: "SiteStructure",
-            dataType: 6
-          },
-          {
-            observationId: 21,
-            name: "DetectedPowerGridType",
-            dataType: 4
-          },
-          {
-            observationId: 22,
-            name: "CircuitMaxCurrentP1",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 23,
-            name: "CircuitMaxCurrentP2",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 24,
-            name: "CircuitMaxCurrentP3",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 25,
-            name: "Location",
-            dataType: 5
-          },
-          {
-            observationId: 26,
-            name: "SiteIDString",
-            dataType: 6
-          },
-          {
-            observationId: 27,
-            name: "SiteIDNumeric",
-            dataType: 4
-          },
-          {
-            observationId: 30,
-            name: "LockCablePermanently",
-            dataType: 2
-          },
-          {
-            observationId: 31,
-            name: "IsEnabled",
-            dataType: 2
-          },
-          {
-            observationId: 33,
-            name: "CircuitSequenceNumber",
-            dataType: 4
-          },
-          {
-            observationId: 34,
-            name: "SinglePhaseNumber",
-            dataType: 4
-          },
-          {
-            observationId: 35,
-            name: "Enable3Phases_DEPRECATED",
-            dataType: 2
-          },
-          {
-            observationId: 36,
-            name: "WiFiSSID",
-            dataType: 6
-          },
-          {
-            observationId: 37,
-            name: "EnableIdleCurrent",
-            dataType: 2
-          },
-          {
-            observationId: 38,
-            name: "PhaseMode",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#phasemode-38
-              const modes = {
-                0: "Ignore,no phase mode reported",
-                1: "Locked to 1-phase",
-                2: "Auto phase mode",
-                3: "Locked to 3-phase"
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 40,
-            name: "LedStripBrightness",
-            dataType: 4
-          },
-          {
-            observationId: 41,
-            name: "LocalAuthorizationRequired",
-            dataType: 2
-          },
-          {
-            observationId: 42,
-            name: "AuthorizationRequired",
-            dataType: 2
-          },
-          {
-            observationId: 43,
-            name: "RemoteStartRequired",
-            dataType: 2
-          },
-          {
-            observationId: 44,
-            name: "SmartButtonEnabled",
-            dataType: 2
-          },
-          {
-            observationId: 45,
-            name: "OfflineChargingMode",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#offline-charging-mode-45
-              const modes = {
-                0: "Always allow charging if offline",
-                1: "Only allow charging if token is whitelisted in the local token cache",
-                2: "Never allow charging if offline"
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 46,
-            name: "LEDMode",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#led-mode-46
-              const modes = {
-                0: "Charger is disabled",
-
-                1: "Charger is updating",
-                2: "Charger is updating",
-                3: "Charger is updating",
-                4: "Charger is updating",
-                5: "Charger is updating",
-                6: "Charger is updating",
-                7: "Charger is updating",
-                8: "Charger is updating",
-                9: "Charger is updating",
-                10: "Charger is updating",
-                11: "Charger is updating",
-                12: "Charger is updating",
-                13: "Charger is updating",
-                14: "Charger is updating",
-                15: "Charger is updating",
-
-                16: "Charger is faulty",
-                17: "Charger is faulty",
-
-                18: "Standby Master",
-                19: "Standby Secondary",
-                20: "Secondary unit searching for master",
-                21: "Smart mode (Not charging)",
-                22: "Smart mode (Charging)",
-
-                23: "Normal mode (Not charging)",
-                24: "Normal mode (Charging)",
-                25: "Waiting for authorization",
-                26: "Verifying with backend",
-                27: "Check configuration (Backplate chip defect)",
-                29: "Pairing RFID Keys",
-                43: "Self test mode",
-                44: "Self test mode"
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 47,
-            name: "MaxChargerCurrent",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 48,
-            name: "DynamicChargerCurrent",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 50,
-            name: "MaxCurrentOfflineFallback_P1",
-            dataType: 4
-          },
-          {
-            observationId: 51,
-            name: "MaxCurrentOfflineFallback_P2",
-            dataType: 4
-          },
-          {
-            observationId: 52,
-            name: "MaxCurrentOfflineFallback_P3",
-            dataType: 4
-          },
-          {
-            observationId: 62,
-            name: "ChargingSchedule",
-            dataType: 6
-          },
-          {
-            observationId: 68,
-            name: "WiFiAPEnabled",
-            dataType: 2
-          },
-          {
-            observationId: 69,
-            name: "PairedUserIDToken",
-            dataType: 6
-          },
-          {
-            observationId: 70,
-            name: "CircuitTotalAllocatedPhaseConductorCurrent_L1",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 71,
-            name: "CircuitTotalAllocatedPhaseConductorCurrent_L2",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 72,
-            name: "CircuitTotalAllocatedPhaseConductorCurrent_L3",
-            dataType: 3
-          },
-          {
-            observationId: 73,
-            name: "CircuitTotalPhaseConductorCurrent_L1",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 74,
-            name: "CircuitTotalPhaseConductorCurrent_L2",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 75,
-            name: "CircuitTotalPhaseConductorCurrent_L3",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 80,
-            name: "SoftwareRelease",
-            dataType: 4
-          },
-          {
-            observationId: 81,
-            name: "ICCID",
-            dataType: 6
-          },
-          {
-            observationId: 82,
-            name: "ModemFwId",
-            dataType: 6
-          },
-          {
-            observationId: 83,
-            name: "OTAErrorCode",
-            dataType: 4
-          },
-          {
-            observationId: 89,
-            name: "RebootReason",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#rebootreason-89
-              const modes = {
-                0: "FirewallReset",
-                1: "OptionByteLoaderReset",
-                2: "PinReset",
-                3: "BOR",
-                4: "SoftwareReset",
-                5: "IndependentWindowWatchdogReset",
-                6: "WindowWatchdogReset",
-                7: "LowPowerReset",
-
-                12: "Brownout",
-                20: "Reboot"
-
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 90,
-            name: "PowerPCBVersion",
-            dataType: 4
-          },
-          {
-            observationId: 91,
-            name: "ComPCBVersion",
-            dataType: 4
-          },
-          {
-            observationId: 96,
-            name: "ReasonForNoCurrent",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#reasonfornocurrent-96
-              const modes = {
-                0: "Charger Fine - Charger is OK, use main charger status",
-
-                1: "Loadbalancing - Max circuit current too low, adjust power circuit up.",
-                2: "Loadbalancing - Max dynamic circuit current too low (Partner Loadbalancing)",
-                3: "Loadbalancing - Max dynamic offline fallback circuit current too low",
-                4: "Loadbalancing - Circuit fuse too low",
-                5: "Loadbalancing - Waiting in queue",
-                6: "Loadbalancing - Waiting in fully charged queue (Assumes a connected EV uses delated charging, EV Charging complete",
-
-                7: "Error - illegal grid type (Error - Fault in automatic grid type detection)",
-                8: "Error - primary unit has not received current request from secondary unit (car)",
-                9: "Error - Master communication lost (Error)",
-                10: "Error - No current from equalizer to low",
-                11: "Error - No current, phase not connected",
-
-                25: "Error - Current limited by circuit fuse",
-                26: "Error - Current limited by circuit max current",
-                27: "Error - Current limited by dynamic circuit current",
-                28: "Error - Current limited by equalizer",
-                29: "Error - Current limited by circuit load balancing",
-
-                50: "Load balancing circuit - Secondary unit not requesting current (No car connected)",
-                51: "Load balancing circuit - Max charger current too low",
-                52: "Load balancing circuit - Max Dynamic charger current too low",
-
-                53: "Informational - Charger disabled",
-
-                54: "Waiting - Pending scheduled charging",
-                55: "Waiting - Pending authorization",
-
-                56: "Error - Charger in error state",
-                57: "Error - Erratic EV",
-
-                75: "Cable - Current limited by cable rating",
-                76: "Schedule - Current limited by schedule",
-                77: "Charger Limit - Current limited by charger max current",
-                78: "Charger Limit - Current limited by dynamic charger current",
-                79: "Car Limit - Current limited by car not charging",
-                80: "??? - Current limited by local adjustment",
-                81: "Car Limit - Current limited by car",
-
-                100: "UndefinedError"
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 97,
-            name: "LoadBalancingNumberOfConnectedChargers",
-            dataType: 4
-          },
-          {
-            observationId: 98,
-            name: "UDPNumOfConnectedNodes",
-            dataType: 4
-          },
-          {
-            observationId: 99,
-            name: "LocalConnection",
-            dataType: 4
-          },
-          {
-            observationId: 100,
-            name: "PilotMode",
-            dataType: 6,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#pilotmode-100
-              const modes = {
-                A: "Car disconnected",
-                B: "Car connected",
-                C: "Car charging",
-                D: "Car needs ventilation",
-                F: "Fault detected (LED goes Red and charging stops)"
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 101,
-            name: "CarConnected_DEPRECATED",
-            dataType: 2
-          },
-          {
-            observationId: 102,
-            name: "SmartCharging",
-            dataType: 2
-          },
-          {
-            observationId: 103,
-            name: "CableLocked",
-            dataType: 2
-          },
-          {
-            observationId: 104,
-            name: "CableRating",
-            dataType: 3
-          },
-          {
-            observationId: 105,
-            name: "PilotHigh",
-            dataType: 3
-          },
-          {
-            observationId: 106,
-            name: "PilotLow",
-            dataType: 3
-          },
-          {
-            observationId: 107,
-            name: "BackPlateID",
-            dataType: 6
-          },
-          {
-            observationId: 108,
-            name: "UserIDTokenReversed",
-            dataType: 6
-          },
-          {
-            observationId: 109,
-            name: "ChargerOpMode",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#op-mode-109
-              const modes = {
-                0: "Offline - Offline.",
-                1: "Disconnected - No car connected.",
-                2: "AwaitingStart - Car connected, charger is waiting for EV or load balancing. SuspendedEVSE.",
-                3: "Charging - 	Charging.",
-                4: "Completed - Car has paused/stopped charging.",
-                5: "Error - Error in charger.",
-                6: "ReadyToCharge - Charger is waiting for car to take energy. SuspendedEV.",
-                7: "Awaiting Authentication - Charger is waiting for authentication.",
-                8: "De-authenticating - Charger is de-authenticating."
-              };
-              return modes[val];
-            }
-          },
-          {
-            observationId: 110,
-            name: "OutputPhase",
-            dataType: 4,
-            valueMapping: (val) => {
-              // https://developer.easee.com/docs/enumerations#output-phase-110
-              const modes = {
-                0: "Unassigned",
-
-                10: "1-phase (N+L1)",
-                11: "1-phase (L1+L2)",
-                12: "1-phase (N+L2)",
-                13: "1-phase (L1+L3)",
-                14: "1-phase (N+L3)",
-                15: "1-phase (L2+L3)",
-
-                20: "2-phases on TN (N+L1, N+L2)",
-                21: "2-phases on TN (N+L2, N+L3)",
-                22: "2-phases on IT (L1+L2, L2+L3)",
-
-                30: "3-phases (N+L1, N+L2, N+L3)"
-              };
-              return modes[val];
-            }
-            /*
-            public enum OutputPhaseType {
-              UNASSIGNED = 0,
-              // Unassigned
-
-              P1_T2_T3_TN = 10,
-              // 1-phase (N+L1)
-
-              P1_T2_T3_IT = 11,
-              // 1-phase (L1+L2)
-
-              P1_T2_T4_TN = 12,
-              // 1-phase (N+L2)
-
-              P1_T2_T4_IT = 13,
-              // 1-phase (L1+L3)
-
-              P1_T2_T5_TN = 14,
-              // 1-phase (N+L3)
-
-              P1_T3_T4_IT = 15,
-              // 1-phase (L2+L3)
-
-              P2_T2_T3_T4_TN = 20,
-              // 2-phases on TN (N+L1, N+L2)
-
-              P2_T2_T4_T5_TN = 21,
-              // 2-phases on TN (N+L2, N+L3)
-
-              P2_T2_T3_T4_IT = 22,
-              // 2-phases on IT (L1+L2, L2+L3)
-
-              P3_T2_T3_T4_T5_TN = 30
-              // 3-phases (N+L1, N+L2, N+L3)
-            }
-            */
-          },
-          {
-            observationId: 111,
-            name: "DynamicCircuitCurrentP1",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 112,
-            name: "DynamicCircuitCurrentP2",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 113,
-            name: "DynamicCircuitCurrentP3",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 114,
-            name: "OutputCurrent",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 115,
-            name: "DeratedCurrent",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 116,
-            name: "DeratingActive",
-            dataType: 2
-          },
-          {
-            observationId: 117,
-            name: "DebugString",
-            dataType: 6
-          },
-          {
-            observationId: 118,
-            name: "ErrorString",
-            dataType: 6
-          },
-          {
-            observationId: 119,
-            name: "ErrorCode",
-            dataType: 4
-          },
-          {
-            observationId: 120,
-            name: "TotalPower",
-            dataType: 3,
-            valueUnit: "W"
-          },
-          {
-            observationId: 121,
-            name: "SessionEnergy",
-            dataType: 3,
-            valueUnit: "kWh"
-          },
-          {
-            observationId: 122,
-            name: "EnergyPerHour",
-            dataType: 3,
-            valueUnit: "kWh"
-          },
-          {
-            observationId: 123,
-            name: "LegacyEvStatus",
-            dataType: 4
-          },
-          {
-            observationId: 124,
-            name: "LifetimeEnergy",
-            dataType: 3,
-            valueUnit: "kWh"
-          },
-          {
-            observationId: 125,
-            name: "LifetimeRelaySwitches",
-            dataType: 4
-          },
-          {
-            observationId: 126,
-            name: "LifetimeHours",
-            dataType: 4
-          },
-          {
-            observationId: 127,
-            name: "DynamicCurrentOfflineFallback_DEPRICATED",
-            dataType: 4
-          },
-          {
-            observationId: 128,
-            name: "UserIDToken",
-            dataType: 6
-          },
-          {
-            observationId: 129,
-            name: "ChargingSession",
-            dataType: 6
-          },
-          {
-            observationId: 130,
-            name: "CellRSSI",
-            dataType: 4
-          },
-          {
-            observationId: 131,
-            name: "CellRAT",
-            dataType: 4
-          },
-          {
-            observationId: 132,
-            name: "WiFiRSSI",
-            dataType: 4
-          },
-          {
-            observationId: 133,
-            name: "CellAddress",
-            dataType: 6
-          },
-          {
-            observationId: 134,
-            name: "WiFiAddress",
-            dataType: 6
-          },
-          {
-            observationId: 135,
-            name: "WiFiType",
-            dataType: 6
-          },
-          {
-            observationId: 136,
-            name: "LocalRSSI",
-            dataType: 4
-          },
-          {
-            observationId: 137,
-            name: "MasterBackPlateID",
-            dataType: 6
-          },
-          {
-            observationId: 138,
-            name: "LocalTxPower",
-            dataType: 4
-          },
-          {
-            observationId: 139,
-            name: "LocalState",
-            dataType: 6
-          },
-          {
-            observationId: 140,
-            name: "FoundWiFi",
-            dataType: 6
-          },
-          {
-            observationId: 141,
-            name: "ChargerRAT",
-            dataType: 4
-          },
-          {
-            observationId: 142,
-            name: "CellularInterfaceErrorCount",
-            dataType: 4
-          },
-          {
-            observationId: 143,
-            name: "CellularInterfaceResetCount",
-            dataType: 4
-          },
-          {
-            observationId: 144,
-            name: "WifiInterfaceErrorCount",
-            dataType: 4
-          },
-          {
-            observationId: 145,
-            name: "WifiInterfaceResetCount",
-            dataType: 4
-          },
-          {
-            observationId: 146,
-            name: "LocalNodeType",
-            dataType: 4
-          },
-          {
-            observationId: 147,
-            name: "LocalRadioChannel",
-            dataType: 4
-          },
-          {
-            observationId: 148,
-            name: "LocalShortAddress",
-            dataType: 4
-          },
-          {
-            observationId: 149,
-            name: "LocalParentAddrOrNumOfNodes",
-            dataType: 4
-          },
-          {
-            observationId: 150,
-            name: "TempMax",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 151,
-            name: "TempAmbientPowerBoard",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 152,
-            name: "TempInputT2",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 153,
-            name: "TempInputT3",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 154,
-            name: "TempInputT4",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 155,
-            name: "TempInputT5",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 160,
-            name: "TempOutputN",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 161,
-            name: "TempOutputL1",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 162,
-            name: "TempOutputL2",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 163,
-            name: "TempOutputL3",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 170,
-            name: "TempAmbient",
-            dataType: 3,
-            valueUnit: "°C"
-          },
-          {
-            observationId: 171,
-            name: "LightAmbient",
-            dataType: 4
-          },
-          {
-            observationId: 172,
-            name: "IntRelHumidity",
-            dataType: 4
-          },
-          {
-            observationId: 173,
-            name: "BackPlateLocked",
-            dataType: 2
-          },
-          {
-            observationId: 174,
-            name: "CurrentMotor",
-            dataType: 3
-          },
-          {
-            observationId: 175,
-            name: "BackPlateHallSensor",
-            dataType: 4
-          },
-          {
-            observationId: 182,
-            name: "InCurrent_T2",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 183,
-            name: "InCurrent_T3",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 184,
-            name: "InCurrent_T4",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 185,
-            name: "InCurrent_T5",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 190,
-            name: "InVolt_T1_T2",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT1T2"
-          },
-          {
-            observationId: 191,
-            name: "InVolt_T1_T3",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT1T3"
-          },
-          {
-            observationId: 192,
-            name: "InVolt_T1_T4",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT1T4"
-          },
-          {
-            observationId: 193,
-            name: "InVolt_T1_T5",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT1T5"
-          },
-          {
-            observationId: 194,
-            name: "InVolt_T2_T3",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT2T3"
-          },
-          {
-            observationId: 195,
-            name: "InVolt_T2_T4",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT2T4"
-          },
-          {
-            observationId: 196,
-            name: "InVolt_T2_T5",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT2T5"
-          },
-          {
-            observationId: 197,
-            name: "InVolt_T3_T4",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT3T4"
-          },
-          {
-            observationId: 198,
-            name: "InVolt_T3_T5",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT3T5"
-          },
-          {
-            observationId: 199,
-            name: "InVolt_T4_T5",
-            dataType: 3,
-            valueUnit: "V",
-            altName: "inVoltageT4T5"
-          },
-          {
-            observationId: 202,
-            name: "OutVoltPin1_2",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 203,
-            name: "OutVoltPin1_3",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 204,
-            name: "OutVoltPin1_4",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 205,
-            name: "OutVoltPin1_5",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 210,
-            name: "VoltLevel33",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 211,
-            name: "VoltLevel5",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 212,
-            name: "VoltLevel12",
-            dataType: 3,
-            valueUnit: "V"
-          },
-          {
-            observationId: 230,
-            name: "EqAvailableCurrentP1",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 231,
-            name: "EqAvailableCurrentP2",
-            dataType: 3,
-            valueUnit: "A"
-          },
-          {
-            observationId: 232,
-            name: "EqAvailableCurrentP3",
-            dataType: 3,
-            valueUnit: "A"
-          }
-        ];
-
-        data.valueText = "";
-        data.valueUnit = "";
-
-        for (const idx in observations) {
-          if (mode === "id" && observations[idx].observationId === data.id) {
-            // Id match
-          } else if (
-            mode === "name" &&
-            observations[idx].name.toLowerCase() === data.dataName.toLowerCase()
-          ) {
-            // Name match
-          } else if (
-            mode === "name" &&
-            "altName" in observations[idx] &&
-            observations[idx].altName.toLowerCase() ===
-            data.dataName.toLowerCase()
-          ) {
-            // Altname match
-          } else if (
-            mode === "name" &&
-            observations[idx].name.replace(/_/g, "").toLowerCase() ===
-            data.dataName.toLowerCase()
-          ) {
-            // Altname match
-          } else {
-            continue;
-          }
-
-          data.dataName = observations[idx].name;
-          data.observationId = observations[idx].observationId;
-
-          if (
-            "valueUnit" in observations[idx] &&
-            observations[idx].valueUnit !== undefined
-          ) {
-            data.valueUnit = observations[idx].valueUnit;
-          }
-          const valueTypes = {
-            1: "Binary",
-            2: "Boolean",
-            3: "Double",
-            4: "Integer",
-            5: "Position",
-            6: "String",
-            7: "Statistics"
-          };
-
-          data.dataType = observations[idx].dataType;
-          data.dataTypeName = valueTypes[observations[idx].dataType];
-          if (data.value !== null) {
-            switch (data.dataTypeName) {
-              case "Double":
-                data.value = parseFloat(data.value);
-                break;
-              case "Integer":
-                data.value = parseInt(data.value);
-                break;
-            }
-          }
-
-          if (
-            "valueMapping" in observations[idx] &&
-            observations[idx].valueMapping !== undefined
-          ) {
-            data.valueText = observations[idx].valueMapping(data.value);
-          }
-
-          break;
-        }
-        if (!data.observationId) {
-          // console.error(`Unknown observation id ${data.id}:`);
-          // console.error(data);
-        }
-
-        return data;
-      }; // node.parseObservation()
-
-      /**
-       * Ensures authentication is available, using existing token or triggering refresh if needed
-       * This is the preferred method for consumer nodes to ensure authentication.
-       *
-       * IMPORTANT: This method prevents double login issues by checking token validity
-       * before triggering authentication, unlike doLogin() which always performs a fresh login.
-       * Consumer nodes (REST client, streaming client) should use this instead of doLogin().
-       *
-       * @returns {Promise<boolean>} true if authentication is available, false otherwise
-       */
-      node.ensureAuthentication = async() => {
-        // Validate credentials first
-        const credentialsCheck = node.validateCredentials();
-        if (!credentialsCheck.valid) {
-          node.logDebug(`Cannot ensure authentication: ${credentialsCheck.message}`);
-          return false;
-        }
-
-        // If authentication is already in progress, wait for it to complete
-        if (node.authenticationInProgress) {
-          node.logDebug("Authentication already in progress, waiting...");
-
-          // Helper function to avoid function-in-loop issue
-          const waitDelay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-          // Wait for current authentication to complete (max 30 seconds)
-          const maxWaitTime = 30000; // 30 seconds
-          const pollInterval = 100; // 100ms
-          const startTime = Date.now();
-
-          while (node.authenticationInProgress && (Date.now() - startTime) < maxWaitTime) {
-            await waitDelay(pollInterval);
-          }
-          // Return current authentication status
-          return !!node.accessToken;
-        }
-
-        // If we have a valid token, use it
-        if (node.accessToken) {
-          const now = new Date();
-          const timeToExpire = Math.floor((node.tokenExpires - now) / 1000);
-
-          // If token is still valid (more than 1 minute remaining), use it
-          if (timeToExpire > 60) {
-            return true;
-          }
-        }
-
-        // Token is missing or expiring soon, trigger a check which will refresh/login as needed
-        try {
-          await node.checkToken();
-          return !!node.accessToken;
-        } catch (error) {
-          node.logError("Error ensuring authentication:", error);
-          return false;
-        }
-      };
-
-      /**
-       * Check token expiration and refresh if needed using best practices
+       * Check token expiration and refresh if needed using best practices
        */
       node.checkToken = async() => {
         // Validate credentials before attempting any authentication
@@ -1587,7 +925,15 @@ module.exports = function(RED) {
 
           node.logDebug(`Next token check in ${Math.floor(checkInterval / 1000)}s (time to expire: ${logTimeToExpire}s, token age: ${logTokenAge}s)`);
 
-          // Schedule next token check
+          // Schedule next token check, replacing one already pending when
+          // checkToken() was called early (e.g. from ensureAuthentication)
+          if (node.checkTokenHandler) {
+            clearTimeout(node.checkTokenHandler);
+          }
+          if (node.closed) {
+            node.checkTokenHandler = null;
+            return;
+          }
           node.checkTokenHandler = setTimeout(() => {
             node.checkToken().catch((error) => {
               node.logError("Error in checkToken during scheduled check:", error);
@@ -1626,7 +972,7 @@ module.exports = function(RED) {
           }
         }
 
-        const response = await fetch(
+        const response = await node.timedFetch(
           node.RestApipath + "/accounts/refresh_token",
           {
             method: "POST",
@@ -1639,38 +985,244 @@ module.exports = function(RED) {
               refreshToken: node.refreshToken
             })
           }
-        )
-          .then(async(response) => {
-            const contentType = response.headers.get("content-type");
-            if (contentType && contentType.indexOf("application/json") !== -1) {
-              const json = await response.json();
+        )
+          .then(async(response) => {
+            const contentType = response.headers.get("content-type");
+            if (contentType && contentType.indexOf("application/json") !== -1) {
+              const json = await response.json();
+
+              // Check if the response indicates an error (like invalid refresh token)
+              if (!response.ok) {
+                const errorMsg = json.title || json.errorCodeName || "Unknown error";
+                const errorDetail = json.detail || "";
+                throw new Error(`Token refresh failed (${response.status}): ${errorMsg}${errorDetail ? " - " + errorDetail : ""}`);
+              }
+
+              return json;
+            } else {
+              const errortxt = await response.text();
+              throw new Error("Unable to refresh token, response not JSON: " + errortxt);
+            }
+
+          })
+          .then((json) => {
+            if (!json.accessToken) {
+              // Failed getting token
+              node.logError("doRefreshToken error(): ", json);
+              node.error(
+                "[easee] EaseeConfiguration::doRefreshToken() - Failed doRefreshToken(), REST command did not return token"
+              );
+              return null;
+            }
+
+            // Successful refresh - reset retry counter and update token info
+            node.refreshRetryCount = 0;
+            node.accessToken = json.accessToken;
+            node.refreshToken = json.refreshToken;
+
+            // Update token timing information for best-practice renewal
+            const now = new Date();
+            node.tokenIssuedAt = now;
+            node.tokenLifetime = json.expiresIn || 0;
+
+            const t = new Date();
+            t.setSeconds(t.getSeconds() + json.expiresIn);
+            node.tokenExpires = t;
+
+            node.logInfo(`Token refreshed successfully. Lifetime: ${node.tokenLifetime}s, expires at: ${t.toISOString()}`);
+            node.saveStoredTokens();
+
+            node.emit("update", {
+              update: "Token refreshed successfully"
+            });
+
+            return json;
+          }).catch((error) => {
+            // Determine if this is a token validity issue or network/other issue
+            const isTokenInvalid = error.message.includes("Invalid refresh token") ||
+              error.message.includes("Token refresh failed") ||
+              error.message.includes("401");
+
+            const isNetworkError = error.message.includes("fetch") ||
+              error.message.includes("network") ||
+              error.message.includes("timeout");
+
+            if (isTokenInvalid) {
+              // Token is invalid - clear tokens and request fresh login
+              node.logInfo("Refresh token invalid, clearing tokens and will attempt fresh login");
+              node.accessToken = false;
+              node.refreshToken = false;
+              node.tokenExpires = new Date();
+              node.tokenIssuedAt = new Date();
+              node.tokenLifetime = 0;
+              node.refreshRetryCount = 0; // Reset refresh retry counter
+
+              node.emit("update", {
+                update: "Token refresh failed, will attempt fresh login"
+              });
+
+              return null; // Return null to indicate we should try fresh login
+            } else if (isNetworkError && node.refreshRetryCount < node.maxRefreshRetries) {
+              // Network error - retry refresh
+              node.refreshRetryCount++;
+              node.logInfo(`Network error during token refresh, retry ${node.refreshRetryCount}/${node.maxRefreshRetries}`);
+
+              node.emit("update", {
+                update: `Token refresh retry ${node.refreshRetryCount}/${node.maxRefreshRetries}`
+              });
+
+              // Wait a bit before retrying and return a promise
+              return new Promise((resolve) => {
+                setTimeout(async() => {
+                  try {
+                    const retryResult = await node.doRefreshToken();
+                    resolve(retryResult);
+                  // eslint-disable-next-line no-unused-vars
+                  } catch (retryError) {
+                    resolve(null);
+                  }
+                }, 2000 * node.refreshRetryCount);
+              });
+            } else {
+              // Max retries reached or other error
+              node.logError("Token refresh failed after retries or due to other error:", error);
+              node.refreshRetryCount++;
+              if (node.refreshRetryCount >= node.maxRefreshRetries) {
+                node.logInfo("Max refresh retries reached, clearing tokens and attempting fresh login");
+                node.accessToken = false;
+                node.refreshToken = false;
+                node.tokenExpires = new Date();
+                node.tokenIssuedAt = new Date();
+                node.tokenLifetime = 0;
+                node.refreshRetryCount = 0;
+
+                node.emit("update", {
+                  update: "Token refresh failed after retries, attempting fresh login"
+                });
+
+                return null; // Return null to indicate we should try fresh login
+              }
+
+              node.error(error);
+              node.warn(error);
+              node.logError("Fatal error during doRefreshToken()", error);
+              return null;
+            }
+          });
+
+        return response;
+      };
+
+      /**
+       * Reset authentication state and clear all tokens
+       * Used when authentication completely fails
+       */
+      node.resetAuthenticationState = () => {
+        node.logInfo("Resetting authentication state");
+        node.accessToken = false;
+        node.refreshToken = false;
+        node.tokenExpires = new Date();
+        node.tokenIssuedAt = new Date();
+        node.tokenLifetime = 0;
+        node.refreshRetryCount = 0;
+        node.loginRetryCount = 0;
+        node.clearStoredTokens();
+
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Authentication reset - reconfiguration required"
+        });
+
+        node.emit("update", {
+          update: "Authentication failed - node requires reconfiguration"
+        });
+      };
+
+      /**
+       * Perform login with username and password
+       * @param {string} _username - Username (optional, uses stored credentials if not provided)
+       * @param {string} _password - Password (optional, uses stored credentials if not provided)
+       * @returns {Promise<Object>} The login response
+       */
+      node.doLogin = async(_username, _password) => {
+        // Without a password, "logging in" means using the configured tokens again
+        if (node.authMode !== "password" && !_username && !_password) {
+          let problem = null;
+          const partnerExpires = node.authMode === "partner" ? tokenExpiry(node.credentials.partnerToken.trim()) : null;
+          if (node.authMode === "tokens" && node.configuredTokensTried) {
+            problem = "the configured token pair can no longer be refreshed, enter a new one";
+          } else if (partnerExpires && partnerExpires < new Date()) {
+            problem = "the partner token has expired, enter a new one";
+          }
+          if (problem) {
+            const error = new Error(`Login failed: ${problem}`);
+            node.logError(error.message);
+            node.status({
+              fill: "red",
+              shape: "ring",
+              text: node.authMode === "partner" ? "Partner token expired" : "Token pair expired"
+            });
+            throw error;
+          }
+
+          node.loadConfiguredTokens();
+          node.status({
+            fill: "green",
+            shape: "dot",
+            text: node.authMode === "partner" ? "Using partner token" : "Using token pair"
+          });
+          return {
+            accessToken: node.accessToken,
+            refreshToken: node.refreshToken,
+            expiresIn: Math.max(0, Math.floor((node.tokenExpires - new Date()) / 1000))
+          };
+        }
+
+        // If no parameters provided, validate stored credentials
+        if (!_username && !_password) {
+          const credentialsCheck = node.validateCredentials();
+          if (!credentialsCheck.valid) {
+            const error = new Error(`Cannot login: ${credentialsCheck.message}`);
+            node.logError(`Login failed: ${credentialsCheck.message}`);
+            node.status({
+              fill: "red",
+              shape: "ring",
+              text: "Invalid configuration - missing credentials"
+            });
+            throw error;
+          }
+        }
 
-              // Check if the response indicates an error (like invalid refresh token)
-              if (!response.ok) {
-                const errorMsg = json.title || json.errorCodeName || "Unknown error";
-                const errorDetail = json.detail || "";
-                throw new Error(`Token refresh failed (${response.status}): ${errorMsg}${errorDetail ? " - " + errorDetail : ""}`);
-              }
+        if (!_username && !node.username) {
+          const error = new Error("No username provided for login");
+          node.logError("Login failed: No username configured");
+          node.status({
+            fill: "red",
+            shape: "ring",
+            text: "No username configured"
+          });
+          throw error;
+        }
 
-              return json;
-            } else {
-              const errortxt = await response.text();
-              throw new Error("Unable to refresh token, response not JSON: " + errortxt);
-            }
+        if (!_password && !node.credentials?.password) {
+          const error = new Error("No password provided for login");
+          node.logError("Login failed: No password configured");
+          node.status({
+            fill: "red",
+            shape: "ring",
+            text: "No password configured"
+          });
+          throw error;
+        }
 
-          })
+        const response = await requestLogin(
+          node.RestApipath,
+          _username ?? node.username,
+          _password ?? node.credentials.password,
+          node.timedFetch
+        )
           .then((json) => {
-            if (!json.accessToken) {
-              // Failed getting token
-              node.logError("doRefreshToken error(): ", json);
-              node.error(
-                "[easee] EaseeConfiguration::doRefreshToken() - Failed doRefreshToken(), REST command did not return token"
-              );
-              return null;
-            }
-
-            // Successful refresh - reset retry counter and update token info
-            node.refreshRetryCount = 0;
             node.accessToken = json.accessToken;
             node.refreshToken = json.refreshToken;
 
@@ -1683,249 +1235,741 @@ module.exports = function(RED) {
             t.setSeconds(t.getSeconds() + json.expiresIn);
             node.tokenExpires = t;
 
-            node.logInfo(`Token refreshed successfully. Lifetime: ${node.tokenLifetime}s, expires at: ${t.toISOString()}`);
+            // Reset retry counters on successful login
+            node.refreshRetryCount = 0;
+            node.loginRetryCount = 0;
+
+            node.logInfo(`Login successful. Token lifetime: ${node.tokenLifetime}s, expires at: ${t.toISOString()}`);
+            node.saveStoredTokens();
+
+            node.status({
+              fill: "green",
+              shape: "dot",
+              text: "Authenticated successfully"
+            });
 
             node.emit("update", {
-              update: "Token refreshed successfully"
+              update: "Login successful, token retrieved"
             });
 
             return json;
           }).catch((error) => {
-            // Determine if this is a token validity issue or network/other issue
-            const isTokenInvalid = error.message.includes("Invalid refresh token") ||
-              error.message.includes("Token refresh failed") ||
-              error.message.includes("401");
+            // Check if this is a credential error
+            const isCredentialError = error.message.includes("401") ||
+              error.message.includes("Unauthorized") ||
+              error.message.includes("Invalid credentials") ||
+              error.message.includes("Login failed");
 
-            const isNetworkError = error.message.includes("fetch") ||
-              error.message.includes("network") ||
-              error.message.includes("timeout");
+            if (isCredentialError) {
+              node.status({
+                fill: "red",
+                shape: "ring",
+                text: "Invalid credentials"
+              });
+              console.error("[easee] Login failed due to invalid credentials:", error.message);
+            } else {
+              node.status({
+                fill: "red",
+                shape: "ring",
+                text: "Login error"
+              });
+              console.error("[easee] Login failed due to other error:", error.message);
+            }
 
-            if (isTokenInvalid) {
-              // Token is invalid - clear tokens and request fresh login
-              node.logInfo("Refresh token invalid, clearing tokens and will attempt fresh login");
-              node.accessToken = false;
-              node.refreshToken = false;
-              node.tokenExpires = new Date();
-              node.tokenIssuedAt = new Date();
-              node.tokenLifetime = 0;
-              node.refreshRetryCount = 0; // Reset refresh retry counter
+            node.error(error);
+            throw error; // Re-throw to be handled by caller
+          });
 
-              node.emit("update", {
-                update: "Token refresh failed, will attempt fresh login"
-              });
+        return response;
+      };
 
-              return null; // Return null to indicate we should try fresh login
-            } else if (isNetworkError && node.refreshRetryCount < node.maxRefreshRetries) {
-              // Network error - retry refresh
-              node.refreshRetryCount++;
-              node.logInfo(`Network error during token refresh, retry ${node.refreshRetryCount}/${node.maxRefreshRetries}`);
+      /**
+       * Log in again now, and restart the token check cycle, which stops
+       * after repeated login failures. Used by the editor's "Log in again"
+       * button.
+       *
+       * @returns {Promise<Object>} The login response
+       */
+      node.relogin = async() => {
+        node.logInfo("Login restarted from the editor");
+        node.refreshRetryCount = 0;
+        node.loginRetryCount = 0;
+        node.configuredTokensTried = false;
+        const json = await node.doLogin();
+        node.checkToken().catch((error) => {
+          node.logError("Error in checkToken after login restart:", error);
+        });
+        return json;
+      };
 
-              node.emit("update", {
-                update: `Token refresh retry ${node.refreshRetryCount}/${node.maxRefreshRetries}`
-              });
+      /**
+       * Shared SignalR hub connection
+       *
+       * All streaming nodes using this configuration share one hub connection.
+       * Nodes register the chargers they want with registerHubClient(), and hub
+       * messages are dispatched to the nodes that asked for that charger. The
+       * connection is opened when the first node registers and closed shortly
+       * after the last one unregisters, so redeploying one streaming node does
+       * not tear down the socket for the others.
+       */
+      node.hubClients = new Map();
+      node.hubConnection = null;
+      node.hubStarting = null; // promise of the connection being opened
+      node.hubConnectionId = "";
+      node.hubConnected = false;
+      node.hubReconnectHandle = null;
+      node.hubIdleHandle = null;
+      node.hubClosing = false;
+      node.hubFailureCount = 0;
+      node.hubCircuitOpen = false;
+      node.HUB_IDLE_TIMEOUT = 5000; // ms to keep an unused connection open
+      node.HUB_AUTO_RECONNECT_ATTEMPTS = 4; // SignalR reconnects before a full rebuild
+      node.HUB_CIRCUIT_COOLDOWN = 15 * 60 * 1000; // ms between attempts while the circuit is open
+
+      // Reconnect backoff settings (configured in seconds)
+      node.reconnectMinDelay = ChargerHubBackoff.toMilliseconds(n.reconnectMinDelay, 3);
+      node.reconnectMaxDelay = Math.max(ChargerHubBackoff.toMilliseconds(n.reconnectMaxDelay, 300), node.reconnectMinDelay);
+      node.reconnectFailureThreshold = parseInt(n.reconnectFailureThreshold) > 0 ? parseInt(n.reconnectFailureThreshold) : 10;
 
-              // Wait a bit before retrying and return a promise
-              return new Promise((resolve) => {
-                setTimeout(async() => {
-                  try {
-                    const retryResult = await node.doRefreshToken();
-                    resolve(retryResult);
-                  // eslint-disable-next-line no-unused-vars
-                  } catch (retryError) {
-                    resolve(null);
-                  }
-                }, 2000 * node.refreshRetryCount);
-              });
-            } else {
-              // Max retries reached or other error
-              node.logError("Token refresh failed after retries or due to other error:", error);
-              node.refreshRetryCount++;
-              if (node.refreshRetryCount >= node.maxRefreshRetries) {
-                node.logInfo("Max refresh retries reached, clearing tokens and attempting fresh login");
-                node.accessToken = false;
-                node.refreshToken = false;
-                node.tokenExpires = new Date();
-                node.tokenIssuedAt = new Date();
-                node.tokenLifetime = 0;
-                node.refreshRetryCount = 0;
+      /**
+       * Reconnect delay for the given attempt using the configured backoff
+       *
+       * @param {number} attempt 1-based attempt number
+       * @param {function} random random source, for testing
+       * @returns {number} delay in ms
+       */
+      node.getReconnectDelay = (attempt, random = Math.random) => {
+        return ChargerHubBackoff.getDelay(attempt, node.reconnectMinDelay, node.reconnectMaxDelay, random);
+      };
 
-                node.emit("update", {
-                  update: "Token refresh failed after retries, attempting fresh login"
+      /**
+       * Register a streaming node as a consumer of the shared hub connection
+       *
+       * The client must be a Node-RED node that implements resolveChargers()
+       * and handleHubMessage(type, data). Connection state is reported to it
+       * through its "opened", "closed" and "erro" events.
+       *
+       * @param {object} client streaming node
+       * @param {object} options
+       * @param {boolean} options.allChargers subscribe to every charger on the account
+       * @param {boolean} options.skipNegotiation force a direct WebSocket connection
+       * @param {boolean} options.currentState ask for the current state when subscribing
+       */
+      node.registerHubClient = (client, options = {}) => {
+        if (node.hubIdleHandle) {
+          clearTimeout(node.hubIdleHandle);
+          node.hubIdleHandle = null;
+        }
+
+        node.hubClients.set(client.id, {
+          client: client,
+          chargers: [],
+          allChargers: !!options.allChargers,
+          skipNegotiation: options.skipNegotiation !== false,
+          currentState: options.currentState !== false
+        });
+        node.logDebug(`Hub client registered: ${client.id} (${node.hubClients.size} total)`);
+
+        if (node.hubConnected) {
+          client.emit("opened", {
+            count: node.hubClients.size,
+            id: node.hubConnectionId
+          });
+          return node.subscribeHubClient(client.id);
+        }
+
+        if (!node.hubConnection && (!node.hubReconnectHandle || node.hubCircuitOpen)) {
+          // Registering while the circuit is open probes the connection right away
+          node.startHub();
+        }
+        return Promise.resolve();
+      };
+
+      /**
+       * Remove a streaming node from the shared hub connection. The connection
+       * is stopped once no clients remain after HUB_IDLE_TIMEOUT.
+       *
+       * @param {object} client streaming node
+       */
+      node.unregisterHubClient = (client) => {
+        if (!node.hubClients.delete(client.id)) {
+          return;
+        }
+        node.logDebug(`Hub client unregistered: ${client.id} (${node.hubClients.size} left)`);
+
+        if (node.hubClients.size === 0 && !node.hubIdleHandle) {
+          node.hubIdleHandle = setTimeout(() => {
+            node.hubIdleHandle = null;
+            if (node.hubClients.size === 0) {
+              node.stopHub();
+            }
+          }, node.HUB_IDLE_TIMEOUT);
+        }
+      };
+
+      /**
+       * Resolve and subscribe to the chargers for one registered client
+       *
+       * @param {string} clientId
+       */
+      node.subscribeHubClient = async(clientId) => {
+        const entry = node.hubClients.get(clientId);
+        if (!entry || !node.hubConnected) {
+          return;
+        }
+
+        let chargers;
+        try {
+          chargers = await entry.client.resolveChargers();
+        } catch (error) {
+          entry.client.emit("erro", {
+            err: `Failed to list chargers: ${error.message}`,
+            id: node.hubConnectionId
+          });
+          return;
+        }
+
+        if (!chargers || chargers.length === 0) {
+          entry.client.emit("erro", {
+            err: "No chargers found to subscribe to",
+            id: node.hubConnectionId
+          });
+          return;
+        }
+
+        entry.chargers = chargers;
+        for (const charger of chargers) {
+          try {
+            node.logDebug("Subscribing to charger:", charger);
+            await node.hubConnection.send("SubscribeWithCurrentState", charger, entry.currentState);
+          } catch (error) {
+            node.logError("Error sending SubscribeWithCurrentState:", error);
+            entry.client.emit("erro", {
+              err: `Failed to subscribe to charger ${charger} updates: ${error.message}`,
+              id: node.hubConnectionId
+            });
+          }
+        }
+        entry.client.emit("subscribed", {
+          chargers: chargers,
+          id: node.hubConnectionId
+        });
+      };
+
+      /**
+       * Deliver a hub message to the clients subscribed to its charger
+       *
+       * @param {string} type hub method name (ProductUpdate, ChargerUpdate, CommandResponse)
+       * @param {object} data
+       */
+      node.dispatchHubMessage = (type, data) => {
+        const charger = data?.mid ?? data?.serialNumber ?? data?.SerialNumber ?? null;
+        if (charger !== null && (type === "ProductUpdate" || type === "ChargerUpdate")) {
+          node.rememberObservation(charger, parseObservation({ ...data }), "stream");
+        }
+        node.hubClients.forEach((entry) => {
+          if (charger === null || entry.allChargers || entry.chargers.includes(charger)) {
+            // Each client gets its own copy, as parseObservation() mutates the data
+            entry.client.handleHubMessage(type, { ...data }, charger);
+          }
+        });
+      };
+
+      /**
+       * Notify every registered client
+       *
+       * @param {string} event
+       * @param {object} payload
+       */
+      node.notifyHubClients = (event, payload) => {
+        node.hubClients.forEach((entry) => {
+          entry.client.emit(event, payload);
+        });
+      };
+
+      /**
+       * Open the shared hub connection. Callers arriving while it is being
+       * opened, e.g. nodes registering during the login, share that attempt.
+       *
+       * @returns {Promise<void>}
+       */
+      node.startHub = () => {
+        node.hubClosing = false;
+        if (node.hubReconnectHandle) {
+          clearTimeout(node.hubReconnectHandle);
+          node.hubReconnectHandle = null;
+        }
+        if (node.hubConnection) {
+          return Promise.resolve();
+        }
+        if (!node.hubStarting) {
+          const starting = node.openHub(() => node.hubStarting === starting).finally(() => {
+            if (node.hubStarting === starting) {
+              node.hubStarting = null;
+            }
+          });
+          node.hubStarting = starting;
+        }
+        return node.hubStarting;
+      };
+
+      /**
+       * Build and start the hub connection, see startHub()
+       *
+       * @param {function} isCurrent false once stopHub() abandoned this attempt
+       * @returns {Promise<void>}
+       */
+      node.openHub = async(isCurrent) => {
+        const isAuthenticated = await node.ensureAuthentication().catch((error) => {
+          node.logError("Error ensuring authentication for hub connection:", error);
+          return false;
+        });
+        if (!isCurrent() || node.hubClosing || node.hubClients.size === 0) {
+          return;
+        }
+        if (!isAuthenticated || !node.accessToken) {
+          node.notifyHubClients("erro", {
+            err: "No accessToken, waiting"
+          });
+          node.scheduleHubReconnect("No accessToken");
+          return;
+        }
+
+        // Force a direct WebSocket connection if any client asks for it
+        const skipNegotiation = Array.from(node.hubClients.values()).some((entry) => entry.skipNegotiation);
+
+        const signalROptions = {
+          accessTokenFactory: () => {
+            const token = node.accessToken;
+            node.logDebug("Providing access token for SignalR, length:", token ? token.length : 0);
+            return token;
+          }
+        };
+        if (skipNegotiation) {
+          signalROptions.skipNegotiation = true;
+          signalROptions.transport = signalR.HttpTransportType.WebSockets;
+          node.logDebug("SignalR negotiation disabled - forcing direct WebSocket connection");
+        }
+
+        node.logDebug("Establishing easee SignalR connection to hub:", node.signalRpath);
+
+        let connection;
+        try {
+          connection = new signalR.HubConnectionBuilder()
+            .withUrl(node.signalRpath, signalROptions)
+            .withAutomaticReconnect({
+              nextRetryDelayInMilliseconds: (retryContext) => {
+                // Give up after a few attempts and let onclose rebuild the connection
+                if (retryContext.previousRetryCount >= node.HUB_AUTO_RECONNECT_ATTEMPTS) {
+                  return null;
+                }
+                const delay = node.getReconnectDelay(retryContext.previousRetryCount + 1);
+                node.notifyHubClients("reconnecting", {
+                  attempt: retryContext.previousRetryCount + 1,
+                  delay: delay,
+                  nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+                  automatic: true,
+                  circuitOpen: false,
+                  error: retryContext.retryReason?.message || null
                 });
+                return delay;
+              }
+            })
+            .configureLogging(signalR.LogLevel.Debug)
+            .build();
+        } catch (error) {
+          node.logError("Error creating SignalR connection:", error);
+          node.notifyHubClients("erro", {
+            err: `[easee] Error creating SignalR connection: ${error.message}`
+          });
+          return;
+        }
+
+        node.hubConnection = connection;
+        let abandoned = false;
+
+        ["ProductUpdate", "ChargerUpdate", "CommandResponse"].forEach((type) => {
+          connection.on(type, (data) => node.dispatchHubMessage(type, data));
+        });
 
-                return null; // Return null to indicate we should try fresh login
-              }
+        connection.onreconnecting((err) => {
+          node.logInfo("SignalR connection lost, reconnecting:", err?.message || "unknown reason");
+          node.hubConnected = false;
+        });
 
-              node.error(error);
-              node.warn(error);
-              node.logError("Fatal error during doRefreshToken()", error);
-              return null;
-            }
+        connection.onreconnected(async(connectionId) => {
+          node.logInfo("SignalR connection re-established");
+          node.hubConnected = true;
+          node.hubConnectionId = connectionId;
+          node.hubFailureCount = 0;
+          node.hubCircuitOpen = false;
+          node.notifyHubClients("opened", {
+            count: node.hubClients.size,
+            id: connectionId
           });
+          // Subscriptions belong to the old connection id, so they must be renewed
+          for (const clientId of node.hubClients.keys()) {
+            await node.subscribeHubClient(clientId);
+          }
+        });
 
-        return response;
+        connection.onclose((err) => {
+          if (abandoned) {
+            return;
+          }
+          const id = node.hubConnectionId;
+          node.hubConnected = false;
+          node.hubConnection = null;
+          node.hubConnectionId = "";
+          node.notifyHubClients("closed", {
+            count: 0,
+            id: id
+          });
+          if (err) {
+            node.notifyHubClients("erro", {
+              err: err.message || err,
+              id: id
+            });
+          }
+          node.scheduleHubReconnect(err);
+        });
+
+        try {
+          await connection.start();
+        } catch (err) {
+          if (node.hubConnection !== connection) {
+            return;
+          }
+          node.hubConnection = null;
+          if (!node.hubClosing) {
+            node.notifyHubClients("erro", {
+              err: err.message || err
+            });
+          }
+          node.scheduleHubReconnect(err);
+          return;
+        }
+        if (!isCurrent() || node.hubConnection !== connection) {
+          // Stopped while starting, so nothing may use this connection
+          abandoned = true;
+          await connection.stop().catch(() => {});
+          return;
+        }
+
+        node.hubConnected = true;
+        node.hubConnectionId = connection.connectionId;
+        node.hubFailureCount = 0;
+        node.hubCircuitOpen = false;
+        node.notifyHubClients("opened", {
+          count: node.hubClients.size,
+          id: node.hubConnectionId
+        });
+
+        for (const clientId of node.hubClients.keys()) {
+          await node.subscribeHubClient(clientId);
+        }
       };
 
       /**
-       * Reset authentication state and clear all tokens
-       * Used when authentication completely fails
+       * Try opening the hub connection again, backing off exponentially with
+       * jitter. After reconnectFailureThreshold consecutive failures the
+       * circuit opens, and attempts are only made every HUB_CIRCUIT_COOLDOWN.
+       *
+       * @param {*} error reason for the reconnect, reported to clients
        */
-      node.resetAuthenticationState = () => {
-        node.logInfo("Resetting authentication state");
-        node.accessToken = false;
-        node.refreshToken = false;
-        node.tokenExpires = new Date();
-        node.tokenIssuedAt = new Date();
-        node.tokenLifetime = 0;
-        node.refreshRetryCount = 0;
-        node.loginRetryCount = 0;
+      node.scheduleHubReconnect = (error = null) => {
+        if (node.hubReconnectHandle) {
+          clearTimeout(node.hubReconnectHandle);
+          node.hubReconnectHandle = null;
+        }
+        if (node.hubClosing || node.hubClients.size === 0) {
+          return;
+        }
 
-        node.status({
-          fill: "red",
-          shape: "ring",
-          text: "Authentication reset - reconfiguration required"
-        });
+        node.hubFailureCount++;
+        let delay;
+        if (node.hubFailureCount >= node.reconnectFailureThreshold) {
+          if (!node.hubCircuitOpen) {
+            node.logWarn(`SignalR connection failed ${node.hubFailureCount} times, opening circuit`);
+          }
+          node.hubCircuitOpen = true;
+          delay = Math.max(node.HUB_CIRCUIT_COOLDOWN, node.reconnectMaxDelay);
+        } else {
+          delay = node.getReconnectDelay(node.hubFailureCount);
+        }
 
-        node.emit("update", {
-          update: "Authentication failed - node requires reconfiguration"
+        node.logDebug(`Reconnecting SignalR in ${delay}ms (attempt ${node.hubFailureCount})`);
+        node.notifyHubClients("reconnecting", {
+          attempt: node.hubFailureCount,
+          delay: delay,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+          automatic: false,
+          circuitOpen: node.hubCircuitOpen,
+          error: error ? (error.message || String(error)) : null
         });
+
+        node.hubReconnectHandle = setTimeout(() => {
+          node.hubReconnectHandle = null;
+          node.startHub();
+        }, delay);
       };
 
       /**
-       * Perform login with username and password
-       * @param {string} _username - Username (optional, uses stored credentials if not provided)
-       * @param {string} _password - Password (optional, uses stored credentials if not provided)
-       * @returns {Promise<Object>} The login response
+       * Close the shared hub connection and stop reconnecting
+       *
+       * @returns {Promise<void>}
        */
-      node.doLogin = async(_username, _password) => {
-        const url = "/accounts/login";
+      node.stopHub = async() => {
+        node.hubClosing = true;
+        node.hubStarting = null;
+        if (node.hubReconnectHandle) {
+          clearTimeout(node.hubReconnectHandle);
+          node.hubReconnectHandle = null;
+        }
+        if (node.hubIdleHandle) {
+          clearTimeout(node.hubIdleHandle);
+          node.hubIdleHandle = null;
+        }
+        const connection = node.hubConnection;
+        node.hubConnection = null;
+        node.hubConnected = false;
+        if (connection) {
+          node.logDebug("Stopping shared SignalR connection");
+          await connection.stop().catch((error) => {
+            node.logError("Error stopping SignalR connection:", error);
+          });
+        }
+      };
 
-        // If no parameters provided, validate stored credentials
-        if (!_username && !_password) {
-          const credentialsCheck = node.validateCredentials();
-          if (!credentialsCheck.valid) {
-            const error = new Error(`Cannot login: ${credentialsCheck.message}`);
-            node.logError(`Login failed: ${credentialsCheck.message}`);
-            node.status({
-              fill: "red",
-              shape: "ring",
-              text: "Invalid configuration - missing credentials"
-            });
-            throw error;
-          }
+      /**
+       * Rebuild the hub connection for all clients
+       *
+       * @returns {Promise<void>}
+       */
+      node.restartHub = async() => {
+        await node.stopHub();
+        node.hubClosing = false;
+        if (node.hubClients.size > 0) {
+          await node.startHub();
         }
+      };
 
-        if (!_username && !node.username) {
-          const error = new Error("No username provided for login");
-          node.logError("Login failed: No username configured");
-          node.status({
-            fill: "red",
-            shape: "ring",
-            text: "No username configured"
+      /**
+       * Charger watching
+       *
+       * Nodes acting on a charger watch its hub messages to see what came of
+       * their requests. watchCharger() subscribes to the charger before the
+       * request is sent, so a quick answer is not missed. The watching is done
+       * by one internal hub client, registered while chargers are watched.
+       */
+      node.WATCH_SUBSCRIBE_WAIT = 10000; // ms to wait for the hub before sending anyway
+      node.chargerWatchers = new Set();
+      node.watchHubClient = Object.assign(new EventEmitter(), {
+        id: `${node.id}-watch`,
+        resolveChargers: () => {
+          return Promise.resolve([...new Set([...node.chargerWatchers].map((watcher) => watcher.charger))]);
+        },
+        handleHubMessage: (type, data, charger) => {
+          node.chargerWatchers.forEach((watcher) => {
+            if (watcher.charger === charger) {
+              watcher.listener(type, { ...data });
+            }
           });
-          throw error;
         }
+      });
 
-        if (!_password && !node.credentials?.password) {
-          const error = new Error("No password provided for login");
-          node.logError("Login failed: No password configured");
-          node.status({
-            fill: "red",
-            shape: "ring",
-            text: "No password configured"
-          });
-          throw error;
-        } const response = await fetch(node.RestApipath + url, {
-          method: "post",
-          body: JSON.stringify({
-            userName: _username ?? node.username,
-            password: _password ?? node.credentials.password
-          }),
-          headers: {
-            Accept: "application/json",
-            "Content-Type": "application/json"
+      /**
+       * Start watching the hub messages of a charger. Resolves once the hub is
+       * subscribed to it, or after WATCH_SUBSCRIBE_WAIT.
+       *
+       * @param {string} charger
+       * @param {function} listener called with the hub method name
+       *   (ProductUpdate, ChargerUpdate, CommandResponse) and the data
+       * @returns {Promise<object>} watcher, with close()
+       */
+      node.watchCharger = (charger, listener) => {
+        const client = node.watchHubClient;
+        const watcher = {
+          charger: charger,
+          listener: listener,
+          close: () => {
+            if (node.chargerWatchers.delete(watcher) && node.chargerWatchers.size === 0) {
+              node.unregisterHubClient(client);
+            }
           }
-        })
-          .then(async(response) => {
-            const contentType = response.headers.get("content-type");
-            if (contentType && contentType.indexOf("application/json") !== -1) {
-              const json = await response.json();
-
-              // Check if login failed
-              if (!response.ok) {
-                const errorMsg = json.title || json.errorCodeName || "Login failed";
-                const errorDetail = json.detail || "";
-                throw new Error(`Login failed (${response.status}): ${errorMsg}${errorDetail ? " - " + errorDetail : ""}`);
-              }
+        };
+        node.chargerWatchers.add(watcher);
 
-              return json;
-            } else {
-              const errortxt = await response.text();
-              throw new Error("Unable to login, response not JSON: " + errortxt);
+        return new Promise((resolve) => {
+          const entry = node.hubClients.get(client.id);
+          if (node.hubConnected && entry?.chargers.includes(charger)) {
+            resolve(watcher);
+            return;
+          }
+          const done = () => {
+            clearTimeout(timer);
+            client.removeListener("subscribed", onSubscribed);
+            resolve(watcher);
+          };
+          const onSubscribed = (event) => {
+            if (event.chargers.includes(charger)) {
+              done();
             }
-          })
-          .then((json) => {
-            if ("accessToken" in json) {
-              node.accessToken = json.accessToken;
-              node.refreshToken = json.refreshToken;
-
-              // Update token timing information for best-practice renewal
-              const now = new Date();
-              node.tokenIssuedAt = now;
-              node.tokenLifetime = json.expiresIn || 0;
-
-              const t = new Date();
-              t.setSeconds(t.getSeconds() + json.expiresIn);
-              node.tokenExpires = t;
-
-              // Reset retry counters on successful login
-              node.refreshRetryCount = 0;
-              node.loginRetryCount = 0;
+          };
+          const timer = setTimeout(() => {
+            node.logWarn(`Not subscribed to ${charger} yet, its updates may be missed`);
+            done();
+          }, node.WATCH_SUBSCRIBE_WAIT);
+          client.on("subscribed", onSubscribed);
+
+          if (!entry) {
+            node.registerHubClient(client, { currentState: false });
+          } else if (node.hubConnected) {
+            node.subscribeHubClient(client.id);
+          }
+        });
+      };
 
-              node.logInfo(`Login successful. Token lifetime: ${node.tokenLifetime}s, expires at: ${t.toISOString()}`);
+      /**
+       * Command lifecycle tracking
+       *
+       * A charger command is answered with an accept ({ commandId, ticks });
+       * whether the charger carried it out arrives later as a CommandResponse
+       * on the hub. trackCommand() watches the charger before the command is
+       * sent, and wait() picks the CommandResponse matching the accept.
+       */
+      node.commandTrackers = new Set();
 
-              node.status({
-                fill: "green",
-                shape: "dot",
-                text: "Authenticated successfully"
+      /**
+       * Start listening for the CommandResponses of a charger. Resolves once
+       * the hub is subscribed to it, or after WATCH_SUBSCRIBE_WAIT.
+       *
+       * @param {string} charger
+       * @returns {Promise<object>} tracker, with wait(accept, timeout, signal) and close()
+       */
+      node.trackCommand = async(charger) => {
+        const tracker = {
+          charger: charger,
+          responses: [],
+          listener: null,
+          watcher: null,
+          receive: (data) => {
+            tracker.responses.push(data);
+            if (tracker.listener) {
+              tracker.listener();
+            }
+          },
+          /**
+           * @param {*} accept response of the command request
+           * @param {number} timeout ms
+           * @param {AbortSignal} signal cancels the wait
+           * @returns {Promise<object>} { result, charger, commandId, ticks, response }, result
+           *   being "accepted", "rejected" or "timeout"
+           */
+          wait: (accept, timeout, signal = null) => new Promise((resolve, reject) => {
+            const expected = commandAccept(accept);
+            const signals = [node.requestController.signal, signal].filter((s) => s);
+            let timer = null;
+            const finish = (error, result, response = null) => {
+              clearTimeout(timer);
+              tracker.listener = null;
+              signals.forEach((s) => s.removeEventListener("abort", onAbort));
+              tracker.close();
+              if (error) {
+                reject(error);
+                return;
+              }
+              resolve({
+                result: result,
+                charger: charger,
+                commandId: expected.commandId,
+                ticks: expected.ticks,
+                response: response
               });
+            };
+            const onAbort = (event) => finish(event.target.reason);
 
-              node.emit("update", {
-                update: "Login successful, token retrieved"
-              });
+            tracker.listener = () => {
+              const response = tracker.responses.find((data) => matchesCommand(data, expected));
+              if (response) {
+                finish(null, (response.wasAccepted ?? response.WasAccepted) ? "accepted" : "rejected", response);
+              }
+            };
+            signals.forEach((s) => s.addEventListener("abort", onAbort, { once: true }));
+            timer = setTimeout(() => finish(null, "timeout"), timeout);
+            tracker.listener();
+          }),
+          close: () => {
+            node.commandTrackers.delete(tracker);
+            tracker.watcher?.close();
+          }
+        };
+        node.commandTrackers.add(tracker);
 
-              return json;
-            } else {
-              throw new Error("Login response did not contain access token");
-            }
-          }).catch((error) => {
-            // Check if this is a credential error
-            const isCredentialError = error.message.includes("401") ||
-              error.message.includes("Unauthorized") ||
-              error.message.includes("Invalid credentials") ||
-              error.message.includes("Login failed");
+        tracker.watcher = await node.watchCharger(charger, (type, data) => {
+          if (type === "CommandResponse") {
+            tracker.receive(data);
+          }
+        });
+        return tracker;
+      };
 
-            if (isCredentialError) {
-              node.status({
-                fill: "red",
-                shape: "ring",
-                text: "Invalid credentials"
-              });
-              console.error("[easee] Login failed due to invalid credentials:", error.message);
-            } else {
-              node.status({
-                fill: "red",
-                shape: "ring",
-                text: "Login error"
-              });
-              console.error("[easee] Login failed due to other error:", error.message);
-            }
+      /**
+       * Last known state
+       *
+       * The latest observation of every charger, by dataName, from the hub
+       * (including the current state sent when subscribing) and from
+       * charger_state REST calls, so flows and the editor can ask for the
+       * current state without waiting for the next update.
+       */
+      node.chargerStates = new Map();
 
-            node.error(error);
-            throw error; // Re-throw to be handled by caller
-          });
+      /**
+       * Remember a parsed observation of a charger
+       *
+       * @param {string} charger
+       * @param {object} observation see parseObservation()
+       * @param {string} source "stream" or "rest"
+       */
+      node.rememberObservation = (charger, observation, source) => {
+        if (!observation?.dataName) {
+          return;
+        }
+        if (!node.chargerStates.has(charger)) {
+          node.chargerStates.set(charger, {});
+        }
+        node.chargerStates.get(charger)[observation.dataName] = {
+          ...observation,
+          timestamp: observation.timestamp ?? new Date().toISOString(),
+          source: source
+        };
+      };
 
-        return response;
+      /**
+       * Remember a charger state read over REST, see the charger_state topic
+       *
+       * @param {string} charger
+       * @param {object} state parsed observations by name
+       */
+      node.rememberState = (charger, state) => {
+        Object.values(state).forEach((observation) => node.rememberObservation(charger, observation, "rest"));
+      };
+
+      /**
+       * Last known state of a charger, read over REST when nothing is known
+       * yet or refresh is set
+       *
+       * @param {string} charger
+       * @param {boolean} refresh
+       * @returns {Promise<object>} observations by dataName, each with its
+       *   timestamp and source
+       */
+      node.getChargerSnapshot = async(charger, refresh = false) => {
+        if (refresh || !node.chargerStates.has(charger)) {
+          const request = prepareCommand("charger_state", { charger: charger });
+          request.command.postProcess(await node.genericCall(request.path, "GET", null), request, node);
+        }
+        return { ...(node.chargerStates.get(charger) || {}) };
       };
 
       // Start connecting in two seconds
@@ -1933,11 +1977,303 @@ module.exports = function(RED) {
     }
   }
 
+  /**
+   * Reconnect delay calculation for the shared hub connection
+   */
+  class ChargerHubBackoff {
+    /**
+     * Exponential backoff with "equal jitter": half of the delay is fixed,
+     * the other half random, so many instances don't reconnect in lockstep.
+     *
+     * @param {number} attempt 1-based attempt number
+     * @param {number} minDelay delay of the first attempt in ms
+     * @param {number} maxDelay upper bound in ms
+     * @param {function} random random source returning [0, 1)
+     * @returns {number} delay in ms
+     */
+    static getDelay(attempt, minDelay, maxDelay, random = Math.random) {
+      const exponential = Math.min(maxDelay, minDelay * Math.pow(2, Math.max(attempt - 1, 0)));
+      return Math.round(exponential / 2 + random() * exponential / 2);
+    }
+
+    /**
+     * Convert a seconds setting from the editor to milliseconds
+     *
+     * @param {*} value seconds
+     * @param {number} fallback seconds used when value is missing or invalid
+     * @returns {number}
+     */
+    static toMilliseconds(value, fallback) {
+      const seconds = parseFloat(value);
+      return (seconds > 0 ? seconds : fallback) * 1000;
+    }
+  }
+
+  /**
+   * Normalize an http(s) base URL setting, without the trailing slash
+   *
+   * @param {string} value
+   * @returns {string}
+   * @throws {Error} when it is not an http or https URL
+   */
+  function parseBaseUrl(value) {
+    const url = new URL(value.trim());
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`unsupported protocol ${url.protocol}`);
+    }
+    return url.href.replace(/\/+$/, "");
+  }
+
+  /**
+   * The command ID and ticks of a command's accept, which is a list with one
+   * entry per device or a single object
+   *
+   * @param {*} accept
+   * @returns {{commandId: number|null, ticks: number|null}}
+   */
+  function commandAccept(accept) {
+    const entry = Array.isArray(accept) ? accept[0] : accept;
+    return {
+      commandId: entry?.commandId ?? null,
+      ticks: entry?.ticks ?? null
+    };
+  }
+
+  /**
+   * Whether a CommandResponse answers the accepted command: by ticks when
+   * both have them, otherwise by command ID
+   *
+   * @param {object} response CommandResponse
+   * @param {{commandId: number|null, ticks: number|null}} expected
+   * @returns {boolean}
+   */
+  function matchesCommand(response, expected) {
+    const ticks = response?.ticks ?? response?.Ticks ?? null;
+    if (expected.ticks !== null && ticks !== null) {
+      return ticks === expected.ticks;
+    }
+    const id = response?.id ?? response?.ID ?? null;
+    return expected.commandId !== null && id === expected.commandId;
+  }
+
+  /**
+   * Expiry of a JWT access token
+   *
+   * @param {string} token
+   * @returns {Date|null} null when the token is not a JWT with an exp claim
+   */
+  function tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+      return typeof payload.exp === "number" ? new Date(payload.exp * 1000) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * POST /accounts/login. Errors carry the HTTP status as httpStatus, except
+   * when the request did not reach the API at all.
+   *
+   * @param {string} restApiPath
+   * @param {string} username
+   * @param {string} password
+   * @param {function} send fetch(), with a timeout
+   * @returns {Promise<Object>} The login response, with accessToken
+   */
+  function requestLogin(restApiPath, username, password, send = (url, options) => fetchWithTimeout(url, options, DEFAULT_REQUEST_TIMEOUT)) {
+    return send(restApiPath + "/accounts/login", {
+      method: "post",
+      body: JSON.stringify({
+        userName: username,
+        password: password
+      }),
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json"
+      }
+    })
+      .then(async(response) => {
+        const withStatus = (error) => {
+          error.httpStatus = response.status;
+          error.retryAfter = response.headers.get("retry-after");
+          return error;
+        };
+        const contentType = response.headers.get("content-type");
+        if (contentType && contentType.indexOf("application/json") !== -1) {
+          const json = await response.json();
+
+          // Check if login failed
+          if (!response.ok) {
+            const errorMsg = json.title || json.errorCodeName || "Login failed";
+            const errorDetail = json.detail || "";
+            throw withStatus(new Error(`Login failed (${response.status}): ${errorMsg}${errorDetail ? " - " + errorDetail : ""}`));
+          }
+          if (!("accessToken" in json)) {
+            throw withStatus(new Error("Login response did not contain access token"));
+          }
+
+          return json;
+        } else {
+          const errortxt = await response.text();
+          throw withStatus(new Error("Unable to login, response not JSON: " + errortxt));
+        }
+      });
+  }
+
+  /**
+   * Describe a login attempt for the editor
+   *
+   * @param {Object} json login response, when it succeeded
+   * @param {Error} error when it failed
+   * @returns {Object} { result, message, tokenLifetime, expiresAt, httpStatus, retryAfter }
+   */
+  function describeLogin(json, error = null) {
+    if (!error) {
+      const tokenLifetime = json.expiresIn || 0;
+      return {
+        result: "success",
+        message: `Logged in, the token is valid for ${Math.round(tokenLifetime / 60)} minutes`,
+        tokenLifetime: tokenLifetime,
+        expiresAt: new Date(Date.now() + tokenLifetime * 1000).toISOString()
+      };
+    }
+    const status = error.httpStatus;
+    let result = "error";
+    if (status === undefined || status === null) {
+      result = "network_error";
+    } else if (status === 429) {
+      result = "rate_limited";
+    } else if (status === 400 || status === 401 || status === 403) {
+      result = "invalid_credentials";
+    }
+    return {
+      result: result,
+      message: error.message,
+      httpStatus: status ?? null,
+      retryAfter: error.retryAfter ?? null
+    };
+  }
+
   RED.nodes.registerType("easee-configuration", EaseeConfiguration, {
     credentials: {
       username: { type: "text" },
-      password: { type: "password" }
+      password: { type: "password" },
+      accessToken: { type: "password" },
+      refreshToken: { type: "password" },
+      partnerToken: { type: "password" }
     }
   });
 
+  /**
+   * Test a login with the credentials in the edit dialog, which may not be
+   * deployed yet. A password left unchanged in the dialog is sent as
+   * "__PWRD__", and the deployed one is used instead, but only to the
+   * deployed node's own REST API URL.
+   */
+  RED.httpAdmin.post(
+    "/easee-configuration/test-login",
+    RED.auth.needsPermission("easee-configuration.write"),
+    async function(req, res) {
+      const body = req.body || {};
+
+      let restApiPath = "https://api.easee.com/api";
+      if (body.restApiPath && body.restApiPath.trim() !== "") {
+        try {
+          restApiPath = parseBaseUrl(body.restApiPath);
+        } catch {
+          res.json({ result: "error", message: `Invalid REST API URL ${body.restApiPath}` });
+          return;
+        }
+      }
+
+      const deployed = body.id ? RED.nodes.getNode(body.id) : null;
+      const sameAccount = deployed?.type === "easee-configuration" && deployed.RestApipath === restApiPath;
+      const stored = sameAccount ? RED.nodes.getCredentials(body.id) : null;
+      // The username is a node property, only the password is a credential
+      const username = body.username || (sameAccount ? deployed.username : undefined);
+      const password = body.password && body.password !== "__PWRD__" ? body.password : stored?.password;
+      if (!username || !password) {
+        res.json({ result: "invalid_credentials", message: "Enter a username and password" });
+        return;
+      }
+
+      try {
+        const json = await requestLogin(restApiPath, username, password);
+        res.json(describeLogin(json));
+      } catch (error) {
+        res.json(describeLogin(null, error));
+      }
+    }
+  );
+
+  /**
+   * Log a deployed account in again, e.g. after the token check gave up
+   */
+  RED.httpAdmin.post(
+    "/easee-configuration/:id/login",
+    RED.auth.needsPermission("easee-configuration.write"),
+    async function(req, res) {
+      const node = RED.nodes.getNode(req.params.id);
+      if (!node || node.type !== "easee-configuration") {
+        res.status(404).json({ error: "Deploy the account configuration first" });
+        return;
+      }
+      try {
+        res.json(describeLogin(await node.relogin()));
+      } catch (error) {
+        res.json(describeLogin(null, error));
+      }
+    }
+  );
+
+  /**
+   * Sites, circuits and chargers of a deployed account, for the dropdowns in
+   * the node editors. Add ?refresh=true to skip the cache.
+   */
+  RED.httpAdmin.get(
+    "/easee-configuration/:id/products",
+    RED.auth.needsPermission("easee-configuration.read"),
+    async function(req, res) {
+      const node = RED.nodes.getNode(req.params.id);
+      if (!node || node.type !== "easee-configuration") {
+        res.status(404).json({ error: "Deploy the account configuration first" });
+        return;
+      }
+      try {
+        res.json(await node.getAccountProducts(req.query.refresh === "true"));
+      } catch (error) {
+        node.logError("Failed to list the account's products", error);
+        res.status(502).json({ error: error.message });
+      }
+    }
+  );
+
+  /**
+   * Last known state of the chargers of a deployed account, by charger. Add
+   * ?charger=EH... for one charger, read over REST when nothing is known yet
+   * or with &refresh=true.
+   */
+  RED.httpAdmin.get(
+    "/easee-configuration/:id/snapshot",
+    RED.auth.needsPermission("easee-configuration.read"),
+    async function(req, res) {
+      const node = RED.nodes.getNode(req.params.id);
+      if (!node || node.type !== "easee-configuration") {
+        res.status(404).json({ error: "Deploy the account configuration first" });
+        return;
+      }
+      if (!req.query.charger) {
+        res.json(Object.fromEntries(node.chargerStates));
+        return;
+      }
+      try {
+        res.json(await node.getChargerSnapshot(req.query.charger, req.query.refresh === "true"));
+      } catch (error) {
+        node.logError(`Failed to read the state of ${req.query.charger}`, error);
+        res.status(502).json({ error: error.message });
+      }
+    }
+  );
+
 };
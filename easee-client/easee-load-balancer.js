@@ -0,0 +1,396 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+module.exports = function(RED) {
+  "use strict";
+  const { prepareCommand } = require("./rest-commands");
+  const { EaseeRestError, describeError } = require("./rest-errors");
+
+  // Observations with the per-phase current a charger draws
+  const CURRENT_OBSERVATIONS = ["InCurrent_T3", "InCurrent_T4", "InCurrent_T5"];
+
+  const PHASE_KEYS = [
+    ["l1", "phase1", "p1", "i1"],
+    ["l2", "phase2", "p2", "i2"],
+    ["l3", "phase3", "p3", "i3"]
+  ];
+
+  /**
+   * Per-phase currents from a meter reading: a list of three numbers, or an
+   * object with L1/L2/L3 (or phase1, p1, i1 and so on, in any case)
+   *
+   * @param {*} value
+   * @returns {number[]|null} null when it is not a reading of three phases
+   */
+  function parsePhases(value) {
+    let phases;
+    if (Array.isArray(value)) {
+      phases = value;
+    } else if (typeof value === "object" && value !== null) {
+      const keys = {};
+      Object.keys(value).forEach((key) => {
+        keys[key.toLowerCase().replace(/[^a-z0-9]/g, "")] = value[key];
+      });
+      phases = PHASE_KEYS.map((names) => keys[names.find((name) => keys[name] !== undefined)]);
+    } else {
+      return null;
+    }
+    if (phases.length !== 3) {
+      return null;
+    }
+    phases = phases.map((phase) => (phase === null || phase === "" || phase === undefined) ? NaN : Number(phase));
+    return phases.some((phase) => !isFinite(phase)) ? null : phases;
+  }
+
+  /**
+   * Number setting from the editor, or the fallback when missing or invalid
+   *
+   * @param {*} value
+   * @param {number} fallback
+   * @returns {number}
+   */
+  function setting(value, fallback) {
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? fallback : number;
+  }
+
+  class EaseeLoadBalancer {
+    constructor(n) {
+      RED.nodes.createNode(this, n);
+      const node = this;
+      node.site = n.site;
+      node.circuit = n.circuit;
+      // Chargers on the circuit, whose measured current is the circuit's own draw
+      node.chargers = String(n.chargers || "").split(/[\s,;]+/).filter((id) => id !== "");
+      node.mainFuse = setting(n.mainFuse, 25);
+      node.margin = setting(n.margin, 2);
+      node.hysteresis = setting(n.hysteresis, 1);
+      node.minCurrent = setting(n.minCurrent, 6);
+      node.maxCurrent = setting(n.maxCurrent, 32);
+      node.fallbackCurrent = setting(n.fallbackCurrent, 6);
+      // Seconds between raising the current, 0 for no limit
+      node.writeInterval = setting(n.writeInterval, 30) * 1000;
+      node.staleTimeout = setting(n.staleTimeout, 60) * 1000;
+      // Minutes until the charger drops the current on its own, 0 for never
+      node.timeToLive = setting(n.timeToLive, 0);
+      node.configurationNode = n.configuration;
+      node.connection = RED.nodes.getNode(node.configurationNode);
+
+      // Use configuration node's logging if available, fallback to console
+      node.logInfo = node.connection?.logInfo || function(msg, data) {
+        console.log(`[easee] ${msg}`, data || "");
+      };
+      node.logDebug = node.connection?.logDebug || function(msg, data) {
+        if (node.connection?.debugLogging) {
+          console.log(`[easee] DEBUG: ${msg}`, data || "");
+        }
+      };
+      node.logError = node.connection?.logError || function(msg, error) {
+        console.error(`[easee] ERROR: ${msg}`, error || "");
+      };
+      node.logWarn = node.connection?.logWarn || function(msg, data) {
+        console.warn(`[easee] WARN: ${msg}`, data || "");
+      };
+
+      if (!node.connection) {
+        node.error("[easee] Missing easee configuration node");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Missing configuration"
+        });
+        return;
+      }
+
+      if (!node.connection.isConfigurationValid || !node.connection.isConfigurationValid()) {
+        node.error("[easee] Configuration node is invalid - missing username or password");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Invalid configuration - missing credentials"
+        });
+        return;
+      }
+
+      // Per-phase current last written to the circuit, null until the first write
+      node.applied = null;
+      node.lastWrite = 0;
+      node.writing = false;
+      // Latest reading that came in during a write, decided on when it is done
+      node.pending = null;
+      node.staleHandle = null;
+      node.stale = false;
+      node.watching = null;
+      node.CURRENT_MAX_AGE = 120000; // ms a charger's measured current is used for
+
+      /**
+       * What the chargers on the circuit draw per phase, from their latest
+       * InCurrent observations on the account. Readings older than
+       * CURRENT_MAX_AGE count as 0.
+       *
+       * @returns {number[]|null} null when no charger has a recent reading
+       */
+      node.measuredCurrent = () => {
+        const now = Date.now();
+        const total = [0, 0, 0];
+        let measured = false;
+        node.chargers.forEach((charger) => {
+          const state = node.connection.chargerStates?.get(charger) || {};
+          CURRENT_OBSERVATIONS.forEach((name, phase) => {
+            const observation = state[name];
+            if (observation && isFinite(observation.value) && now - Date.parse(observation.timestamp) <= node.CURRENT_MAX_AGE) {
+              total[phase] += observation.value;
+              measured = true;
+            }
+          });
+        });
+        return measured ? total : null;
+      };
+
+      /**
+       * Safe per-phase current for the circuit: what the main fuse allows,
+       * less the margin and what the rest of the house draws. The circuit's
+       * own draw must be measured; without a measurement it is taken as 0,
+       * so the whole meter reading counts as house load.
+       *
+       * @param {number[]} meter per-phase current on the main fuse
+       * @param {number[]|null} circuitCurrent per-phase current of the circuit
+       * @returns {number[]}
+       */
+      node.calculate = (meter, circuitCurrent) => {
+        return meter.map((current, phase) => {
+          const own = circuitCurrent ? circuitCurrent[phase] : 0;
+          const house = Math.max(0, current - own);
+          const available = Math.floor(node.mainFuse - node.margin - house);
+          if (available < node.minCurrent) {
+            return 0;
+          }
+          return Math.min(available, node.maxCurrent);
+        });
+      };
+
+      /**
+       * Whether and why to write a new limit
+       *
+       * @param {number[]} limit
+       * @returns {{write: boolean, decision: string, reason: string}}
+       */
+      node.decide = (limit) => {
+        if (!node.applied) {
+          return { write: true, decision: "write", reason: "First reading" };
+        }
+        const lower = limit.some((current, phase) => current < node.applied[phase]);
+        if (lower) {
+          // Protecting the fuse is never held back
+          return { write: true, decision: "write", reason: "Less current available" };
+        }
+        const change = Math.max(...limit.map((current, phase) => current - node.applied[phase]));
+        if (change === 0 || change < node.hysteresis) {
+          return { write: false, decision: "hold", reason: change === 0 ? "Unchanged" : `Change of ${change} A is within the hysteresis` };
+        }
+        const wait = node.lastWrite + node.writeInterval - Date.now();
+        if (wait > 0) {
+          return { write: false, decision: "wait", reason: `More current available, next write in ${Math.ceil(wait / 1000)}s` };
+        }
+        return { write: true, decision: "write", reason: "More current available" };
+      };
+
+      /**
+       * Write the per-phase current through the dynamic_current command
+       *
+       * @param {number[]} limit
+       * @returns {Promise<*>}
+       */
+      node.write = async(limit) => {
+        const payload = { phase1: limit[0], phase2: limit[1], phase3: limit[2] };
+        if (node.timeToLive > 0) {
+          payload.timeToLive = node.timeToLive;
+        }
+        const request = prepareCommand("dynamic_current", { site: node.site, circuit: node.circuit }, payload);
+        node.writing = true;
+        node.lastWrite = Date.now();
+        try {
+          const response = await node.connection.withSignal(node.requestController.signal)
+            .genericCall(request.path, request.method, request.body);
+          node.applied = limit;
+          return response;
+        } finally {
+          node.writing = false;
+          const pending = node.pending;
+          node.pending = null;
+          if (pending && !node.closed) {
+            // After the caller has reported this write
+            setImmediate(() => node.evaluate({}, pending));
+          }
+        }
+      };
+
+      /**
+       * Send a decision on the output, for auditing
+       *
+       * @param {object} msg input message, or a new one
+       * @param {object} decision msg.payload
+       * @param {Error} error when the write failed
+       */
+      node.report = (msg, decision, error = null) => {
+        if (node.closed) {
+          return;
+        }
+        const applied = node.applied ? node.applied.map((current) => `${current}`).join("/") + " A" : "not set";
+        node.status({
+          fill: error ? "red" : (decision.decision === "fallback" ? "yellow" : "green"),
+          shape: decision.decision === "write" || decision.decision === "fallback" ? "dot" : "ring",
+          text: error ? `Write failed, ${applied}` : `${decision.decision}: ${applied}`
+        });
+        msg.topic = decision.decision;
+        msg.payload = decision;
+        if (error) {
+          msg.error = describeError(error);
+        }
+        node.send(msg);
+      };
+
+      /**
+       * Apply a limit when the decision says so, and report it
+       *
+       * @param {object} msg
+       * @param {object} decision with limit, write, decision and reason
+       */
+      node.apply = async(msg, decision) => {
+        const { write, ...audit } = decision;
+        audit.site = node.site;
+        audit.circuit = node.circuit;
+        audit.previous = node.applied;
+        if (!write) {
+          audit.applied = node.applied;
+          node.report(msg, audit);
+          return;
+        }
+        try {
+          await node.write(decision.limit);
+          audit.applied = node.applied;
+          node.logDebug(`Dynamic circuit current ${decision.limit.join("/")} A: ${decision.reason}`);
+          node.report(msg, audit);
+        } catch (error) {
+          if (decision.decision === "fallback") {
+            // Try again after another stale timeout, unless the meter is back
+            node.watchMeter();
+          }
+          audit.decision = "error";
+          audit.applied = node.applied;
+          node.logError("Failed to write the dynamic circuit current:", error.message ?? error);
+          node.report(msg, audit, error);
+        }
+      };
+
+      /**
+       * (Re)start the timer applying the fallback current when the meter
+       * goes quiet
+       */
+      node.watchMeter = () => {
+        clearTimeout(node.staleHandle);
+        node.staleHandle = node.staleTimeout > 0 ? setTimeout(node.fallback, node.staleTimeout) : null;
+      };
+
+      /**
+       * Apply the fallback current, as the meter data is stale
+       */
+      node.fallback = async() => {
+        node.staleHandle = null;
+        node.stale = true;
+        node.logWarn(`No meter reading for ${node.staleTimeout / 1000}s, falling back to ${node.fallbackCurrent} A`);
+        await node.evaluate({}, {
+          meter: null,
+          circuitCurrent: null,
+          limit: [node.fallbackCurrent, node.fallbackCurrent, node.fallbackCurrent]
+        });
+      };
+
+      /**
+       * Decide on a reading and apply it. A reading without a meter value is
+       * the fallback. While a write is in progress the latest reading is
+       * kept and decided on when the write is done, so a lower limit or the
+       * fallback is never lost.
+       *
+       * @param {object} msg
+       * @param {{meter: number[]|null, circuitCurrent: number[]|null, limit: number[]}} reading
+       */
+      node.evaluate = async(msg, reading) => {
+        let decision;
+        if (node.writing) {
+          node.pending = reading;
+          decision = { write: false, decision: "wait", reason: "A write is in progress" };
+        } else if (!reading.meter) {
+          const unchanged = node.applied && node.applied.every((current) => current === node.fallbackCurrent);
+          decision = { write: !unchanged, decision: "fallback", reason: `No meter reading for ${node.staleTimeout / 1000}s` };
+        } else if (node.stale) {
+          // Leave the fallback as soon as the meter is back
+          decision = { write: true, decision: "write", reason: "Meter reading is back" };
+          node.stale = false;
+        } else {
+          decision = node.decide(reading.limit);
+        }
+        await node.apply(msg, { ...decision, ...reading });
+      };
+
+      node.requestController = new AbortController();
+      node.on("close", function(removed, done) {
+        node.closed = true;
+        clearTimeout(node.staleHandle);
+        node.watching?.then((watchers) => watchers.forEach((watcher) => watcher.close()));
+        node.requestController.abort(new EaseeRestError("Request cancelled, the node was closed", { code: "cancelled" }));
+        done();
+      });
+
+      node.on("input", async function(msg, send, done) {
+        const meter = parsePhases(msg.payload);
+        const circuitCurrent = msg.circuitCurrent === undefined ? node.measuredCurrent() : parsePhases(msg.circuitCurrent);
+        if (!meter || (msg.circuitCurrent !== undefined && !circuitCurrent)) {
+          const error = new EaseeRestError(meter ?
+            "msg.circuitCurrent is not a reading of three phases" :
+            "msg.payload is not a meter reading of three phases, like {\"L1\": 12.5, \"L2\": 8, \"L3\": 10.2}", { code: "invalid_request" });
+          node.report(msg, { decision: "error", reason: error.message, meter: null, circuitCurrent: null, limit: null, site: node.site, circuit: node.circuit, previous: node.applied, applied: node.applied }, error);
+          if (done) {
+            done();
+          }
+          return;
+        }
+
+        if (!node.watching) {
+          // Keep the chargers streamed, so their measured current is up to date
+          node.watching = Promise.all(node.chargers.map((charger) => node.connection.watchCharger(charger, () => {})));
+        }
+        node.watchMeter();
+        await node.evaluate(msg, { meter: meter, circuitCurrent: circuitCurrent, limit: node.calculate(meter, circuitCurrent) });
+        if (done) {
+          done();
+        }
+      });
+
+      node.watchMeter();
+    }
+  }
+
+  RED.nodes.registerType("easee-load-balancer", EaseeLoadBalancer);
+};
@@ -0,0 +1,409 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+module.exports = function(RED) {
+  "use strict";
+  const { prepareCommand, resolveTime } = require("./rest-commands");
+  const { EaseeRestError, describeError } = require("./rest-errors");
+
+  const MODES = ["plan", "charge_plan", "commands"];
+
+  const HOUR = 3600000;
+
+  /**
+   * First property of an object that is set, of the given names
+   *
+   * @param {object} entry
+   * @param {string[]} names
+   * @returns {*}
+   */
+  function pick(entry, names) {
+    const name = names.find((key) => entry[key] !== undefined && entry[key] !== null);
+    return name === undefined ? undefined : entry[name];
+  }
+
+  /**
+   * Price slots from msg.payload: a list of { start, end, price }, where
+   * start may also be startsAt, time or deliveryStart, end endsAt or
+   * deliveryEnd, and price value or total. { prices }, { today, tomorrow }
+   * and Nord Pool's { multiAreaEntries } with an area are unwrapped. Slots
+   * without an end last until the next one starts, the last one as long as
+   * the one before it, or an hour.
+   *
+   * @param {*} payload
+   * @param {string} area Nord Pool delivery area, the first one when not given
+   * @returns {Array<{start: Date, end: Date, price: number}>} sorted by start
+   * @throws {Error} when the payload holds no prices
+   */
+  function parsePrices(payload, area) {
+    let entries = payload;
+    if (entries && !Array.isArray(entries) && typeof entries === "object") {
+      if (Array.isArray(entries.multiAreaEntries)) {
+        entries = entries.multiAreaEntries.map((entry) => {
+          const areas = entry.entryPerArea || {};
+          return {
+            start: entry.deliveryStart,
+            end: entry.deliveryEnd,
+            price: areas[area || Object.keys(areas)[0]]
+          };
+        });
+      } else if (Array.isArray(entries.prices)) {
+        entries = entries.prices;
+      } else if (Array.isArray(entries.today) || Array.isArray(entries.tomorrow)) {
+        entries = [...(entries.today || []), ...(entries.tomorrow || [])];
+      }
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error("msg.payload must be a list of prices, like [{\"start\": \"2025-01-01T00:00:00Z\", \"price\": 0.42}]");
+    }
+
+    const slots = entries.map((entry, index) => {
+      const start = new Date(pick(entry, ["start", "startsAt", "time", "deliveryStart"]));
+      const end = pick(entry, ["end", "endsAt", "deliveryEnd"]);
+      const price = Number(pick(entry, ["price", "value", "total"]));
+      if (isNaN(start.getTime()) || !isFinite(price)) {
+        throw new Error(`Price ${index + 1} needs a start and a price`);
+      }
+      return { start: start, end: end === undefined ? null : new Date(end), price: price };
+    }).sort((a, b) => a.start - b.start);
+
+    slots.forEach((slot, index) => {
+      if (!slot.end || isNaN(slot.end.getTime())) {
+        const next = slots[index + 1];
+        const previous = slots[index - 1];
+        slot.end = next ? next.start : new Date(slot.start.getTime() + (previous ? slot.start - previous.start : HOUR));
+      }
+    });
+    return slots;
+  }
+
+  /**
+   * Round to three decimals
+   *
+   * @param {number} value
+   * @returns {number}
+   */
+  function round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Cheapest windows to charge the energy in before the departure
+   *
+   * @param {Array<{start: Date, end: Date, price: number}>} slots see parsePrices()
+   * @param {object} options
+   * @param {number} options.energy kWh to charge
+   * @param {number} options.maxPower kW the charger charges with
+   * @param {Date} options.now slots are only used from now
+   * @param {Date} options.departure slots are only used until then, null for all
+   * @returns {object} plan, with the windows, energy, cost and whether it is complete
+   */
+  function planCharging(slots, options) {
+    const { energy, maxPower, now, departure } = options;
+    const usable = slots.map((slot) => ({
+      start: new Date(Math.max(slot.start.getTime(), now.getTime())),
+      end: new Date(departure ? Math.min(slot.end.getTime(), departure.getTime()) : slot.end.getTime()),
+      price: slot.price
+    })).filter((slot) => slot.end > slot.start);
+
+    let remaining = energy / maxPower * HOUR;
+    const chosen = [];
+    usable.slice().sort((a, b) => a.price - b.price || a.start - b.start).forEach((slot) => {
+      if (remaining <= 0) {
+        return;
+      }
+      const duration = Math.min(slot.end - slot.start, remaining);
+      remaining -= duration;
+      chosen.push({ start: slot.start, end: new Date(slot.start.getTime() + duration), price: slot.price });
+    });
+
+    // Back to back slots are one window
+    const windows = [];
+    chosen.sort((a, b) => a.start - b.start).forEach((slot) => {
+      const slotEnergy = (slot.end - slot.start) / HOUR * maxPower;
+      const last = windows[windows.length - 1];
+      if (last && last.end.getTime() === slot.start.getTime()) {
+        last.end = slot.end;
+        last.energy += slotEnergy;
+        last.cost += slotEnergy * slot.price;
+      } else {
+        windows.push({ start: slot.start, end: slot.end, energy: slotEnergy, cost: slotEnergy * slot.price });
+      }
+    });
+
+    const plannedEnergy = windows.reduce((sum, window) => sum + window.energy, 0);
+    const cost = windows.reduce((sum, window) => sum + window.cost, 0);
+    return {
+      windows: windows.map((window) => ({
+        start: window.start.toISOString(),
+        end: window.end.toISOString(),
+        energy: round(window.energy),
+        cost: round(window.cost),
+        averagePrice: round(window.cost / window.energy)
+      })),
+      energy: round(plannedEnergy),
+      requestedEnergy: energy,
+      cost: round(cost),
+      averagePrice: plannedEnergy > 0 ? round(cost / plannedEnergy) : null,
+      maxPower: maxPower,
+      departure: departure ? departure.toISOString() : null,
+      // Within a millisecond of charging time
+      complete: remaining <= 1
+    };
+  }
+
+  /**
+   * Easee charge plan for the windows. Only a single window fits a one-off
+   * basic plan; otherwise the basic plan is deleted, so that it does not
+   * charge outside the windows, and the node sends the commands itself.
+   * Weekly plans are never written, as they repeat every week.
+   *
+   * @param {object[]} windows see planCharging()
+   * @returns {{topic: string, body: object|null}} REST topic and body
+   */
+  function chargePlanBody(windows) {
+    if (windows.length !== 1) {
+      return { topic: "delete_basic_charge_plan", body: null };
+    }
+    return {
+      topic: "set_basic_charge_plan",
+      body: {
+        chargeStartTime: windows[0].start,
+        chargeStopTime: windows[0].end,
+        repeat: false,
+        isEnabled: true
+      }
+    };
+  }
+
+  class EaseePricePlanner {
+    constructor(n) {
+      RED.nodes.createNode(this, n);
+      const node = this;
+      node.charger = n.charger;
+      node.energy = parseFloat(n.energy);
+      node.departure = n.departure;
+      node.maxPower = parseFloat(n.maxPower) > 0 ? parseFloat(n.maxPower) : 11;
+      node.area = n.area;
+      node.mode = MODES.includes(n.mode) ? n.mode : "plan";
+      node.configurationNode = n.configuration;
+      node.connection = RED.nodes.getNode(node.configurationNode);
+
+      // Use configuration node's logging if available, fallback to console
+      node.logInfo = node.connection?.logInfo || function(msg, data) {
+        console.log(`[easee] ${msg}`, data || "");
+      };
+      node.logDebug = node.connection?.logDebug || function(msg, data) {
+        if (node.connection?.debugLogging) {
+          console.log(`[easee] DEBUG: ${msg}`, data || "");
+        }
+      };
+      node.logError = node.connection?.logError || function(msg, error) {
+        console.error(`[easee] ERROR: ${msg}`, error || "");
+      };
+      node.logWarn = node.connection?.logWarn || function(msg, data) {
+        console.warn(`[easee] WARN: ${msg}`, data || "");
+      };
+
+      if (!node.connection) {
+        node.error("[easee] Missing easee configuration node");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Missing configuration"
+        });
+        return;
+      }
+
+      if (!node.connection.isConfigurationValid || !node.connection.isConfigurationValid()) {
+        node.error("[easee] Configuration node is invalid - missing username or password");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Invalid configuration - missing credentials"
+        });
+        return;
+      }
+
+      // Timers of the start and pause commands of the current plan
+      node.timers = new Set();
+
+      /**
+       * Send a charger command or charge plan through the configuration node
+       *
+       * @param {string} topic REST topic, see rest-commands.js
+       * @param {object} body
+       * @returns {Promise<*>}
+       */
+      node.command = (topic, body) => {
+        const request = prepareCommand(topic, { charger: node.charger }, body);
+        return node.connection.withSignal(node.requestController.signal)
+          .genericCall(request.path, request.method, request.body);
+      };
+
+      /**
+       * Forget the commands scheduled for the previous plan
+       */
+      node.clearSchedule = () => {
+        node.timers.forEach((timer) => clearTimeout(timer));
+        node.timers.clear();
+      };
+
+      /**
+       * Resume charging at the start of each window and pause at its end.
+       * A message is sent for every command.
+       *
+       * @param {object[]} windows see planCharging()
+       * @param {Date} now
+       */
+      node.schedule = (windows, now) => {
+        const at = (time, topic, window) => {
+          const timer = setTimeout(async() => {
+            node.timers.delete(timer);
+            const msg = { topic: topic, payload: { command: topic, window: window } };
+            try {
+              await node.command(topic);
+              msg.status = "ok";
+              node.status({ fill: "green", shape: topic === "resume_charging" ? "dot" : "ring", text: `${topic} at ${new Date().toLocaleTimeString()}` });
+            } catch (error) {
+              if (node.closed) {
+                return;
+              }
+              node.logError(`Price planner failed to send ${topic}:`, error.message ?? error);
+              msg.status = "error";
+              msg.error = describeError(error);
+              node.status({ fill: "red", shape: "dot", text: `${topic} failed` });
+            }
+            node.send(msg);
+          }, Math.max(0, time - now));
+          node.timers.add(timer);
+        };
+
+        if (windows.length > 0 && new Date(windows[0].start) > now) {
+          // Wait for the first window
+          at(now, "pause_charging", null);
+        }
+        windows.forEach((window) => {
+          at(new Date(window.start), "resume_charging", window);
+          at(new Date(window.end), "pause_charging", window);
+        });
+      };
+
+      node.requestController = new AbortController();
+      node.on("close", function(removed, done) {
+        node.closed = true;
+        node.clearSchedule();
+        node.requestController.abort(new EaseeRestError("Request cancelled, the node was closed", { code: "cancelled" }));
+        done();
+      });
+
+      node.on("input", async function(msg, send, done) {
+        const now = new Date();
+        let plan;
+        let invalid = "Invalid settings";
+        try {
+          const energy = msg.energy !== undefined ? Number(msg.energy) : node.energy;
+          const maxPower = msg.maxPower !== undefined ? Number(msg.maxPower) : node.maxPower;
+          const departureValue = msg.departure ?? node.departure;
+          if (!(energy >= 0)) {
+            throw new Error("Set the energy to charge in kWh, in the node or in msg.energy");
+          }
+          if (!(maxPower > 0)) {
+            throw new Error("msg.maxPower must be the charging power in kW");
+          }
+          const departure = departureValue ? resolveTime(departureValue, "departure", now) : null;
+          invalid = "Invalid prices";
+          plan = planCharging(parsePrices(msg.payload, msg.area ?? node.area), {
+            energy: energy,
+            maxPower: maxPower,
+            now: now,
+            departure: departure
+          });
+        } catch (error) {
+          const failure = new EaseeRestError(error.message, { code: "invalid_request" });
+          node.status({ fill: "red", shape: "ring", text: invalid });
+          send({ ...msg, topic: "plan", status: "error", payload: null, error: describeError(failure) });
+          if (done) {
+            done();
+          }
+          return;
+        }
+
+        plan.mode = node.mode;
+        msg.topic = "plan";
+        msg.payload = plan;
+        msg.status = "ok";
+        if (!plan.complete) {
+          node.logWarn(`Only ${plan.energy} of ${plan.requestedEnergy} kWh fit before the departure`);
+        }
+
+        if (node.mode === "commands") {
+          node.clearSchedule();
+          node.schedule(plan.windows, now);
+        } else if (node.mode === "charge_plan") {
+          node.clearSchedule();
+          const chargePlan = chargePlanBody(plan.windows);
+          plan.chargePlan = chargePlan;
+          try {
+            await node.command(chargePlan.topic, chargePlan.body).catch((error) => {
+              // Deleting a plan that is not there is fine
+              if (chargePlan.topic !== "delete_basic_charge_plan" || error.httpStatus !== 404) {
+                throw error;
+              }
+            });
+            if (plan.windows.length > 1) {
+              node.schedule(plan.windows, now);
+            }
+          } catch (error) {
+            if (node.closed) {
+              // Cancelled because this node was closed, nobody is listening
+              if (done) {
+                done();
+              }
+              return;
+            }
+            node.logError("Price planner failed to set the charge plan:", error.message ?? error);
+            msg.status = "error";
+            msg.error = describeError(error);
+          }
+        }
+
+        const first = plan.windows[0];
+        node.status({
+          fill: msg.status === "ok" ? (plan.complete ? "green" : "yellow") : "red",
+          shape: "dot",
+          text: msg.status === "ok" ?
+            `${plan.energy} kWh, ${plan.cost}${first ? `, from ${new Date(first.start).toLocaleTimeString()}` : ""}` :
+            "Setting the charge plan failed"
+        });
+        send(msg);
+        if (done) {
+          done();
+        }
+      });
+    }
+  }
+
+  RED.nodes.registerType("easee-price-planner", EaseePricePlanner);
+};
@@ -27,6 +27,8 @@
 
 module.exports = function(RED) {
   "use strict";
+  const { prepareCommand, fetchAllPages } = require("./rest-commands");
+  const { EaseeRestError, describeError } = require("./rest-errors");
 
   class EaseeRestClient {
     constructor(n) {
@@ -36,6 +38,9 @@ module.exports = function(RED) {
       node.site = n.site;
       node.circuit = n.circuit;
       node.configurationNode = n.configuration;
+      // Wait for the charger's CommandResponse to charger commands, for this many ms
+      node.waitForResponse = !!n.waitForResponse;
+      node.responseTimeout = (parseFloat(n.responseTimeout) > 0 ? parseFloat(n.responseTimeout) : 30) * 1000;
       node.connection = RED.nodes.getNode(node.configurationNode);
 
       // Use configuration node's logging if available, fallback to console
@@ -76,13 +81,20 @@ module.exports = function(RED) {
       }
 
       /**
-       * Helper func for sending sailure
-       * @param string url
+       * Helper func for sending failure. msg.error is { message, code,
+       * httpStatus, retryable, attempts }, see rest-errors.js
+       *
+       * @param {string} url
        * @param {string} method
-       * @param {*} error
+       * @param {Error|string} error
        */
       node.fail = (url, method, error) => {
+        if (node.closed) {
+          // Cancelled because this node was closed, nobody is listening
+          return true;
+        }
         node.logError("Error in easee-rest-client:", error);
+        error = describeError(error);
         node.status({
           fill: "red",
           shape: "dot",
@@ -124,9 +136,11 @@ module.exports = function(RED) {
        * @param {*} url
        * @param {*} method
        * @param {*} body
+       * @param {function} postProcess optional transform of the response
+       * @param {boolean} paginate follow the pages of a paged GET response
        * @returns
        */
-      node.REQUEST = async(url, method = "GET", body = null) => {
+      node.REQUEST = async(url, method = "GET", body = null, postProcess = null, paginate = false) => {
         // Status: Sending the request
         node.status({
           fill: "yellow",
@@ -144,8 +158,12 @@ module.exports = function(RED) {
           text: `${method}: Waiting for reply...`
         });
 
-        return node.connection
-          .genericCall(url, method, body)
+        const connection = node.connection.withSignal(node.requestController.signal);
+        const call = paginate ?
+          fetchAllPages(connection, url) :
+          connection.genericCall(url, method, body);
+
+        return call
           .then((response) => {
             // Status: Processing the response
             node.status({
@@ -153,13 +171,101 @@ module.exports = function(RED) {
               shape: "dot",
               text: `${method}: Processing...`
             });
-            return node.ok(url, method, response);
+            return node.ok(url, method, postProcess ? postProcess(response) : response);
           })
           .catch((error) => {
             return node.fail(url, method, error);
           });
       };
 
+      /**
+       * Run a command handled by the configuration node (login, refresh_token)
+       *
+       * @param {string} url reported as topic
+       * @param {string} method
+       * @param {function} run receives the configuration node, returns the response
+       * @returns
+       */
+      node.RUN = async(url, method, run) => {
+        node.status({
+          fill: "yellow",
+          shape: "ring",
+          text: `${method}: Sending...`
+        });
+
+        try {
+          const response = await run(node.connection.withSignal(node.requestController.signal));
+          node.status({
+            fill: "blue",
+            shape: "dot",
+            text: `${method}: Processing...`
+          });
+          return node.ok(url, method, response);
+        } catch (error) {
+          return node.fail(url, method, error);
+        }
+      };
+
+
+      /**
+       * Send a charger command and wait for the charger's CommandResponse.
+       * Sends one message: msg.payload.result is "accepted", "rejected" or
+       * "timeout", with the CommandResponse in msg.payload.response.
+       *
+       * @param {object} request see prepareCommand()
+       * @returns
+       */
+      node.COMMAND = async(request) => {
+        const method = request.method;
+        node.status({
+          fill: "yellow",
+          shape: "ring",
+          text: `${method}: Sending...`
+        });
+
+        let tracker = null;
+        try {
+          const signal = node.requestController.signal;
+          tracker = await node.connection.trackCommand(request.params.charger);
+          const accept = await node.connection.withSignal(signal).genericCall(request.path, method, request.body);
+
+          node.status({
+            fill: "yellow",
+            shape: "dot",
+            text: `${method}: Waiting for the charger...`
+          });
+          const outcome = await tracker.wait(accept, node.responseTimeout, signal);
+          outcome.command = request.topic;
+          if (outcome.result === "accepted") {
+            return node.ok(request.path, method, outcome);
+          }
+
+          const rejected = outcome.result === "rejected";
+          const error = new EaseeRestError(rejected ?
+            `${request.topic} was rejected by the charger (result code ${outcome.response.resultCode ?? outcome.response.ResultCode})` :
+            `No CommandResponse for ${request.topic} within ${node.responseTimeout / 1000}s`, {
+            code: rejected ? "command_rejected" : "command_timeout",
+            attempts: 1
+          });
+          node.logWarn(error.message);
+          node.status({
+            fill: "red",
+            shape: "dot",
+            text: `${method}: ${outcome.result}`
+          });
+          node.send({
+            status: "error",
+            topic: request.path,
+            payload: outcome,
+            error: describeError(error)
+          });
+          return true;
+        } catch (error) {
+          return node.fail(request.path, method, error);
+        } finally {
+          tracker?.close();
+        }
+      };
 
       /**
        * REST API GET helper command
@@ -181,6 +287,17 @@ module.exports = function(RED) {
         return node.REQUEST(url, "POST", body);
       };
 
+      /**
+       * Requests still running when the node is closed or redeployed are
+       * cancelled
+       */
+      node.requestController = new AbortController();
+      node.on("close", function(removed, done) {
+        node.closed = true;
+        node.requestController.abort(new EaseeRestError("Request cancelled, the node was closed", { code: "cancelled" }));
+        done();
+      });
+
       /**
        * On incoming nodered message
        */
@@ -199,7 +316,6 @@ module.exports = function(RED) {
         let method = "GET";
         let path = "";
         let body;
-        let url = "";
 
         if (msg?.payload?.method ?? false) {
           method = msg.payload.method.toUpperCase();
@@ -219,7 +335,7 @@ module.exports = function(RED) {
 
 
         if (node[method] === undefined) {
-          return node.fail("error", "POST", `Invalid HTTP method: ${method}`);
+          return node.fail("error", "POST", new EaseeRestError(`Invalid HTTP method: ${method}`, { code: "invalid_request" }));
         }
 
         if (path && method) {
@@ -227,178 +343,36 @@ module.exports = function(RED) {
           await node[method](path, body);
 
         } else if (msg?.topic ?? false) {
-          // Run command as defined by topic
+          // Run command as defined by topic, see rest-commands.js
+          let request;
           try {
-            switch (msg.topic) {
-              case "login":
-                // Status: Sending authentication request
-                node.status({
-                  fill: "yellow",
-                  shape: "ring",
-                  text: "POST: Sending..."
-                });
-
-                await node.connection
-                  .ensureAuthentication()
-                  .then((isAuthenticated) => {
-                    // Status: Processing authentication result
-                    node.status({
-                      fill: "blue",
-                      shape: "dot",
-                      text: "POST: Processing..."
-                    });
-                    if (isAuthenticated) {
-                      return node.ok("/accounts/login/", "POST", { success: true, message: "Authentication verified" });
-                    } else {
-                      return node.fail("/accounts/login/", "POST", new Error("Authentication failed"));
-                    }
-                  })
-                  .catch((error) => {
-                    return node.fail("/accounts/login/", "POST", error);
-                  });
-                break;
-              case "refresh_token":
-                // Status: Sending token refresh request
-                node.status({
-                  fill: "yellow",
-                  shape: "ring",
-                  text: "POST: Sending..."
-                });
-
-                await node.connection
-                  .doRefreshToken()
-                  .then((json) => {
-                    // Status: Processing token refresh result
-                    node.status({
-                      fill: "blue",
-                      shape: "dot",
-                      text: "POST: Processing..."
-                    });
-                    return node.ok("/accounts/refresh_token/", "POST", json);
-                  })
-                  .catch((error) => {
-                    return node.fail("/accounts/refresh_token/", "POST", error);
-
-                  });
-
-                break;
-              case "dynamic_current":
-                if (!node.site) {
-                  node.error(`dynamic_current failed: site missing. Provide site in msg.site, msg.payload.site_id, or node configuration. Current values: msg.site=${msg?.site}, msg.payload.site_id=${msg?.payload?.site_id}, node.site=${n.site}`);
-                  return;
-                } else if (!node.circuit) {
-                  node.error(`dynamic_current failed: circuit missing. Provide circuit in msg.circuit, msg.payload.circuit_id, or node configuration. Current values: msg.circuit=${msg?.circuit}, msg.payload.circuit_id=${msg?.payload?.circuit_id}, node.circuit=${n.circuit}`);
-                  return;
-                } else if (typeof msg.payload === "object" && (msg.payload.dynamicChargerCurrent !== undefined || msg.payload.maxCircuitCurrentP1 !== undefined || msg.payload.maxCircuitCurrentP2 !== undefined || msg.payload.maxCircuitCurrentP3 !== undefined)) {
-                  // Do POST update of circuit - filter out site_id and circuit_id from payload for the API call
-                  const apiPayload = { ...msg.payload };
-                  delete apiPayload.site_id;
-                  delete apiPayload.circuit_id;
-                  await node.POST(`/sites/${node.site}/circuits/${node.circuit}/dynamicCurrent`, apiPayload);
-                } else {
-                  // GET circuit information
-                  await node.GET(`/sites/${node.site}/circuits/${node.circuit}/dynamicCurrent`);
-                }
-                break;
-
-              case "charger":
-                await node.GET(`/chargers/${node.charger}?alwaysGetChargerAccessLevel=true`);
-                break;
-
-              case "charger_details":
-                await node.GET(`/chargers/${node.charger}/details`);
-                break;
-
-              case "charger_site":
-                await node.GET(`/chargers/${node.charger}/site`);
-                break;
-
-              case "charger_config":
-                await node.GET(`/chargers/${node.charger}/config`);
-                break;
-
-              case "charger_session_latest":
-                await node.GET(`/chargers/${node.charger}/sessions/latest`);
-                break;
-
-              case "charger_session_ongoing":
-                await node.GET(`/chargers/${node.charger}/sessions/ongoing`);
-                break;
-
-              case "start_charging":
-              case "stop_charging":
-              case "pause_charging":
-              case "resume_charging":
-              case "toggle_charging":
-              case "reboot":
-                await node.POST(`/chargers/${node.charger}/commands/${msg.topic}`);
-                break;
-
-              case "charger_state":
-                url = `/chargers/${node.charger}/state`;
-
-                // Status: Sending charger state request
-                node.status({
-                  fill: "yellow",
-                  shape: "ring",
-                  text: "GET: Sending..."
-                });
-
-                // Small delay to ensure "Sending..." status is visible
-                await new Promise(resolve => setTimeout(resolve, 50));
-
-                try {
-                  // Status: Waiting for reply
-                  node.status({
-                    fill: "yellow",
-                    shape: "dot",
-                    text: "GET: Waiting for reply..."
-                  });
-
-                  const json = await node.connection.genericCall(url);
-
-                  // Status: Processing charger state response
-                  node.status({
-                    fill: "blue",
-                    shape: "dot",
-                    text: "GET: Processing..."
-                  });
-
-                  if (typeof json !== "object") {
-                    node.error("charger_state failed");
-                  } else {
-                    // Parse observations
-                    Object.keys(json).forEach((idx) => {
-                      json[idx] = node.connection.parseObservation(
-                        {
-                          dataName: idx,
-                          value: json[idx],
-                          origValue: json[idx]
-                        },
-                        "name"
-                      );
-                    });
-                    return node.ok(url, "GET", json);
-                  }
-                } catch (error) {
-                  return node.fail(url, "GET", error);
-                }
-                break;
-
-              default:
-
-                return node.fail("error", "GET", `Unknown topic ${msg.topic}`);
-            }
-
-
+            request = prepareCommand(msg.topic, {
+              charger: node.charger,
+              site: node.site,
+              circuit: node.circuit
+            }, msg.payload);
           } catch (error) {
-            return node.fail("REST client command failed", "GET", error);
+            return node.fail(msg.topic, "GET", new EaseeRestError(error.message, { code: "invalid_request" }));
+          }
 
+          const { run, postProcess, paginate, commandResponse } = request.command;
+          if (commandResponse && (msg.waitForResponse ?? node.waitForResponse)) {
+            await node.COMMAND(request);
+          } else if (run) {
+            await node.RUN(request.path, request.method, (connection) => run(connection, request));
+          } else {
+            await node.REQUEST(
+              request.path,
+              request.method,
+              request.body,
+              postProcess ? (response) => postProcess(response, request, node.connection) : null,
+              paginate
+            );
           }
 
         } else {
           // Missing topic
-          return node.fail("error", "GET", `Missing required payload.path or topic`);
+          return node.fail("error", "GET", new EaseeRestError("Missing required payload.path or topic", { code: "invalid_request" }));
 
         }
         if (done) {
@@ -0,0 +1,412 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+module.exports = function(RED) {
+  "use strict";
+  const { prepareCommand } = require("./rest-commands");
+  const { EaseeRestError, describeError } = require("./rest-errors");
+
+  // Range of DynamicChargerCurrent the charger charges with
+  const MIN_CURRENT = 6;
+  const MAX_CURRENT = 32;
+
+  // ChargerOpModes charging may be resumed from: AwaitingStart and ReadyToCharge
+  const RESUMABLE_OP_MODES = [2, 6];
+
+  // Why nothing is done in the other ChargerOpModes
+  const HOLD_REASONS = {
+    0: "Charger is offline",
+    1: "No car connected",
+    4: "Charging is completed",
+    5: "Charger is in error",
+    7: "Charger is waiting for authentication",
+    8: "Charger is de-authenticating"
+  };
+
+  /**
+   * Number setting from the editor, or the fallback when missing or invalid
+   *
+   * @param {*} value
+   * @param {number} fallback
+   * @returns {number}
+   */
+  function setting(value, fallback) {
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? fallback : number;
+  }
+
+  /**
+   * Watts from an input value
+   *
+   * @param {*} value
+   * @returns {number|null}
+   */
+  function watts(value) {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+  }
+
+  class EaseeSolarSurplus {
+    constructor(n) {
+      RED.nodes.createNode(this, n);
+      const node = this;
+      node.charger = n.charger;
+      node.voltage = setting(n.voltage, 230);
+      node.startThreshold = setting(n.startThreshold, 1500);
+      node.stopThreshold = setting(n.stopThreshold, 1000);
+      node.minOnTime = setting(n.minOnTime, 300) * 1000;
+      node.minOffTime = setting(n.minOffTime, 300) * 1000;
+      node.minCurrent = Math.min(Math.max(setting(n.minCurrent, MIN_CURRENT), MIN_CURRENT), MAX_CURRENT);
+      node.maxCurrent = Math.min(Math.max(setting(n.maxCurrent, MAX_CURRENT), node.minCurrent), MAX_CURRENT);
+      // Seconds between current changes
+      node.writeInterval = setting(n.writeInterval, 30) * 1000;
+      node.phaseSwitching = !!n.phaseSwitching;
+      node.threePhaseThreshold = setting(n.threePhaseThreshold, 4500);
+      node.phaseSwitchInterval = setting(n.phaseSwitchInterval, 600) * 1000;
+      // Whether the consumption reading includes what the charger draws
+      node.includesCharger = n.includesCharger !== false;
+      node.configurationNode = n.configuration;
+      node.connection = RED.nodes.getNode(node.configurationNode);
+
+      // Use configuration node's logging if available, fallback to console
+      node.logInfo = node.connection?.logInfo || function(msg, data) {
+        console.log(`[easee] ${msg}`, data || "");
+      };
+      node.logDebug = node.connection?.logDebug || function(msg, data) {
+        if (node.connection?.debugLogging) {
+          console.log(`[easee] DEBUG: ${msg}`, data || "");
+        }
+      };
+      node.logError = node.connection?.logError || function(msg, error) {
+        console.error(`[easee] ERROR: ${msg}`, error || "");
+      };
+      node.logWarn = node.connection?.logWarn || function(msg, data) {
+        console.warn(`[easee] WARN: ${msg}`, data || "");
+      };
+
+      if (!node.connection) {
+        node.error("[easee] Missing easee configuration node");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Missing configuration"
+        });
+        return;
+      }
+
+      if (!node.connection.isConfigurationValid || !node.connection.isConfigurationValid()) {
+        node.error("[easee] Configuration node is invalid - missing username or password");
+        node.status({
+          fill: "red",
+          shape: "ring",
+          text: "Invalid configuration - missing credentials"
+        });
+        return;
+      }
+
+      // Latest readings, in W
+      node.production = null;
+      node.consumption = null;
+      // Charger state from the stream, null until known
+      node.opMode = null;
+      node.chargerPower = null;
+      node.phaseMode = null;
+      // What was last set, and when
+      node.current = null;
+      node.lastSwitch = 0;
+      node.lastCurrentWrite = 0;
+      node.lastPhaseSwitch = 0;
+      node.busy = false;
+      node.watching = null;
+
+      /**
+       * Follow ChargerOpMode, TotalPower and PhaseMode of the charger on the
+       * account's shared streaming connection
+       *
+       * @param {string} type hub method name
+       * @param {object} data
+       */
+      node.handleUpdate = (type, data) => {
+        if (type !== "ProductUpdate" && type !== "ChargerUpdate") {
+          return;
+        }
+        const update = node.connection.parseObservation(data);
+        switch (update.dataName) {
+          case "ChargerOpMode":
+            node.opMode = update.value;
+            break;
+          case "TotalPower":
+            // Reported in kW
+            node.chargerPower = Math.round(update.value * 1000);
+            break;
+          case "PhaseMode":
+            node.phaseMode = update.value;
+            break;
+          case "DynamicChargerCurrent":
+            node.current = update.value;
+            break;
+        }
+      };
+
+      /**
+       * Read the charger state over REST, for what the stream has not
+       * reported yet
+       *
+       * @param {object} connection configuration node, see withSignal()
+       */
+      node.readState = async(connection) => {
+        const state = await connection.genericCall(prepareCommand("charger_state", { charger: node.charger }).path, "GET", null);
+        node.opMode = node.opMode ?? state?.chargerOpMode ?? null;
+        node.chargerPower = node.chargerPower ?? (typeof state?.totalPower === "number" ? Math.round(state.totalPower * 1000) : null);
+        node.current = node.current ?? state?.dynamicChargerCurrent ?? null;
+        if (node.phaseSwitching && node.phaseMode === null) {
+          const config = await connection.genericCall(prepareCommand("charger_config", { charger: node.charger }).path, "GET", null);
+          node.phaseMode = config?.phaseMode ?? null;
+        }
+      };
+
+      /**
+       * What to do with the surplus. Pausing and resuming wait for the
+       * minimum on and off times, phase switches and current changes for
+       * their intervals, and only one of them is done at a time.
+       *
+       * @param {number} surplus W the charger may use
+       * @param {number} now
+       * @returns {{decision: string, reason: string, topic: string, body: object}}
+       *   topic and body of the REST command to send, if any
+       */
+      node.decide = (surplus, now) => {
+        const opMode = Number(node.opMode);
+        const charging = opMode === 3;
+        if (!charging && !RESUMABLE_OP_MODES.includes(opMode)) {
+          return { decision: "hold", reason: HOLD_REASONS[opMode] ?? `Charger is in op mode ${node.opMode}` };
+        }
+
+        if (!charging) {
+          if (surplus < node.startThreshold) {
+            return { decision: "hold", reason: `Surplus below ${node.startThreshold} W to start` };
+          }
+          if (now - node.lastSwitch < node.minOffTime) {
+            return { decision: "hold", reason: `Off for less than ${node.minOffTime / 1000}s` };
+          }
+          return { decision: "resume", reason: `Surplus of at least ${node.startThreshold} W`, topic: "resume_charging" };
+        }
+
+        if (surplus < node.stopThreshold) {
+          if (now - node.lastSwitch < node.minOnTime) {
+            return { decision: "hold", reason: `On for less than ${node.minOnTime / 1000}s` };
+          }
+          return { decision: "pause", reason: `Surplus below ${node.stopThreshold} W`, topic: "pause_charging" };
+        }
+
+        if (node.phaseSwitching && now - node.lastPhaseSwitch >= node.phaseSwitchInterval) {
+          const threePhases = Number(node.phaseMode) === 3;
+          if (!threePhases && surplus >= node.threePhaseThreshold) {
+            return { decision: "phases", reason: `Surplus of at least ${node.threePhaseThreshold} W`, topic: "charger_settings", body: { phaseMode: 3 } };
+          }
+          if (threePhases && surplus < node.minCurrent * 3 * node.voltage) {
+            return { decision: "phases", reason: `Surplus below ${node.minCurrent} A on three phases`, topic: "charger_settings", body: { phaseMode: 1 } };
+          }
+        }
+
+        const current = node.currentFor(surplus);
+        if (current === Number(node.current)) {
+          return { decision: "hold", reason: "Current unchanged" };
+        }
+        if (now - node.lastCurrentWrite < node.writeInterval) {
+          return { decision: "hold", reason: `Current changed less than ${node.writeInterval / 1000}s ago` };
+        }
+        return { decision: "current", reason: `${current} A for ${Math.round(surplus)} W`, topic: "charger_settings", body: { dynamicChargerCurrent: current } };
+      };
+
+      /**
+       * Phases charged on: 3 when locked to three phases, otherwise 1 with
+       * phase switching, or 3
+       *
+       * @returns {number}
+       */
+      node.phases = () => {
+        if (!node.phaseSwitching) {
+          return 3;
+        }
+        return Number(node.phaseMode) === 3 ? 3 : 1;
+      };
+
+      /**
+       * Whole amps for the surplus, within the charger's range
+       *
+       * @param {number} surplus W
+       * @returns {number}
+       */
+      node.currentFor = (surplus) => {
+        const current = Math.floor(surplus / (node.voltage * node.phases()));
+        return Math.min(Math.max(current, node.minCurrent), node.maxCurrent);
+      };
+
+      /**
+       * Send a decision on the output
+       *
+       * @param {object} msg input message
+       * @param {object} decision msg.payload
+       * @param {Error} error when the command failed
+       */
+      node.report = (msg, decision, error = null) => {
+        if (node.closed) {
+          return;
+        }
+        const text = decision.surplus === null || decision.surplus === undefined ?
+          decision.reason :
+          `${decision.decision}: ${Math.round(decision.surplus)} W, ${node.current ?? "?"} A`;
+        node.status({
+          fill: error ? "red" : (Number(node.opMode) === 3 ? "green" : "yellow"),
+          shape: decision.decision === "hold" ? "ring" : "dot",
+          text: error ? `${decision.decision} failed` : text
+        });
+        msg.topic = decision.decision;
+        msg.payload = decision;
+        if (error) {
+          msg.error = describeError(error);
+        }
+        node.send(msg);
+      };
+
+      /**
+       * Take a reading and act on it
+       *
+       * @param {object} msg
+       */
+      node.evaluate = async(msg) => {
+        const audit = {
+          decision: "hold",
+          reason: "",
+          production: node.production,
+          consumption: node.consumption,
+          chargerPower: node.chargerPower,
+          surplus: null,
+          opMode: node.opMode,
+          phases: null,
+          current: node.current
+        };
+        if (node.production === null || node.consumption === null) {
+          audit.reason = "Waiting for both production and consumption";
+          node.report(msg, audit);
+          return;
+        }
+        if (node.busy) {
+          audit.reason = "A change is in progress";
+          node.report(msg, audit);
+          return;
+        }
+
+        node.busy = true;
+        try {
+          const connection = node.connection.withSignal(node.requestController.signal);
+          if (!node.watching) {
+            // Updates follow once subscribed, the state is read meanwhile
+            node.watching = node.connection.watchCharger(node.charger, node.handleUpdate);
+          }
+          if (node.opMode === null || (node.includesCharger && node.chargerPower === null)) {
+            await node.readState(connection);
+          }
+
+          const now = Date.now();
+          const own = node.includesCharger ? (node.chargerPower ?? 0) : 0;
+          const surplus = node.production - node.consumption + own;
+          const decision = node.decide(surplus, now);
+          Object.assign(audit, {
+            decision: decision.decision,
+            reason: decision.reason,
+            chargerPower: node.chargerPower,
+            surplus: surplus,
+            opMode: node.opMode,
+            phases: node.phases()
+          });
+
+          if (decision.topic) {
+            const request = prepareCommand(decision.topic, { charger: node.charger }, decision.body);
+            await connection.genericCall(request.path, request.method, request.body);
+            if (decision.decision === "resume" || decision.decision === "pause") {
+              node.lastSwitch = now;
+            } else if (decision.decision === "phases") {
+              node.lastPhaseSwitch = now;
+              node.phaseMode = decision.body.phaseMode;
+              audit.phases = node.phases();
+            } else {
+              node.lastCurrentWrite = now;
+              node.current = decision.body.dynamicChargerCurrent;
+            }
+            node.logDebug(`Solar surplus ${decision.decision}: ${decision.reason}`);
+          }
+          audit.current = node.current;
+          node.report(msg, audit);
+        } catch (error) {
+          audit.decision = "error";
+          audit.reason = error.message ?? String(error);
+          node.logError("Solar surplus control failed:", audit.reason);
+          node.report(msg, audit, error);
+        } finally {
+          node.busy = false;
+        }
+      };
+
+      node.requestController = new AbortController();
+      node.on("close", function(removed, done) {
+        node.closed = true;
+        node.watching?.then((watcher) => watcher.close());
+        node.requestController.abort(new EaseeRestError("Request cancelled, the node was closed", { code: "cancelled" }));
+        done();
+      });
+
+      node.on("input", async function(msg, send, done) {
+        const payload = msg.payload;
+        if (typeof payload === "object" && payload !== null) {
+          node.production = watts(payload.production) ?? node.production;
+          node.consumption = watts(payload.consumption) ?? node.consumption;
+        } else if (msg.topic === "production" || msg.topic === "consumption") {
+          const value = watts(payload);
+          if (value !== null) {
+            node[msg.topic] = value;
+          }
+        } else {
+          const error = new EaseeRestError("Send the production or consumption in W, as msg.payload with msg.topic production or consumption, or as {production, consumption}", { code: "invalid_request" });
+          node.report(msg, { decision: "error", reason: error.message }, error);
+          if (done) {
+            done();
+          }
+          return;
+        }
+
+        await node.evaluate(msg);
+        if (done) {
+          done();
+        }
+      });
+    }
+  }
+
+  RED.nodes.registerType("easee-solar-surplus", EaseeSolarSurplus);
+};
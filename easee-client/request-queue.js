@@ -0,0 +1,245 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+/**
+ * Request queue of the configuration node.
+ *
+ * Every REST call of an account goes through one queue, which limits how
+ * many run at once and how many start per minute, and holds everything back
+ * while the API asks us to slow down (429 Retry-After). Requests are sent
+ * with fetchWithTimeout(), so none of them can hang forever.
+ */
+
+const { EaseeRestError } = require("./rest-errors");
+
+const OVERFLOW_POLICIES = ["wait", "drop", "reject"];
+
+class RequestQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency requests running at once
+   * @param {number} options.perMinute requests started per minute, 0 for no limit
+   * @param {number} options.maxWaiting requests waiting before the overflow policy applies
+   * @param {string} options.overflow "wait" queues anyway, "drop" drops the oldest
+   *   waiting request, "reject" rejects the new one
+   * @param {function} options.onChange called with the queue when its state changes
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency > 0 ? options.concurrency : 1;
+    this.perMinute = options.perMinute > 0 ? options.perMinute : 0;
+    this.maxWaiting = options.maxWaiting > 0 ? options.maxWaiting : 0;
+    this.overflow = OVERFLOW_POLICIES.includes(options.overflow) ? options.overflow : "wait";
+    this.onChange = options.onChange || (() => {});
+
+    this.waiting = [];
+    this.active = 0;
+    this.started = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Run a task when the limits allow it
+   *
+   * @param {function} task returns a promise
+   * @param {AbortSignal} signal removes the task from the queue while it is waiting
+   * @returns {Promise<*>} the result of the task
+   */
+  add(task, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      if (this.maxWaiting && this.waiting.length >= this.maxWaiting && this.overflow !== "wait") {
+        if (this.overflow === "reject") {
+          reject(new EaseeRestError(`Request queue is full (${this.waiting.length} waiting)`, { code: "queue_full" }));
+          return;
+        }
+        const dropped = this.waiting.shift();
+        dropped.cleanup();
+        dropped.reject(new EaseeRestError("Request dropped, the request queue is full", { code: "queue_full" }));
+      }
+      const entry = { task, resolve, reject, cleanup: () => {} };
+      if (signal) {
+        const onAbort = () => {
+          this.waiting = this.waiting.filter((waiting) => waiting !== entry);
+          reject(signal.reason);
+          this.onChange(this);
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener("abort", onAbort);
+      }
+      this.waiting.push(entry);
+      this.next();
+    });
+  }
+
+  /**
+   * Hold back new requests, e.g. for the Retry-After of a 429
+   *
+   * @param {number} delay ms
+   */
+  pause(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    this.next();
+  }
+
+  /**
+   * Reject all waiting requests, e.g. when the configuration node closes
+   *
+   * @param {Error} error
+   */
+  clear(error) {
+    const waiting = this.waiting;
+    this.waiting = [];
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    waiting.forEach((entry) => {
+      entry.cleanup();
+      entry.reject(error);
+    });
+    this.onChange(this);
+  }
+
+  /**
+   * ms until the next request may start, 0 if it may start now
+   *
+   * @returns {number}
+   */
+  delay() {
+    const now = Date.now();
+    this.started = this.started.filter((time) => now - time < 60000);
+    let delay = Math.max(0, this.pausedUntil - now);
+    if (this.perMinute && this.started.length >= this.perMinute) {
+      delay = Math.max(delay, this.started[0] + 60000 - now);
+    }
+    return delay;
+  }
+
+  /**
+   * Start waiting requests while the limits allow it
+   */
+  next() {
+    while (this.waiting.length > 0 && this.active < this.concurrency) {
+      const delay = this.delay();
+      if (delay > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.next();
+          }, delay);
+        }
+        break;
+      }
+
+      const entry = this.waiting.shift();
+      entry.cleanup();
+      this.active++;
+      this.started.push(Date.now());
+      Promise.resolve()
+        .then(() => entry.task())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+    this.onChange(this);
+  }
+}
+
+/**
+ * Delay asked for by a 429 response, from its Retry-After header (seconds
+ * or an HTTP date)
+ *
+ * @param {object} response fetch response
+ * @param {number} fallback ms, when the header is missing or invalid
+ * @returns {number} ms
+ */
+function retryAfterDelay(response, fallback) {
+  const value = response?.headers?.get ? response.headers.get("retry-after") : null;
+  if (value) {
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+      return Math.ceil(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return fallback;
+}
+
+/**
+ * fetch() that gives up after a timeout, or when one of the signals aborts
+ *
+ * @param {string} url
+ * @param {object} options fetch options
+ * @param {number} timeout ms, 0 for none
+ * @param {AbortSignal[]} signals cancel the request, e.g. when its node closes
+ * @returns {Promise<object>} the response; rejects with an EaseeRestError
+ *   with code "timeout" or "cancelled" when it gives up
+ */
+function fetchWithTimeout(url, options, timeout, signals = []) {
+  const controller = new AbortController();
+  const listeners = [];
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+  });
+
+  signals.filter((signal) => signal).forEach((signal) => {
+    const cancel = () => controller.abort(signal.reason instanceof EaseeRestError ?
+      signal.reason :
+      new EaseeRestError("Request cancelled", { code: "cancelled" }));
+    if (signal.aborted) {
+      cancel();
+    } else {
+      signal.addEventListener("abort", cancel, { once: true });
+      listeners.push(() => signal.removeEventListener("abort", cancel));
+    }
+  });
+  const timer = timeout > 0 ? setTimeout(() => {
+    controller.abort(new EaseeRestError(`Request timeout, no answer in ${timeout / 1000}s`, { code: "timeout" }));
+  }, timeout) : null;
+
+  // Racing the abort also ends requests whose fetch ignores the signal
+  return Promise.race([fetch(url, { ...options, signal: controller.signal }), aborted])
+    .catch((error) => {
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      listeners.forEach((remove) => remove());
+    });
+}
+
+module.exports = {
+  OVERFLOW_POLICIES,
+  RequestQueue,
+  retryAfterDelay,
+  fetchWithTimeout
+};
@@ -0,0 +1,1048 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+/**
+ * Command catalogue for easee-rest-client.
+ *
+ * Every topic the REST node understands is declared here:
+ *
+ * - description: one line for the node help and README
+ * - method: HTTP method
+ * - path: path template, {charger}, {site} and {circuit} are filled in from
+ *   msg.charger/msg.site/msg.circuit or the node configuration
+ * - params: parameters that must be set for the command
+ * - body: request body, { method, optional, strict, passthrough, build, fields: { name: { type, min, max, values, required } } }.
+ *   Only declared fields are sent, or with "strict", other fields are an error.
+ *   With "passthrough", other fields are sent as they are, except the ones
+ *   naming the parameters (site_id, circuit_id).
+ *   With "optional", the command uses its own method when no field is given
+ *   and body.method when one is. build(payload) may turn a simpler payload
+ *   into the body before it is validated.
+ * - range: msg.payload holds a date range, filled in as {from} and {to}
+ * - paginate: follow the pages of a paged response, see fetchAllPages()
+ * - commandResponse: the charger answers with a CommandResponse on the hub,
+ *   which the REST node can wait for
+ * - postProcess(response, request, connection): transforms the API response
+ *   before it is sent
+ * - run(connection, request): for commands that are not a single REST call,
+ *   like login, refresh_token, or ones that combine several calls
+ *
+ * Run `npm run docs:commands` after changing the catalogue to update the
+ * topic list in the node help and README.
+ */
+
+const { OBSERVATIONS, parseObservation } = require("./observations");
+
+const PARAM_SOURCES = {
+  charger: "msg.charger or the node configuration",
+  site: "msg.site, msg.payload.site_id or the node configuration",
+  circuit: "msg.circuit, msg.payload.circuit_id or the node configuration"
+};
+
+// msg.payload fields that name a parameter rather than belong in the body
+const PARAM_FIELDS = ["site_id", "circuit_id"];
+
+/**
+ * Commands sent to a charger through /chargers/{id}/commands/{command}
+ *
+ * @param {string} command
+ * @param {string} description
+ * @returns {object} catalogue entry
+ */
+const chargerCommand = (command, description) => ({
+  description: description,
+  method: "POST",
+  path: `/chargers/{charger}/commands/${command}`,
+  params: ["charger"],
+  commandResponse: true
+});
+
+/**
+ * Charger settings that may be written, by their API name. The type comes
+ * from the observation with the same meaning, and for observations with a
+ * value mapping, only the mapped values are allowed.
+ */
+const CHARGER_SETTINGS = {
+  enabled: { observation: "IsEnabled" },
+  enableIdleCurrent: { observation: "EnableIdleCurrent" },
+  lockCablePermanently: { observation: "LockCablePermanently" },
+  smartButtonEnabled: { observation: "SmartButtonEnabled" },
+  smartCharging: { observation: "SmartCharging" },
+  authorizationRequired: { observation: "AuthorizationRequired" },
+  remoteStartRequired: { observation: "RemoteStartRequired" },
+  localPreAuthorizeEnabled: { observation: "LocalPreAuthorizeEnabled" },
+  localAuthorizeOfflineEnabled: { observation: "LocalAuthorizeOfflineEnabled" },
+  allowOfflineTxForUnknownId: { observation: "AllowOfflineTxForUnknownId" },
+  offlineChargingMode: { observation: "OfflineChargingMode" },
+  // 0 is only reported, never set
+  phaseMode: { observation: "PhaseMode", min: 1 },
+  ledStripBrightness: { observation: "LedStripBrightness", min: 0, max: 100 },
+  maxChargerCurrent: { observation: "MaxChargerCurrent", min: 0, max: 32 },
+  dynamicChargerCurrent: { observation: "DynamicChargerCurrent", min: 0, max: 32 },
+  maxCurrentOfflineFallback_P1: { observation: "MaxCurrentOfflineFallback_P1", min: 0, max: 32 },
+  maxCurrentOfflineFallback_P2: { observation: "MaxCurrentOfflineFallback_P2", min: 0, max: 32 },
+  maxCurrentOfflineFallback_P3: { observation: "MaxCurrentOfflineFallback_P3", min: 0, max: 32 }
+};
+
+// Observation data types, see parseObservation()
+const SETTING_TYPES = {
+  2: "boolean",
+  3: "number",
+  4: "integer",
+  6: "string"
+};
+
+/**
+ * Body fields for the charger settings, derived from the observation table
+ *
+ * @returns {object} fields by name
+ */
+function chargerSettingsFields() {
+  const fields = {};
+  Object.entries(CHARGER_SETTINGS).forEach(([name, setting]) => {
+    const observation = OBSERVATIONS.find((o) => o.name === setting.observation);
+    if (!observation || !SETTING_TYPES[observation.dataType]) {
+      throw new Error(`No observation ${setting.observation} for setting ${name}`);
+    }
+    const field = { type: SETTING_TYPES[observation.dataType] };
+    if (setting.min !== undefined) {
+      field.min = setting.min;
+    }
+    if (setting.max !== undefined) {
+      field.max = setting.max;
+    }
+    if (observation.valueMapping) {
+      field.values = [];
+      for (let value = field.min || 0; value <= (field.max ?? 255); value++) {
+        if (observation.valueMapping(value) !== undefined) {
+          field.values.push(value);
+        }
+      }
+    }
+    fields[name] = field;
+  });
+  return fields;
+}
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const DAY_GROUPS = {
+  weekdays: [0, 1, 2, 3, 4],
+  weekend: [5, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  all: [0, 1, 2, 3, 4, 5, 6]
+};
+
+/**
+ * Parse a time of day like "22:00"
+ *
+ * @param {*} value
+ * @param {string} name field name for the error message
+ * @returns {{hours: number, minutes: number, text: string}}
+ */
+function parseTimeOfDay(value, name) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${name} must be a time like "22:00"`);
+  }
+  return {
+    hours: parseInt(match[1]),
+    minutes: parseInt(match[2]),
+    text: `${match[1].padStart(2, "0")}:${match[2]}`
+  };
+}
+
+/**
+ * Parse a list of days into Easee day numbers, 0 (Monday) to 6 (Sunday)
+ *
+ * @param {string|Array} days e.g. ["mon", "tue"], "weekdays", "sat,sun" or [5, 6]
+ * @returns {number[]}
+ */
+function parseDays(days) {
+  if (typeof days === "string") {
+    const group = DAY_GROUPS[days.trim().toLowerCase()];
+    days = group || days.split(/[\s,;]+/).filter((day) => day !== "");
+  }
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new Error("days must be a list of days, like [\"mon\", \"tue\"] or \"weekdays\"");
+  }
+  const result = days.map((day) => {
+    if (/^[0-6]$/.test(String(day).trim())) {
+      return parseInt(day);
+    }
+    const name = String(day).trim().toLowerCase();
+    const index = name.length >= 2 ? WEEKDAYS.findIndex((weekday) => weekday.startsWith(name)) : -1;
+    if (index === -1) {
+      throw new Error(`Unknown day ${day}, use monday to sunday or 0 (Monday) to 6 (Sunday)`);
+    }
+    return index;
+  });
+  return [...new Set(result)].sort();
+}
+
+/**
+ * Next point in time at the given time of day, or a date/time as given
+ *
+ * @param {string} value "HH:MM" or a date/time
+ * @param {string} name field name for the error message
+ * @param {Date} after
+ * @returns {Date}
+ */
+function resolveTime(value, name, after) {
+  if (/^\d{1,2}:\d{2}$/.test(String(value).trim())) {
+    const time = parseTimeOfDay(value, name);
+    const date = new Date(after.getTime());
+    date.setHours(time.hours, time.minutes, 0, 0);
+    if (date <= after) {
+      date.setDate(date.getDate() + 1);
+    }
+    return date;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be a time like "22:00" or a date/time`);
+  }
+  return date;
+}
+
+/**
+ * Build a basic charge plan body from { start, stop, repeat, currentLimit, enabled }.
+ * Times of day ("22:00") are the next such time in the Node-RED host's time
+ * zone. repeat defaults to true, which makes it a daily plan. A payload
+ * already in the Easee format is returned as it is.
+ *
+ * @param {object} payload
+ * @param {Date} now
+ * @returns {object} basic charge plan body
+ */
+function basicChargePlanBody(payload, now = new Date()) {
+  if (payload.start === undefined) {
+    return payload;
+  }
+  if (payload.days !== undefined) {
+    throw new Error("days are not supported by the basic charge plan, use set_weekly_charge_plan");
+  }
+  const start = resolveTime(payload.start, "start", now);
+  const body = {
+    chargeStartTime: start.toISOString(),
+    repeat: payload.repeat ?? true,
+    isEnabled: payload.enabled ?? true
+  };
+  if (payload.stop !== undefined) {
+    const stop = resolveTime(payload.stop, "stop", start);
+    if (stop <= start) {
+      throw new Error("stop must be after start");
+    }
+    body.chargeStopTime = stop.toISOString();
+  }
+  if (payload.currentLimit !== undefined) {
+    body.chargingCurrentLimit = payload.currentLimit;
+  }
+  return body;
+}
+
+/**
+ * Build a weekly charge plan body from { start, stop, days, currentLimit, enabled }.
+ * A window past midnight ("22:00" to "06:00") is split over the day and the
+ * day after. A payload already in the Easee format is returned as it is.
+ *
+ * @param {object} payload
+ * @returns {object} weekly charge plan body
+ */
+function weeklyChargePlanBody(payload) {
+  if (payload.start === undefined) {
+    return payload;
+  }
+  if (payload.stop === undefined) {
+    throw new Error("stop is required");
+  }
+  const start = parseTimeOfDay(payload.start, "start");
+  const stop = parseTimeOfDay(payload.stop, "stop");
+  const days = parseDays(payload.days ?? "daily");
+  const ranges = {};
+  const addRange = (day, startTime, stopTime) => {
+    const range = { startTime: startTime, stopTime: stopTime };
+    if (payload.currentLimit !== undefined) {
+      range.chargingCurrentLimit = payload.currentLimit;
+    }
+    (ranges[day] = ranges[day] || []).push(range);
+  };
+
+  days.forEach((day) => {
+    if (stop.text > start.text) {
+      addRange(day, start.text, stop.text);
+    } else {
+      addRange(day, start.text, "23:59");
+      addRange((day + 1) % 7, "00:00", stop.text);
+    }
+  });
+
+  return {
+    isEnabled: payload.enabled ?? true,
+    days: Object.keys(ranges).map((day) => ({
+      dayOfWeek: parseInt(day),
+      ranges: ranges[day].sort((a, b) => a.startTime.localeCompare(b.startTime))
+    }))
+  };
+}
+
+// Stop following pages after this many, in case paging information is wrong
+const MAX_PAGES = 50;
+
+/**
+ * Parse a date, "2024-05-01" is midnight in the Node-RED host's time zone
+ *
+ * @param {*} value Date, timestamp or string
+ * @param {string} name field name for the error message
+ * @returns {Date}
+ */
+function parseDate(value, name) {
+  const day = typeof value === "string" ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+  const date = day ?
+    new Date(parseInt(day[1]), parseInt(day[2]) - 1, parseInt(day[3])) :
+    new Date(value);
+  if (value === null || value === "" || typeof value === "boolean" || isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date, like "2024-05-01" or "2024-05-01T12:00:00Z"`);
+  }
+  return date;
+}
+
+/**
+ * Date range from msg.payload, either:
+ *
+ * - { from, to }: dates; from defaults to the start of this month and to to now
+ * - { month: "2024-05" }: a calendar month
+ * - { period }: "today", "yesterday", "this_month", "last_month", "this_year" or "last_year"
+ *
+ * Months and days are in the Node-RED host's time zone.
+ *
+ * @param {*} payload
+ * @param {Date} now
+ * @returns {{from: string, to: string}} ISO 8601 date/times
+ */
+function parseDateRange(payload, now = new Date()) {
+  const source = typeof payload === "object" && payload !== null ? payload : {};
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  let from;
+  let to;
+
+  if (source.month !== undefined) {
+    const match = /^(\d{4})-(\d{1,2})$/.exec(String(source.month).trim());
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+      throw new Error("month must be like \"2024-05\"");
+    }
+    from = new Date(parseInt(match[1]), parseInt(match[2]) - 1, 1);
+    to = new Date(parseInt(match[1]), parseInt(match[2]), 1);
+  } else if (source.period !== undefined) {
+    const today = new Date(year, month, now.getDate());
+    switch (source.period) {
+      case "today":
+        from = today;
+        to = new Date(year, month, now.getDate() + 1);
+        break;
+      case "yesterday":
+        from = new Date(year, month, now.getDate() - 1);
+        to = today;
+        break;
+      case "this_month":
+        from = new Date(year, month, 1);
+        to = new Date(year, month + 1, 1);
+        break;
+      case "last_month":
+        from = new Date(year, month - 1, 1);
+        to = new Date(year, month, 1);
+        break;
+      case "this_year":
+        from = new Date(year, 0, 1);
+        to = new Date(year + 1, 0, 1);
+        break;
+      case "last_year":
+        from = new Date(year - 1, 0, 1);
+        to = new Date(year, 0, 1);
+        break;
+      default:
+        throw new Error(`Unknown period ${source.period}, use today, yesterday, this_month, last_month, this_year or last_year`);
+    }
+  } else {
+    from = source.from !== undefined ? parseDate(source.from, "from") : new Date(year, month, 1);
+    to = source.to !== undefined ? parseDate(source.to, "to") : now;
+  }
+
+  if (to <= from) {
+    throw new Error("to must be after from");
+  }
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+/**
+ * GET a path and follow its pages. A paged response is an object with the
+ * rows in "data" (or "items") and "page" and "pages" (or "totalPages");
+ * anything else is returned as it is.
+ *
+ * @param {object} connection configuration node
+ * @param {string} path
+ * @param {number} maxPages
+ * @returns {Promise<*>} every row, or the response when it is not paged
+ */
+async function fetchAllPages(connection, path, maxPages = MAX_PAGES) {
+  const rowsOf = (response) => response?.data ?? response?.items;
+  const pagesOf = (response) => response?.pages ?? response?.totalPages ?? 1;
+
+  const first = await connection.genericCall(path, "GET", null);
+  if (!Array.isArray(rowsOf(first))) {
+    return first;
+  }
+
+  const rows = [...rowsOf(first)];
+  const separator = path.includes("?") ? "&" : "?";
+  let page = first.page ?? 1;
+  while (page < pagesOf(first) && page < maxPages) {
+    page++;
+    const next = await connection.genericCall(`${path}${separator}page=${page}`, "GET", null);
+    if (!Array.isArray(rowsOf(next)) || rowsOf(next).length === 0) {
+      break;
+    }
+    rows.push(...rowsOf(next));
+  }
+  return rows;
+}
+
+/**
+ * Rows of a response, which may be a list or a paged object
+ *
+ * @param {*} response
+ * @param {string} topic for the error message
+ * @returns {Array}
+ */
+function responseRows(response, topic) {
+  const rows = Array.isArray(response) ? response : response?.data ?? response?.items;
+  if (!Array.isArray(rows)) {
+    throw new Error(`${topic} failed: expected a list of results`);
+  }
+  return rows;
+}
+
+/**
+ * Seconds between two ISO date/times, or null
+ *
+ * @param {string} start
+ * @param {string} end
+ * @returns {number|null}
+ */
+function secondsBetween(start, end) {
+  if (!start || !end) {
+    return null;
+  }
+  return Math.round((new Date(end).getTime() - new Date(start).getTime()) / 1000);
+}
+
+/**
+ * Normalize charging sessions into { id, chargerId, start, end, kWh, duration },
+ * duration in seconds, sorted by start
+ *
+ * @param {Array} sessions as returned by Easee
+ * @param {string} chargerId used when a session does not name its charger
+ * @returns {Array}
+ */
+function normalizeSessions(sessions, chargerId) {
+  return sessions.map((session) => {
+    const start = session.carConnected ?? session.sessionStart ?? session.start ?? null;
+    const end = session.carDisconnected ?? session.sessionEnd ?? session.end ?? null;
+    return {
+      id: session.id ?? session.sessionId ?? null,
+      chargerId: session.chargerId ?? session.chargerSerial ?? chargerId,
+      start: start,
+      end: end,
+      kWh: session.kiloWattHours ?? session.sessionEnergy ?? session.totalEnergy ?? 0,
+      duration: session.actualDurationSeconds ?? secondsBetween(start, end)
+    };
+  }).sort((a, b) => String(a.start).localeCompare(String(b.start)));
+}
+
+/**
+ * Normalize energy usage into { chargerId, start, end, kWh, duration }
+ *
+ * Hourly rows have a date/time, monthly rows a year and month (1-12).
+ *
+ * @param {Array} rows as returned by Easee
+ * @param {string} chargerId
+ * @param {object} range optional { from, to }, rows outside it are left out
+ * @returns {Array}
+ */
+function normalizeEnergy(rows, chargerId, range = null) {
+  return rows.map((row) => {
+    let start;
+    let end;
+    if (row.year !== undefined && row.month !== undefined) {
+      start = new Date(row.year, row.month - 1, 1);
+      end = new Date(row.year, row.month, 1);
+    } else {
+      start = new Date(row.from ?? row.date ?? row.start);
+      end = row.to ?? row.end ? new Date(row.to ?? row.end) : new Date(start.getTime() + 3600000);
+    }
+    return {
+      chargerId: row.chargerId ?? chargerId,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      kWh: row.totalEnergyUsage ?? row.totalEnergy ?? row.kiloWattHours ?? row.consumption ?? 0,
+      duration: secondsBetween(start.toISOString(), end.toISOString())
+    };
+  })
+    .filter((row) => !range || (row.start >= range.from && row.start < range.to))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Chargers on a site, from the circuits of GET /sites/{site}
+ *
+ * @param {object} site
+ * @returns {string[]} charger ids
+ */
+function chargersOfSite(site) {
+  return (site?.circuits ?? [])
+    .flatMap((circuit) => circuit.chargers ?? [])
+    .map((charger) => charger.id);
+}
+
+/**
+ * Normalize a site as returned by /sites, /sites/{id} or /accounts/products
+ * into { id, name, siteKey, circuits: [{ id, name, ratedCurrent, chargers: [{ id, name }] }] }.
+ * Sites from the /sites list have no circuits.
+ *
+ * @param {object} site
+ * @returns {object}
+ */
+function normalizeSite(site) {
+  return {
+    id: site.id,
+    name: site.name ?? null,
+    siteKey: site.siteKey ?? null,
+    circuits: (site.circuits ?? []).map((circuit) => ({
+      id: circuit.id,
+      name: circuit.panelName ?? circuit.circuitName ?? circuit.name ?? `Circuit ${circuit.circuitPanelId ?? circuit.id}`,
+      ratedCurrent: circuit.ratedCurrent ?? null,
+      chargers: (circuit.chargers ?? []).map((charger) => ({
+        id: charger.id,
+        name: charger.name ?? charger.id
+      }))
+    }))
+  };
+}
+
+/**
+ * Flatten site trees into chargers with the site and circuit they are on.
+ * Chargers only in the /chargers list are added without a site.
+ *
+ * @param {object[]} sites normalized sites
+ * @param {object[]} chargers as returned by /chargers
+ * @returns {object[]} [{ id, name, siteId, siteName, circuitId, circuitName }]
+ */
+function flattenChargers(sites, chargers = []) {
+  const result = [];
+  sites.forEach((site) => {
+    site.circuits.forEach((circuit) => {
+      circuit.chargers.forEach((charger) => {
+        result.push({
+          id: charger.id,
+          name: charger.name,
+          siteId: site.id,
+          siteName: site.name,
+          circuitId: circuit.id,
+          circuitName: circuit.name
+        });
+      });
+    });
+  });
+  chargers
+    .filter((charger) => !result.some((known) => known.id === charger.id))
+    .forEach((charger) => {
+      result.push({
+        id: charger.id,
+        name: charger.name ?? charger.id,
+        siteId: null,
+        siteName: null,
+        circuitId: null,
+        circuitName: null
+      });
+    });
+  return result;
+}
+
+/**
+ * Every site of the account, with circuits and chargers
+ *
+ * @param {object} connection configuration node
+ * @returns {Promise<object[]>} normalized sites
+ */
+async function fetchProducts(connection) {
+  const products = await connection.genericCall("/accounts/products", "GET", null);
+  if (!Array.isArray(products)) {
+    throw new Error("products failed: expected a list of sites");
+  }
+  return products.map(normalizeSite);
+}
+
+const COMMANDS = {
+  login: {
+    description: "Make sure the account is logged in",
+    method: "POST",
+    path: "/accounts/login/",
+    params: [],
+    run: async(connection) => {
+      const isAuthenticated = await connection.ensureAuthentication();
+      if (!isAuthenticated) {
+        throw new Error("Authentication failed");
+      }
+      return { success: true, message: "Authentication verified" };
+    }
+  },
+  refresh_token: {
+    description: "Refresh the access token",
+    method: "POST",
+    path: "/accounts/refresh_token/",
+    params: [],
+    run: (connection) => connection.doRefreshToken()
+  },
+  products: {
+    description: "Every site of the account, as a tree of sites, circuits and chargers",
+    method: "GET",
+    path: "/accounts/products",
+    params: [],
+    postProcess: (response) => responseRows(response, "products").map(normalizeSite)
+  },
+  list_sites: {
+    description: "Sites of the account, without circuits (see products)",
+    method: "GET",
+    path: "/sites",
+    params: [],
+    postProcess: (response) => responseRows(response, "list_sites").map(normalizeSite)
+  },
+  site_details: {
+    description: "A site with its circuits and their chargers",
+    method: "GET",
+    path: "/sites/{site}?detailed=true",
+    params: ["site"],
+    postProcess: (response) => normalizeSite(response)
+  },
+  list_chargers: {
+    description: "Chargers of the account, each with the site and circuit it is on",
+    method: "GET",
+    path: "/chargers",
+    params: [],
+    run: async(connection, request) => {
+      const chargers = await connection.genericCall(request.path, "GET", null);
+      return flattenChargers(await fetchProducts(connection), responseRows(chargers, "list_chargers"));
+    }
+  },
+  charger: {
+    description: "Charger information",
+    method: "GET",
+    path: "/chargers/{charger}?alwaysGetChargerAccessLevel=true",
+    params: ["charger"]
+  },
+  charger_details: {
+    description: "Charger details, like product and firmware",
+    method: "GET",
+    path: "/chargers/{charger}/details",
+    params: ["charger"]
+  },
+  charger_state: {
+    description: "Current charger state, with every value parsed like a streaming observation",
+    method: "GET",
+    path: "/chargers/{charger}/state",
+    params: ["charger"],
+    postProcess: (json, request, connection) => {
+      if (typeof json !== "object" || json === null) {
+        throw new Error("charger_state failed");
+      }
+      Object.keys(json).forEach((idx) => {
+        json[idx] = parseObservation(
+          {
+            dataName: idx,
+            value: json[idx],
+            origValue: json[idx]
+          },
+          "name"
+        );
+      });
+      // Seed the last known state of the account
+      connection?.rememberState?.(request.params.charger, json);
+      return json;
+    }
+  },
+  charger_snapshot: {
+    description: "Last known state of the charger from the stream and charger_state, read over REST when nothing is known yet or msg.payload.refresh is true",
+    method: "GET",
+    path: "/chargers/{charger}/state",
+    params: ["charger"],
+    run: (connection, request) => connection.getChargerSnapshot(request.params.charger, request.payload?.refresh === true)
+  },
+  charger_site: {
+    description: "Site the charger belongs to",
+    method: "GET",
+    path: "/chargers/{charger}/site",
+    params: ["charger"]
+  },
+  charger_config: {
+    description: "Charger configuration",
+    method: "GET",
+    path: "/chargers/{charger}/config",
+    params: ["charger"]
+  },
+  charger_session_latest: {
+    description: "Latest charging session",
+    method: "GET",
+    path: "/chargers/{charger}/sessions/latest",
+    params: ["charger"]
+  },
+  charger_session_ongoing: {
+    description: "Ongoing charging session",
+    method: "GET",
+    path: "/chargers/{charger}/sessions/ongoing",
+    params: ["charger"]
+  },
+  charger_sessions: {
+    description: "Charging sessions between msg.payload.from and to (or month, or period), as {id, chargerId, start, end, kWh, duration}",
+    method: "GET",
+    path: "/sessions/charger/{charger}/sessions/{from}/{to}",
+    params: ["charger"],
+    range: true,
+    paginate: true,
+    postProcess: (response, request) => normalizeSessions(responseRows(response, "charger_sessions"), request.params.charger)
+  },
+  site_sessions: {
+    description: "Charging sessions of every charger on the site, like charger_sessions",
+    method: "GET",
+    path: "/sites/{site}?detailed=true",
+    params: ["site"],
+    range: true,
+    run: async(connection, request) => {
+      const chargers = chargersOfSite(await connection.genericCall(request.path, "GET", null));
+      const sessions = [];
+      for (const charger of chargers) {
+        const path = buildPath(COMMANDS.charger_sessions.path, { ...request.params, charger: charger });
+        const response = await fetchAllPages(connection, path);
+        sessions.push(...normalizeSessions(responseRows(response, "site_sessions"), charger));
+      }
+      return sessions.sort((a, b) => String(a.start).localeCompare(String(b.start)));
+    }
+  },
+  charger_energy_hourly: {
+    description: "Energy used per hour between msg.payload.from and to (or month, or period), as {chargerId, start, end, kWh, duration}",
+    method: "GET",
+    path: "/sessions/charger/{charger}/hourly/{from}/{to}",
+    params: ["charger"],
+    range: true,
+    paginate: true,
+    postProcess: (response, request) => normalizeEnergy(responseRows(response, "charger_energy_hourly"), request.params.charger)
+  },
+  charger_energy_monthly: {
+    description: "Energy used per month, limited to msg.payload.from and to (or month, or period) when given",
+    method: "GET",
+    path: "/sessions/charger/{charger}/monthly",
+    params: ["charger"],
+    range: true,
+    postProcess: (response, request) => {
+      const given = ["from", "to", "month", "period"].some((name) => request.payload?.[name] !== undefined);
+      return normalizeEnergy(responseRows(response, "charger_energy_monthly"), request.params.charger, given ? request.params : null);
+    }
+  },
+  start_charging: chargerCommand("start_charging", "Start charging"),
+  stop_charging: chargerCommand("stop_charging", "Stop charging"),
+  pause_charging: chargerCommand("pause_charging", "Pause charging"),
+  resume_charging: chargerCommand("resume_charging", "Resume charging"),
+  toggle_charging: chargerCommand("toggle_charging", "Toggle charging"),
+  reboot: chargerCommand("reboot", "Reboot the charger"),
+  charger_settings: {
+    description: "Change charger settings, only the ones in msg.payload",
+    method: "POST",
+    path: "/chargers/{charger}/settings",
+    params: ["charger"],
+    body: {
+      method: "POST",
+      strict: true,
+      fields: chargerSettingsFields()
+    }
+  },
+  get_basic_charge_plan: {
+    description: "Read the basic (single or daily) charge plan",
+    method: "GET",
+    path: "/chargers/{charger}/basic_charge_plan",
+    params: ["charger"]
+  },
+  set_basic_charge_plan: {
+    description: "Set the basic charge plan from msg.payload {start, stop, repeat, currentLimit} or an Easee body",
+    method: "POST",
+    path: "/chargers/{charger}/basic_charge_plan",
+    params: ["charger"],
+    body: {
+      method: "POST",
+      build: (payload) => basicChargePlanBody(payload),
+      fields: {
+        id: { type: "number" },
+        chargeStartTime: { type: "string", required: true },
+        chargeStopTime: { type: "string" },
+        repeat: { type: "boolean" },
+        isEnabled: { type: "boolean" },
+        chargingCurrentLimit: { type: "number", min: 0, max: 40 }
+      }
+    }
+  },
+  delete_basic_charge_plan: {
+    description: "Delete the basic charge plan",
+    method: "DELETE",
+    path: "/chargers/{charger}/basic_charge_plan",
+    params: ["charger"]
+  },
+  get_weekly_charge_plan: {
+    description: "Read the weekly charge plan",
+    method: "GET",
+    path: "/chargers/{charger}/weekly_charge_plan",
+    params: ["charger"]
+  },
+  set_weekly_charge_plan: {
+    description: "Set the weekly charge plan from msg.payload {start, stop, days, currentLimit} or an Easee body",
+    method: "POST",
+    path: "/chargers/{charger}/weekly_charge_plan",
+    params: ["charger"],
+    body: {
+      method: "POST",
+      build: (payload) => weeklyChargePlanBody(payload),
+      fields: {
+        isEnabled: { type: "boolean" },
+        days: { type: "array", required: true }
+      }
+    }
+  },
+  delete_weekly_charge_plan: {
+    description: "Delete the weekly charge plan",
+    method: "DELETE",
+    path: "/chargers/{charger}/weekly_charge_plan",
+    params: ["charger"]
+  },
+  dynamic_current: {
+    description: "Read the dynamic circuit current (GET), or set it (POST) when msg.payload has current fields, other fields are sent along",
+    method: "GET",
+    path: "/sites/{site}/circuits/{circuit}/dynamicCurrent",
+    params: ["site", "circuit"],
+    body: {
+      method: "POST",
+      optional: true,
+      passthrough: true,
+      fields: {
+        phase1: { type: "number", min: 0 },
+        phase2: { type: "number", min: 0 },
+        phase3: { type: "number", min: 0 },
+        timeToLive: { type: "number", min: 0 },
+        dynamicChargerCurrent: { type: "number", min: 0 },
+        maxCircuitCurrentP1: { type: "number", min: 0 },
+        maxCircuitCurrentP2: { type: "number", min: 0 },
+        maxCircuitCurrentP3: { type: "number", min: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Fill in a path template
+ *
+ * @param {string} template e.g. /chargers/{charger}/state
+ * @param {object} params
+ * @returns {string}
+ */
+function buildPath(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+}
+
+/**
+ * Check a value against a body field definition
+ *
+ * @param {string} name
+ * @param {*} value
+ * @param {object} field
+ * @returns {string|null} problem, or null when valid
+ */
+function checkField(name, value, field) {
+  if (field.type === "number" || field.type === "integer") {
+    if (typeof value !== "number" || !isFinite(value)) {
+      return `${name} must be a number`;
+    }
+    if (field.type === "integer" && !Number.isInteger(value)) {
+      return `${name} must be a whole number`;
+    }
+    if (field.values && !field.values.includes(value)) {
+      return `${name} must be one of ${field.values.join(", ")}`;
+    }
+    if (field.min !== undefined && value < field.min) {
+      return `${name} must be at least ${field.min}`;
+    }
+    if (field.max !== undefined && value > field.max) {
+      return `${name} must be at most ${field.max}`;
+    }
+    return null;
+  }
+  if (field.type === "array") {
+    return Array.isArray(value) ? null : `${name} must be a list`;
+  }
+  if (field.type && typeof value !== field.type) {
+    return `${name} must be a ${field.type}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a topic and its input, and build the request
+ *
+ * @param {string} topic
+ * @param {object} params charger, site and circuit
+ * @param {*} payload msg.payload, holding the body fields
+ * @returns {{topic: string, command: object, method: string, path: string, body: object|undefined, params: object, payload: *}}
+ * @throws {Error} when the topic is unknown or the input is invalid
+ */
+function prepareCommand(topic, params, payload) {
+  const command = Object.prototype.hasOwnProperty.call(COMMANDS, topic) ? COMMANDS[topic] : null;
+  if (!command) {
+    throw new Error(`Unknown topic ${topic}`);
+  }
+
+  const missing = command.params.filter((param) => params[param] === undefined || params[param] === null || params[param] === "");
+  if (missing.length > 0) {
+    throw new Error(`${topic} failed: ${missing.join(" and ")} missing. Provide ${missing.map((param) => `${param} in ${PARAM_SOURCES[param]}`).join(", and ")}`);
+  }
+
+  if (command.range) {
+    try {
+      params = { ...params, ...parseDateRange(payload) };
+    } catch (error) {
+      throw new Error(`${topic} failed: ${error.message}`);
+    }
+  }
+
+  let method = command.method;
+  let body;
+  if (command.body) {
+    let source = typeof payload === "object" && payload !== null ? payload : {};
+    if (command.body.build) {
+      try {
+        source = command.body.build(source);
+      } catch (error) {
+        throw new Error(`${topic} failed: ${error.message}`);
+      }
+    }
+    const given = Object.keys(command.body.fields).filter((name) => source[name] !== undefined);
+    const problems = [];
+
+    if (command.body.strict) {
+      const unknown = Object.keys(source).filter((name) => !Object.prototype.hasOwnProperty.call(command.body.fields, name));
+      if (unknown.length > 0) {
+        problems.push(`unknown ${unknown.length === 1 ? "field" : "fields"} ${unknown.join(", ")}`);
+      }
+      if (given.length === 0 && unknown.length === 0) {
+        problems.push("msg.payload has no fields to send");
+      }
+    }
+
+    Object.entries(command.body.fields).forEach(([name, field]) => {
+      if (source[name] === undefined) {
+        if (field.required && (given.length > 0 || !command.body.optional)) {
+          problems.push(`${name} is required`);
+        }
+        return;
+      }
+      const problem = checkField(name, source[name], field);
+      if (problem) {
+        problems.push(problem);
+      }
+    });
+    if (problems.length > 0) {
+      throw new Error(`${topic} failed: ${problems.join(", ")}`);
+    }
+
+    if (given.length > 0 || !command.body.optional) {
+      method = command.body.method || method;
+      body = {};
+      given.forEach((name) => {
+        body[name] = source[name];
+      });
+      if (command.body.passthrough) {
+        Object.keys(source)
+          .filter((name) => !Object.prototype.hasOwnProperty.call(command.body.fields, name) && !PARAM_FIELDS.includes(name))
+          .forEach((name) => {
+            body[name] = source[name];
+          });
+      }
+    }
+  }
+
+  // Commands without a body are POSTed with an empty object, like node.POST() does
+  if (body === undefined && method === "POST") {
+    body = {};
+  }
+
+  return {
+    topic: topic,
+    command: command,
+    method: method,
+    path: buildPath(command.path, params),
+    body: body,
+    params: params,
+    payload: payload
+  };
+}
+
+/**
+ * Markdown list of all topics, for the node help and README
+ *
+ * @param {string} indent prefix for every line
+ * @returns {string}
+ */
+function describeCommands(indent = "") {
+  return Object.entries(COMMANDS).map(([topic, command]) => {
+    let line = `${indent}- \`${topic}\`: ${command.description}`;
+    if (!command.run) {
+      line += ` (${command.method}${command.body && command.body.method !== command.method ? `/${command.body.method}` : ""} \`${command.path.split("?")[0]}\`)`;
+    }
+    if (command.body) {
+      line += `. Fields: ${Object.keys(command.body.fields).map((name) => `\`${name}\``).join(", ")}`;
+    }
+    return line;
+  }).join("\n");
+}
+
+module.exports = {
+  COMMANDS,
+  basicChargePlanBody,
+  weeklyChargePlanBody,
+  parseDateRange,
+  resolveTime,
+  fetchAllPages,
+  fetchProducts,
+  flattenChargers,
+  normalizeSite,
+  normalizeSessions,
+  normalizeEnergy,
+  buildPath,
+  prepareCommand,
+  describeCommands
+};
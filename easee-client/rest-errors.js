@@ -0,0 +1,153 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+/**
+ * Errors of REST calls, classified so callers can tell what went wrong and
+ * whether trying again later may help.
+ *
+ * Codes:
+ * - network: the API could not be reached
+ * - timeout: the API did not answer in time
+ * - unauthorized: 401, also after refreshing the token once
+ * - rate_limited: 429, also after waiting for Retry-After
+ * - validation: other 4xx, the request itself is wrong
+ * - server: 5xx
+ * - queue_full: dropped or rejected by the request queue
+ * - cancelled: the configuration node was closed
+ * - invalid_request: the message could not be turned into a request
+ * - command_rejected: the charger answered a command with a rejecting CommandResponse
+ * - command_timeout: no CommandResponse to a command arrived in time
+ * - not_confirmed: the charger state did not change as asked in time
+ */
+
+const RETRYABLE_CODES = ["network", "timeout", "rate_limited", "server", "queue_full", "command_timeout", "not_confirmed"];
+
+class EaseeRestError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.code see above
+   * @param {number} details.httpStatus status of the last response, if there was one
+   * @param {number} details.attempts requests sent
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "EaseeRestError";
+    this.code = details.code || "error";
+    this.httpStatus = details.httpStatus ?? null;
+    this.retryable = RETRYABLE_CODES.includes(this.code);
+    this.attempts = details.attempts ?? 0;
+  }
+}
+
+/**
+ * Error code of an HTTP status
+ *
+ * @param {number} status
+ * @returns {string}
+ */
+function statusCode(status) {
+  if (status === 401) {
+    return "unauthorized";
+  }
+  if (status === 429) {
+    return "rate_limited";
+  }
+  if (status >= 500) {
+    return "server";
+  }
+  return "validation";
+}
+
+/**
+ * Error of a fetch that did not get a response
+ *
+ * @param {Error} error rejection of fetch()
+ * @param {number} attempts
+ * @returns {EaseeRestError}
+ */
+function fetchError(error, attempts) {
+  if (error instanceof EaseeRestError) {
+    // Cancellation and timeout reasons are shared by every request they end,
+    // so each request gets its own copy with its own attempts
+    return new EaseeRestError(error.message, { code: error.code, httpStatus: error.httpStatus, attempts });
+  }
+  const timeout = error?.name === "AbortError" || error?.name === "TimeoutError";
+  const reason = error?.cause?.message || error?.message || String(error);
+  return new EaseeRestError(
+    `REST Command failed (${timeout ? "timeout" : "network error"}) ${reason}`,
+    { code: timeout ? "timeout" : "network", attempts }
+  );
+}
+
+/**
+ * Error of a response that is not ok, with the API's message if it sent one
+ *
+ * @param {object} response fetch response
+ * @param {string} text response body
+ * @param {number} attempts
+ * @returns {EaseeRestError}
+ */
+function responseError(response, text, attempts) {
+  let message = text;
+  try {
+    const json = JSON.parse(text);
+    if (json?.message || json?.title) {
+      message = json.message || json.title;
+    }
+  } catch {
+    // Not JSON, use the text as it is
+  }
+  return new EaseeRestError(
+    `REST Command failed (${response.status}: ${response.statusText}) ${message}`,
+    { code: statusCode(response.status), httpStatus: response.status, attempts }
+  );
+}
+
+/**
+ * The msg.error of a failed request
+ *
+ * @param {Error|string} error
+ * @returns {{message: string, code: string, httpStatus: number|null, retryable: boolean, attempts: number}}
+ */
+function describeError(error) {
+  if (!(error instanceof EaseeRestError)) {
+    error = new EaseeRestError(error?.message || String(error));
+  }
+  return {
+    message: error.message,
+    code: error.code,
+    httpStatus: error.httpStatus,
+    retryable: error.retryable,
+    attempts: error.attempts
+  };
+}
+
+module.exports = {
+  EaseeRestError,
+  statusCode,
+  fetchError,
+  responseError,
+  describeError
+};
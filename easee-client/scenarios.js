@@ -0,0 +1,132 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+/**
+ * Built in charger scenarios, shared by the charger simulator node and the
+ * mock Easee cloud.
+ *
+ * Each step waits "after" seconds from the previous step, then sets the given
+ * observations (by name) and sends them as ProductUpdate, or as "target"
+ * (e.g. ChargerUpdate). "commandResponse" sends a CommandResponse. Scenarios
+ * with "loop" start over when the last step is done. Both players can run a
+ * scenario faster than real time.
+ */
+
+const SCENARIOS = {
+  "charging-session": {
+    description: "Car arrives, charges at 11 kW, is throttled to 6 A and completes",
+    steps: [
+      { after: 10, set: { ChargerOpMode: 2, ReasonForNoCurrent: 50 } },
+      {
+        after: 10,
+        set: {
+          ChargerOpMode: 3,
+          ReasonForNoCurrent: 0,
+          OutputCurrent: 16,
+          InCurrent_T3: 16,
+          InCurrent_T4: 16,
+          InCurrent_T5: 16,
+          TotalPower: 11.04
+        }
+      },
+      {
+        after: 900,
+        set: {
+          DynamicChargerCurrent: 6,
+          OutputCurrent: 6,
+          InCurrent_T3: 6,
+          InCurrent_T4: 6,
+          InCurrent_T5: 6,
+          TotalPower: 4.14,
+          ReasonForNoCurrent: 78
+        }
+      },
+      {
+        after: 900,
+        set: {
+          ChargerOpMode: 4,
+          ReasonForNoCurrent: 0,
+          OutputCurrent: 0,
+          InCurrent_T3: 0,
+          InCurrent_T4: 0,
+          InCurrent_T5: 0,
+          TotalPower: 0
+        }
+      },
+      { after: 120, set: { ChargerOpMode: 1, DynamicChargerCurrent: 32, SessionEnergy: 0 } }
+    ]
+  },
+  "single-phase": {
+    description: "Car charges on one phase at 16 A (3.7 kW) until it is full",
+    steps: [
+      { after: 10, set: { ChargerOpMode: 2, ReasonForNoCurrent: 50 } },
+      {
+        after: 10,
+        set: {
+          ChargerOpMode: 3,
+          ReasonForNoCurrent: 0,
+          OutputPhase: 10,
+          OutputCurrent: 16,
+          InCurrent_T3: 16,
+          TotalPower: 3.68
+        }
+      },
+      {
+        after: 1800,
+        set: {
+          ChargerOpMode: 4,
+          OutputCurrent: 0,
+          InCurrent_T3: 0,
+          TotalPower: 0
+        }
+      }
+    ]
+  },
+  idle: {
+    description: "No car connected, temperatures drift now and then",
+    loop: true,
+    steps: [
+      { after: 60, set: { TempMax: 21.8, TempAmbient: 18.2 } },
+      { after: 60, set: { TempMax: 21.5, TempAmbient: 18.0 } }
+    ]
+  },
+  "command-rejected": {
+    description: "Charger reports a configuration change, then rejects a command",
+    steps: [
+      { after: 0, target: "ChargerUpdate", set: { MaxChargerCurrent: 16 } },
+      { after: 1, commandResponse: { id: 1, wasAccepted: false, resultCode: 1, comment: "Rejected by charger" } }
+    ]
+  },
+  "car-leaves": {
+    description: "Charging completes and the car is disconnected",
+    steps: [
+      { after: 0, set: { ChargerOpMode: 4, TotalPower: 0, OutputCurrent: 0 } },
+      { after: 3, set: { ChargerOpMode: 1, SessionEnergy: 0 } }
+    ]
+  }
+};
+
+module.exports = {
+  SCENARIOS
+};
@@ -40,6 +40,7 @@ module.exports = [
         clearInterval: "readonly",
         setImmediate: "readonly",
         clearImmediate: "readonly",
+        AbortController: "readonly",
 
         // Node-RED globals
         RED: "readonly",
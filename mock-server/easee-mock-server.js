@@ -0,0 +1,1206 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Jon Tungland
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ **/
+
+/**
+ * Local stand-in for the Easee cloud.
+ *
+ * Serves the REST endpoints used by easee-configuration and easee-rest-client
+ * under /api, and a SignalR hub (JSON protocol over WebSockets) under
+ * /hubs/chargers. Point the configuration node's REST API URL and SignalR hub
+ * URL at it to develop flows and run integration tests without a charger.
+ */
+
+const http = require("http");
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const { URL } = require("url");
+const { OBSERVATIONS } = require("../easee-client/observations");
+const { SCENARIOS: scenarios } = require("../easee-client/scenarios");
+
+const RECORD_SEPARATOR = "\x1e";
+const HUB_PATH = "/hubs/chargers";
+const API_PREFIX = "/api";
+const PING_INTERVAL = 15000;
+
+// .NET ticks at the unix epoch, Easee reports command ticks in this format
+const EPOCH_TICKS = 621355968000000000;
+
+// Command ids are arbitrary in the mock, they only need to be stable
+const COMMAND_IDS = {
+  start_charging: 1,
+  stop_charging: 2,
+  pause_charging: 3,
+  resume_charging: 4,
+  toggle_charging: 5,
+  reboot: 6
+};
+
+/**
+ * Observations by name, with the property name used by the REST
+ * /chargers/{id}/state endpoint (altName, or the name without underscores)
+ */
+const observations = {};
+OBSERVATIONS.forEach((observation) => {
+  observations[observation.name] = {
+    id: observation.observationId,
+    dataType: observation.dataType,
+    stateKey: (observation.altName || observation.name.replace(/_/g, "")).replace(/^./, (c) => c.toLowerCase())
+  };
+});
+
+/**
+ * Default account with one site, one circuit and two chargers
+ * @returns {object}
+ */
+function createDefaultAccount() {
+  return {
+    username: "test@example.com",
+    password: "password",
+    sites: [
+      {
+        id: 1234,
+        siteKey: "ABCD-1234",
+        name: "Mock site",
+        circuits: [
+          {
+            id: 1345,
+            siteId: 1234,
+            circuitPanelId: 1,
+            panelName: "Main",
+            ratedCurrent: 32,
+            chargers: ["EH000001", "EH000002"]
+          }
+        ]
+      }
+    ],
+    chargers: [
+      { id: "EH000001", name: "Garage" },
+      { id: "EH000002", name: "Driveway" }
+    ]
+  };
+}
+
+/**
+ * Initial observation values for a charger
+ * @returns {object}
+ */
+function createDefaultChargerState() {
+  return {
+    LockCablePermanently: false,
+    IsEnabled: true,
+    EnableIdleCurrent: false,
+    PhaseMode: 2,
+    LedStripBrightness: 50,
+    SmartButtonEnabled: false,
+    MaxChargerCurrent: 32,
+    DynamicChargerCurrent: 32,
+    ReasonForNoCurrent: 50,
+    ChargerOpMode: 1,
+    OutputPhase: 30,
+    DynamicCircuitCurrentP1: 32,
+    DynamicCircuitCurrentP2: 32,
+    DynamicCircuitCurrentP3: 32,
+    OutputCurrent: 0,
+    TotalPower: 0,
+    SessionEnergy: 0,
+    LifetimeEnergy: 1234.5,
+    TempMax: 21,
+    TempAmbient: 18,
+    InCurrent_T2: 0,
+    InCurrent_T3: 0,
+    InCurrent_T4: 0,
+    InCurrent_T5: 0,
+    InVolt_T2_T3: 230
+  };
+}
+
+/**
+ * Charging session history: one evening session a day on the first charger
+ * for the last 45 days
+ *
+ * @param {object} account
+ * @param {Date} now
+ * @returns {object[]} sessions as /sessions/charger/{id}/sessions returns them
+ */
+function createDefaultSessions(account, now = new Date()) {
+  const sessions = [];
+  for (let day = 45; day >= 1; day--) {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - day, 18, 0);
+    const hours = 2 + (day % 4);
+    sessions.push(createSession(sessions.length + 1, account.chargers[0].id, start, hours, 7.2 * hours));
+  }
+  return sessions;
+}
+
+/**
+ * @param {number} id
+ * @param {string} chargerId
+ * @param {Date} start
+ * @param {number} hours
+ * @param {number} kWh
+ * @returns {object} session as Easee returns it
+ */
+function createSession(id, chargerId, start, hours, kWh) {
+  const end = new Date(start.getTime() + hours * 3600000);
+  return {
+    id: id,
+    chargerId: chargerId,
+    carConnected: start.toISOString(),
+    carDisconnected: end.toISOString(),
+    kiloWattHours: Math.round(kWh * 1000) / 1000,
+    actualDurationSeconds: hours * 3600
+  };
+}
+
+/**
+ * Emits "subscribe" (chargerId) when a hub connection subscribes to a charger.
+ */
+class EaseeMockServer extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.account account with username, password, sites and chargers
+   * @param {number} options.tokenLifetime access token lifetime in seconds
+   * @param {number} options.commandResponseDelay ms before CommandResponse is streamed
+   * @param {boolean} options.log log requests to the console
+   * @param {number} options.speed play scenarios this many times faster than real time
+   * @param {object[]} options.sessions charging session history, see createSession()
+   */
+  constructor(options = {}) {
+    super();
+    this.account = options.account || createDefaultAccount();
+    this.tokenLifetime = options.tokenLifetime || 3600;
+    this.commandResponseDelay = options.commandResponseDelay ?? 500;
+    this.log = options.log || false;
+    this.speed = options.speed > 0 ? options.speed : 1;
+
+    this.chargerState = {};
+    this.account.chargers.forEach((charger) => {
+      this.chargerState[charger.id] = createDefaultChargerState();
+    });
+    this.dynamicCurrent = {};
+    this.chargePlans = {};
+    this.sessions = options.sessions || createDefaultSessions(this.account);
+    this.accessTokens = new Set();
+    this.refreshTokens = new Set();
+    this.connections = new Set();
+    this.requests = [];
+    this.timers = new Set();
+    this.lastTicks = 0;
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.server.on("upgrade", (req, socket, head) => this.handleUpgrade(req, socket, head));
+    this.wss.on("connection", (ws) => this.handleHubConnection(ws));
+  }
+
+  /**
+   * Start listening
+   *
+   * @param {number} port 0 picks a free port
+   * @param {string} host
+   * @returns {Promise<{port: number, restApiPath: string, signalRpath: string}>}
+   */
+  start(port = 8090, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        const base = `http://${host}:${address.port}`;
+        this.urls = {
+          port: address.port,
+          restApiPath: base + API_PREFIX,
+          signalRpath: base + HUB_PATH
+        };
+        resolve(this.urls);
+      });
+    });
+  }
+
+  /**
+   * Stop scenarios, close hub connections and the HTTP server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.stopScenario();
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.connections.forEach((conn) => {
+      clearInterval(conn.pingHandle);
+      conn.ws.terminate();
+    });
+    this.connections.clear();
+    return new Promise((resolve) => {
+      this.wss.close(() => {
+        this.server.close(() => resolve());
+        // Keep-alive sockets would otherwise hold close() open
+        this.server.closeAllConnections();
+      });
+    });
+  }
+
+  /**
+   * Run a callback later, cancelled by stop()
+   * @param {function} callback
+   * @param {number} delay
+   */
+  later(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Charger state
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Update observations on a charger and stream them to subscribers
+   *
+   * @param {string} chargerId
+   * @param {object} values observation name -> value
+   * @param {string} target hub method, ProductUpdate or ChargerUpdate
+   */
+  setObservations(chargerId, values, target = "ProductUpdate") {
+    const state = this.chargerState[chargerId];
+    if (!state) {
+      throw new Error(`Unknown charger ${chargerId}`);
+    }
+    Object.entries(values).forEach(([name, value]) => {
+      state[name] = value;
+      if (observations[name]) {
+        this.broadcast(target, this.createObservation(chargerId, name, value));
+      }
+    });
+  }
+
+  /**
+   * Build a hub observation message as Easee sends it
+   *
+   * @param {string} chargerId
+   * @param {string} name
+   * @param {*} value
+   * @returns {object}
+   */
+  createObservation(chargerId, name, value) {
+    return {
+      mid: chargerId,
+      dataType: observations[name].dataType,
+      id: observations[name].id,
+      timestamp: new Date().toISOString(),
+      value: String(value)
+    };
+  }
+
+  /**
+   * Charger state as returned by /chargers/{id}/state
+   * @param {string} chargerId
+   * @returns {object}
+   */
+  getStateResponse(chargerId) {
+    const state = this.chargerState[chargerId];
+    const response = {};
+    Object.entries(state).forEach(([name, value]) => {
+      if (observations[name]) {
+        response[observations[name].stateKey] = value;
+      }
+    });
+    return response;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scenarios
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Play a scripted scenario
+   *
+   * @param {string|object} scenario name from easee-client/scenarios.js, or a
+   *   scenario object with "after" in seconds
+   * @param {string} chargerId defaults to the first charger on the account
+   * @returns {Promise<void>} resolves when a non-looping scenario completes
+   */
+  runScenario(scenario, chargerId = this.account.chargers[0].id) {
+    const definition = typeof scenario === "string" ? scenarios[scenario] : scenario;
+    if (!definition) {
+      return Promise.reject(new Error(`Unknown scenario ${scenario}`));
+    }
+    this.stopScenario();
+
+    return new Promise((resolve) => {
+      let index = 0;
+      const next = () => {
+        if (index >= definition.steps.length) {
+          if (!definition.loop) {
+            this.scenarioHandle = null;
+            this.scenarioResolve = null;
+            resolve();
+            return;
+          }
+          index = 0;
+        }
+        const step = definition.steps[index++];
+        this.scenarioHandle = setTimeout(() => {
+          this.applyStep(step, step.charger || chargerId);
+          next();
+        }, ((step.after || 0) * 1000) / this.speed);
+      };
+      this.scenarioResolve = resolve;
+      next();
+    });
+  }
+
+  /**
+   * Stop a running scenario
+   */
+  stopScenario() {
+    if (this.scenarioHandle) {
+      clearTimeout(this.scenarioHandle);
+      this.scenarioHandle = null;
+    }
+    if (this.scenarioResolve) {
+      this.scenarioResolve();
+      this.scenarioResolve = null;
+    }
+  }
+
+  /**
+   * @param {object} step
+   * @param {string} chargerId
+   */
+  applyStep(step, chargerId) {
+    if (step.set) {
+      this.setObservations(chargerId, step.set, step.target || "ProductUpdate");
+    }
+    if (step.commandResponse) {
+      this.broadcast("CommandResponse", {
+        serialNumber: chargerId,
+        id: 0,
+        ticks: this.nextTicks(),
+        timestamp: new Date().toISOString(),
+        wasAccepted: true,
+        resultCode: 0,
+        comment: null,
+        ...step.commandResponse
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const body = await this.readBody(req);
+    this.requests.push({ method: req.method, path: url.pathname, query: url.search, body: body });
+    if (this.log) {
+      console.log(`[easee-mock] ${req.method} ${url.pathname}${url.search}`);
+    }
+
+    try {
+      if (url.pathname === HUB_PATH + "/negotiate" && req.method === "POST") {
+        return this.handleNegotiate(req, res);
+      }
+      if (!url.pathname.startsWith(API_PREFIX + "/")) {
+        return this.sendJson(res, 404, this.problem(404, "Not Found"));
+      }
+      const path = url.pathname.substring(API_PREFIX.length);
+
+      if (path === "/accounts/login" && req.method === "POST") {
+        return this.handleLogin(res, body);
+      }
+      if (path === "/accounts/refresh_token" && req.method === "POST") {
+        return this.handleRefresh(res, body);
+      }
+      if (!this.isAuthorized(req.headers.authorization)) {
+        return this.sendJson(res, 401, this.problem(401, "Unauthorized", "Missing or invalid access token"));
+      }
+      return this.route(req.method, path, url.searchParams, body, res);
+    } catch (error) {
+      return this.sendJson(res, 500, this.problem(500, "Internal Server Error", error.message));
+    }
+  }
+
+  /**
+   * Route authenticated API requests
+   *
+   * @param {string} method
+   * @param {string} path path below /api
+   * @param {URLSearchParams} query
+   * @param {*} body
+   * @param {http.ServerResponse} res
+   */
+  route(method, path, query, body, res) {
+    const parts = path.split("/").filter((part) => part !== "");
+
+    if (parts[0] === "chargers") {
+      if (parts.length === 1 && method === "GET") {
+        return this.sendJson(res, 200, this.account.chargers.map((charger) => this.chargerResponse(charger)));
+      }
+      const charger = this.account.chargers.find((c) => c.id === parts[1]);
+      if (!charger) {
+        return this.sendJson(res, 404, this.problem(404, "Not Found", `Charger ${parts[1]} not found`));
+      }
+      return this.routeCharger(method, charger, parts.slice(2), body, res);
+    }
+
+    if (path === "/accounts/products" && method === "GET") {
+      return this.sendJson(res, 200, this.account.sites.map((site) => this.siteResponse(site)));
+    }
+
+    if (parts[0] === "sessions" && parts[1] === "charger" && method === "GET") {
+      return this.routeSessions(parts[2], parts.slice(3).map(decodeURIComponent), res);
+    }
+
+    if (parts[0] === "sites") {
+      if (parts.length === 1 && method === "GET") {
+        return this.sendJson(res, 200, this.account.sites.map((site) => ({
+          id: site.id,
+          siteKey: site.siteKey,
+          name: site.name
+        })));
+      }
+      const site = this.account.sites.find((s) => String(s.id) === parts[1]);
+      if (!site) {
+        return this.sendJson(res, 404, this.problem(404, "Not Found", `Site ${parts[1]} not found`));
+      }
+      if (parts.length === 2 && method === "GET") {
+        return this.sendJson(res, 200, this.siteResponse(site));
+      }
+      if (parts[2] === "circuits" && parts[4] === "dynamicCurrent") {
+        const circuit = site.circuits.find((c) => String(c.id) === parts[3]);
+        if (!circuit) {
+          return this.sendJson(res, 404, this.problem(404, "Not Found", `Circuit ${parts[3]} not found`));
+        }
+        return this.handleDynamicCurrent(method, circuit, body, res);
+      }
+    }
+
+    return this.sendJson(res, 404, this.problem(404, "Not Found", `No mock for ${method} ${path}`));
+  }
+
+  /**
+   * @param {string} method
+   * @param {object} charger
+   * @param {string[]} parts path parts after /chargers/{id}
+   * @param {*} body
+   * @param {http.ServerResponse} res
+   */
+  routeCharger(method, charger, parts, body, res) {
+    const state = this.chargerState[charger.id];
+    const resource = parts.join("/");
+
+    if (method === "GET") {
+      switch (resource) {
+        case "":
+          return this.sendJson(res, 200, this.chargerResponse(charger));
+        case "details":
+          return this.sendJson(res, 200, {
+            serialNumber: charger.id,
+            pin: "0000",
+            unitType: 1,
+            product: "Easee Home",
+            partnerId: 0
+          });
+        case "site":
+          return this.sendJson(res, 200, this.siteResponse(this.findSiteOfCharger(charger.id)));
+        case "config":
+          return this.sendJson(res, 200, {
+            isEnabled: state.IsEnabled,
+            lockCablePermanently: state.LockCablePermanently,
+            enableIdleCurrent: state.EnableIdleCurrent,
+            phaseMode: state.PhaseMode,
+            maxChargerCurrent: state.MaxChargerCurrent,
+            ledStripBrightness: state.LedStripBrightness,
+            smartButtonEnabled: state.SmartButtonEnabled,
+            localNodeType: 1,
+            localAuthorizationRequired: false
+          });
+        case "state":
+          return this.sendJson(res, 200, this.getStateResponse(charger.id));
+        case "sessions/latest":
+          return this.sendJson(res, 200, {
+            chargerId: charger.id,
+            sessionEnergy: state.SessionEnergy,
+            sessionStart: new Date(Date.now() - 3600000).toISOString(),
+            sessionEnd: state.ChargerOpMode === 3 ? null : new Date().toISOString(),
+            sessionId: 1
+          });
+        case "sessions/ongoing":
+          if (state.ChargerOpMode !== 3) {
+            return this.sendEmpty(res, 204);
+          }
+          return this.sendJson(res, 200, {
+            chargerId: charger.id,
+            sessionEnergy: state.SessionEnergy,
+            sessionStart: new Date(Date.now() - 3600000).toISOString()
+          });
+      }
+    }
+
+    if (method === "POST" && parts[0] === "commands" && parts.length === 2) {
+      return this.handleCommand(charger.id, parts[1], res);
+    }
+
+    if (method === "POST" && resource === "settings") {
+      return this.handleSettings(charger.id, body, res);
+    }
+
+    if (resource === "basic_charge_plan" || resource === "weekly_charge_plan") {
+      return this.handleChargePlan(method, charger.id, resource, body, res);
+    }
+
+    return this.sendJson(res, 404, this.problem(404, "Not Found", `No mock for ${method} /chargers/${charger.id}/${resource}`));
+  }
+
+  /**
+   * Session history and energy usage of a charger
+   *
+   * @param {string} chargerId
+   * @param {string[]} parts "sessions", from, to; "hourly", from, to; or "monthly"
+   * @param {http.ServerResponse} res
+   */
+  routeSessions(chargerId, parts, res) {
+    const sessions = this.sessions.filter((session) => session.chargerId === chargerId);
+    const from = new Date(parts[1]);
+    const to = new Date(parts[2]);
+    const ranged = parts.length === 3;
+    if (ranged && (isNaN(from.getTime()) || isNaN(to.getTime()))) {
+      return this.sendJson(res, 400, this.problem(400, "Bad Request", "Invalid from or to"));
+    }
+
+    if (parts[0] === "sessions" && ranged) {
+      return this.sendJson(res, 200, sessions.filter((session) => {
+        const start = new Date(session.carConnected);
+        return start >= from && start < to;
+      }));
+    }
+
+    if (parts[0] === "hourly" && ranged) {
+      // Spread the energy of each session evenly over its hours
+      const hours = {};
+      sessions.forEach((session) => {
+        const start = new Date(session.carConnected).getTime();
+        const count = Math.max(1, Math.round(session.actualDurationSeconds / 3600));
+        for (let hour = 0; hour < count; hour++) {
+          const date = new Date(start + hour * 3600000);
+          if (date >= from && date < to) {
+            const key = date.toISOString();
+            hours[key] = (hours[key] || 0) + session.kiloWattHours / count;
+          }
+        }
+      });
+      return this.sendJson(res, 200, Object.keys(hours).sort().map((date) => ({
+        date: date,
+        totalEnergy: Math.round(hours[date] * 1000) / 1000
+      })));
+    }
+
+    if (parts[0] === "monthly" && parts.length === 1) {
+      const months = {};
+      sessions.forEach((session) => {
+        const start = new Date(session.carConnected);
+        const key = `${start.getFullYear()}-${start.getMonth() + 1}`;
+        months[key] = (months[key] || 0) + session.kiloWattHours;
+      });
+      return this.sendJson(res, 200, Object.entries(months).map(([key, kWh]) => ({
+        year: parseInt(key.split("-")[0]),
+        month: parseInt(key.split("-")[1]),
+        totalEnergyUsage: Math.round(kWh * 1000) / 1000
+      })));
+    }
+
+    return this.sendJson(res, 404, this.problem(404, "Not Found", `No mock for GET /sessions/charger/${chargerId}/${parts.join("/")}`));
+  }
+
+  /**
+   * Charger settings, applied to the charger state and streamed as ChargerUpdate
+   *
+   * @param {string} chargerId
+   * @param {object} body settings by their API name, like maxChargerCurrent
+   * @param {http.ServerResponse} res
+   */
+  handleSettings(chargerId, body, res) {
+    if (!body || typeof body !== "object" || Object.keys(body).length === 0) {
+      return this.sendJson(res, 400, this.problem(400, "Bad Request", "No settings given"));
+    }
+    const values = {};
+    Object.entries(body).forEach(([key, value]) => {
+      const name = key === "enabled" ? "IsEnabled" : key.charAt(0).toUpperCase() + key.slice(1);
+      values[name] = value;
+    });
+    const unknown = Object.keys(values).filter((name) => !observations[name]);
+    if (unknown.length > 0) {
+      return this.sendJson(res, 400, this.problem(400, "Bad Request", `Unknown settings ${unknown.join(", ")}`));
+    }
+    this.setObservations(chargerId, values, "ChargerUpdate");
+    return this.sendEmpty(res, 202);
+  }
+
+  /**
+   * Basic and weekly charge plans, kept in memory
+   *
+   * @param {string} method
+   * @param {string} chargerId
+   * @param {string} kind basic_charge_plan or weekly_charge_plan
+   * @param {object} body
+   * @param {http.ServerResponse} res
+   */
+  handleChargePlan(method, chargerId, kind, body, res) {
+    const key = `${chargerId}/${kind}`;
+    switch (method) {
+      case "GET":
+        if (!this.chargePlans[key]) {
+          return this.sendJson(res, 404, this.problem(404, "Not Found", "No charge plan"));
+        }
+        return this.sendJson(res, 200, this.chargePlans[key]);
+      case "POST": {
+        const valid = kind === "basic_charge_plan" ?
+          body && typeof body.chargeStartTime === "string" :
+          body && Array.isArray(body.days);
+        if (!valid) {
+          return this.sendJson(res, 400, this.problem(400, "Bad Request", `Invalid ${kind}`));
+        }
+        this.chargePlans[key] = { id: 1, chargerId: chargerId, ...body };
+        return this.sendJson(res, 200, this.chargePlans[key]);
+      }
+      case "DELETE":
+        delete this.chargePlans[key];
+        return this.sendEmpty(res, 200);
+    }
+    return this.sendJson(res, 405, this.problem(405, "Method Not Allowed"));
+  }
+
+  /**
+   * Accept a charger command, apply it and stream the CommandResponse
+   *
+   * @param {string} chargerId
+   * @param {string} command
+   * @param {http.ServerResponse} res
+   */
+  handleCommand(chargerId, command, res) {
+    if (!(command in COMMAND_IDS)) {
+      return this.sendJson(res, 404, this.problem(404, "Not Found", `Unknown command ${command}`));
+    }
+    const ticks = this.nextTicks();
+    const commandId = COMMAND_IDS[command];
+    const accepted = this.applyCommand(chargerId, command);
+
+    this.later(() => {
+      this.broadcast("CommandResponse", {
+        serialNumber: chargerId,
+        id: commandId,
+        ticks: ticks,
+        timestamp: new Date().toISOString(),
+        deliveredAt: new Date().toISOString(),
+        wasAccepted: accepted,
+        resultCode: accepted ? 0 : 1,
+        comment: accepted ? null : "Command not applicable in current state"
+      });
+    }, this.commandResponseDelay);
+
+    return this.sendJson(res, 202, [{
+      device: chargerId,
+      commandId: commandId,
+      ticks: ticks
+    }]);
+  }
+
+  /**
+   * Change the charger state the way the real charger would
+   *
+   * @param {string} chargerId
+   * @param {string} command
+   * @returns {boolean} whether the command had an effect
+   */
+  applyCommand(chargerId, command) {
+    const state = this.chargerState[chargerId];
+    const carConnected = state.ChargerOpMode !== 1 && state.ChargerOpMode !== 0;
+    const charge = () => {
+      const current = Math.min(state.DynamicChargerCurrent, state.MaxChargerCurrent);
+      this.setObservations(chargerId, {
+        ChargerOpMode: 3,
+        OutputCurrent: current,
+        InCurrent_T3: current,
+        InCurrent_T4: current,
+        InCurrent_T5: current,
+        TotalPower: Math.round(current * 230 * 3) / 1000
+      });
+    };
+    const halt = (opMode) => {
+      this.setObservations(chargerId, {
+        ChargerOpMode: opMode,
+        OutputCurrent: 0,
+        InCurrent_T3: 0,
+        InCurrent_T4: 0,
+        InCurrent_T5: 0,
+        TotalPower: 0
+      });
+    };
+
+    switch (command) {
+      case "start_charging":
+      case "resume_charging":
+        if (!carConnected || state.ChargerOpMode === 3) {
+          return false;
+        }
+        charge();
+        return true;
+      case "pause_charging":
+        if (state.ChargerOpMode !== 3) {
+          return false;
+        }
+        halt(6);
+        return true;
+      case "stop_charging":
+        if (!carConnected) {
+          return false;
+        }
+        halt(4);
+        return true;
+      case "toggle_charging":
+        if (!carConnected) {
+          return false;
+        }
+        if (state.ChargerOpMode === 3) {
+          halt(6);
+        } else {
+          charge();
+        }
+        return true;
+      case "reboot": {
+        const opMode = state.ChargerOpMode;
+        halt(0);
+        this.later(() => this.setObservations(chargerId, { ChargerOpMode: opMode === 3 ? 6 : opMode }), 2000);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * GET or POST the dynamic current of a circuit
+   *
+   * @param {string} method
+   * @param {object} circuit
+   * @param {*} body
+   * @param {http.ServerResponse} res
+   */
+  handleDynamicCurrent(method, circuit, body, res) {
+    const current = this.dynamicCurrent[circuit.id] || {
+      phase1: circuit.ratedCurrent,
+      phase2: circuit.ratedCurrent,
+      phase3: circuit.ratedCurrent
+    };
+    if (method === "GET") {
+      return this.sendJson(res, 200, current);
+    }
+    if (method === "POST") {
+      const update = body || {};
+      const next = {
+        phase1: update.phase1 ?? update.maxCircuitCurrentP1 ?? current.phase1,
+        phase2: update.phase2 ?? update.maxCircuitCurrentP2 ?? current.phase2,
+        phase3: update.phase3 ?? update.maxCircuitCurrentP3 ?? current.phase3
+      };
+      const values = [next.phase1, next.phase2, next.phase3];
+      if (values.some((value) => typeof value !== "number" || value < 0 || value > circuit.ratedCurrent)) {
+        return this.sendJson(res, 400, this.problem(400, "Bad Request", `Phase currents must be between 0 and ${circuit.ratedCurrent}`));
+      }
+      this.dynamicCurrent[circuit.id] = next;
+      circuit.chargers.forEach((chargerId) => {
+        this.setObservations(chargerId, {
+          DynamicCircuitCurrentP1: next.phase1,
+          DynamicCircuitCurrentP2: next.phase2,
+          DynamicCircuitCurrentP3: next.phase3
+        });
+      });
+      return this.sendEmpty(res, 202);
+    }
+    return this.sendJson(res, 405, this.problem(405, "Method Not Allowed"));
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {*} body
+   */
+  handleLogin(res, body) {
+    if (!body || body.userName !== this.account.username || body.password !== this.account.password) {
+      return this.sendJson(res, 401, {
+        ...this.problem(401, "Unauthorized", "Invalid username or password"),
+        errorCodeName: "InvalidUserPassword"
+      });
+    }
+    return this.sendJson(res, 200, this.issueTokens());
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {*} body
+   */
+  handleRefresh(res, body) {
+    if (!body || !this.refreshTokens.has(body.refreshToken)) {
+      return this.sendJson(res, 401, {
+        ...this.problem(401, "Unauthorized", "Invalid refresh token"),
+        errorCodeName: "InvalidRefreshToken"
+      });
+    }
+    this.refreshTokens.delete(body.refreshToken);
+    this.accessTokens.delete(body.accessToken);
+    return this.sendJson(res, 200, this.issueTokens());
+  }
+
+  /**
+   * Create a new access/refresh token pair
+   * @returns {object}
+   */
+  issueTokens() {
+    const accessToken = "mock-access-" + crypto.randomBytes(16).toString("hex");
+    const refreshToken = "mock-refresh-" + crypto.randomBytes(16).toString("hex");
+    this.accessTokens.add(accessToken);
+    this.refreshTokens.add(refreshToken);
+    return {
+      accessToken: accessToken,
+      expiresIn: this.tokenLifetime,
+      accessClaims: ["User"],
+      tokenType: "Bearer",
+      refreshToken: refreshToken
+    };
+  }
+
+  /**
+   * Invalidate all issued tokens, forcing clients to log in again
+   */
+  revokeTokens() {
+    this.accessTokens.clear();
+    this.refreshTokens.clear();
+  }
+
+  /**
+   * @param {string} header Authorization header
+   * @returns {boolean}
+   */
+  isAuthorized(header) {
+    if (!header || !header.startsWith("Bearer ")) {
+      return false;
+    }
+    return this.accessTokens.has(header.substring(7));
+  }
+
+  /**
+   * @param {object} charger
+   * @returns {object}
+   */
+  chargerResponse(charger) {
+    return {
+      id: charger.id,
+      name: charger.name,
+      color: 1,
+      createdOn: "2024-01-01T00:00:00Z",
+      updatedOn: "2024-01-01T00:00:00Z",
+      levelOfAccess: 1,
+      productCode: 1
+    };
+  }
+
+  /**
+   * @param {object} site
+   * @returns {object}
+   */
+  siteResponse(site) {
+    if (!site) {
+      return null;
+    }
+    return {
+      id: site.id,
+      siteKey: site.siteKey,
+      name: site.name,
+      circuits: site.circuits.map((circuit) => ({
+        id: circuit.id,
+        siteId: site.id,
+        circuitPanelId: circuit.circuitPanelId,
+        panelName: circuit.panelName,
+        ratedCurrent: circuit.ratedCurrent,
+        chargers: circuit.chargers.map((chargerId) => {
+          const charger = this.account.chargers.find((c) => c.id === chargerId);
+          return { ...this.chargerResponse(charger), circuitId: circuit.id };
+        })
+      }))
+    };
+  }
+
+  /**
+   * @param {string} chargerId
+   * @returns {object|undefined}
+   */
+  findSiteOfCharger(chargerId) {
+    return this.account.sites.find((site) => site.circuits.some((circuit) => circuit.chargers.includes(chargerId)));
+  }
+
+  /**
+   * Unique, increasing .NET style ticks
+   * @returns {number}
+   */
+  nextTicks() {
+    // Ticks are larger than Number.MAX_SAFE_INTEGER, step far enough to stay distinct as doubles
+    this.lastTicks = Math.max(EPOCH_TICKS + Date.now() * 10000, this.lastTicks + 10000);
+    return this.lastTicks;
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<*>} parsed JSON body, or null
+   */
+  readBody(req) {
+    return new Promise((resolve) => {
+      let data = "";
+      req.on("data", (chunk) => {
+        data += chunk;
+      });
+      req.on("end", () => {
+        if (!data) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch {
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  /**
+   * Easee style problem details
+   *
+   * @param {number} status
+   * @param {string} title
+   * @param {string} detail
+   * @returns {object}
+   */
+  problem(status, title, detail = "") {
+    return { type: "about:blank", title: title, status: status, detail: detail };
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {*} json
+   */
+  sendJson(res, status, json) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(json));
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   */
+  sendEmpty(res, status) {
+    res.writeHead(status);
+    res.end();
+  }
+
+  // ---------------------------------------------------------------------------
+  // SignalR hub
+  // ---------------------------------------------------------------------------
+
+  /**
+   * SignalR negotiate endpoint, only WebSockets is offered
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handleNegotiate(req, res) {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    if (!this.accessTokens.has(token)) {
+      return this.sendEmpty(res, 401);
+    }
+    const connectionToken = crypto.randomBytes(16).toString("hex");
+    return this.sendJson(res, 200, {
+      negotiateVersion: 1,
+      connectionId: connectionToken,
+      connectionToken: connectionToken,
+      availableTransports: [{ transport: "WebSockets", transferFormats: ["Text", "Binary"] }]
+    });
+  }
+
+  /**
+   * Accept WebSocket upgrades on the hub path with a valid access token
+   *
+   * @param {http.IncomingMessage} req
+   * @param {net.Socket} socket
+   * @param {Buffer} head
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    // Browsers send the token in the query string, Node clients as a header
+    const token = url.searchParams.get("access_token") || (req.headers.authorization || "").replace(/^Bearer /, "");
+    if (url.pathname !== HUB_PATH || !this.accessTokens.has(token)) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit("connection", ws, req));
+  }
+
+  /**
+   * @param {WebSocket} ws
+   */
+  handleHubConnection(ws) {
+    const conn = {
+      ws: ws,
+      handshakeDone: false,
+      subscriptions: new Set(),
+      pingHandle: null
+    };
+    this.connections.add(conn);
+
+    ws.on("message", (raw) => {
+      raw.toString().split(RECORD_SEPARATOR).filter((record) => record !== "").forEach((record) => {
+        let message;
+        try {
+          message = JSON.parse(record);
+        } catch {
+          return;
+        }
+        this.handleHubRecord(conn, message);
+      });
+    });
+    ws.on("close", () => {
+      clearInterval(conn.pingHandle);
+      this.connections.delete(conn);
+    });
+  }
+
+  /**
+   * Handle one SignalR JSON protocol record
+   *
+   * @param {object} conn
+   * @param {object} message
+   */
+  handleHubRecord(conn, message) {
+    if (!conn.handshakeDone) {
+      if (message.protocol !== "json") {
+        this.sendRecord(conn, { error: "Only the json protocol is supported" });
+        conn.ws.close();
+        return;
+      }
+      conn.handshakeDone = true;
+      this.sendRecord(conn, {});
+      conn.pingHandle = setInterval(() => this.sendRecord(conn, { type: 6 }), PING_INTERVAL);
+      conn.pingHandle.unref?.();
+      return;
+    }
+
+    switch (message.type) {
+      case 1: // Invocation
+        this.handleInvocation(conn, message);
+        break;
+      case 7: // Close
+        conn.ws.close();
+        break;
+    }
+  }
+
+  /**
+   * @param {object} conn
+   * @param {object} message
+   */
+  handleInvocation(conn, message) {
+    let error = null;
+    if (message.target === "SubscribeWithCurrentState") {
+      const [chargerId, sendCurrentState] = message.arguments || [];
+      if (!this.chargerState[chargerId]) {
+        error = `Unknown charger ${chargerId}`;
+      } else {
+        conn.subscriptions.add(chargerId);
+        this.emit("subscribe", chargerId);
+        if (sendCurrentState) {
+          Object.entries(this.chargerState[chargerId]).forEach(([name, value]) => {
+            if (observations[name]) {
+              this.sendInvocation(conn, "ProductUpdate", this.createObservation(chargerId, name, value));
+            }
+          });
+        }
+      }
+    } else {
+      error = `Unknown hub method ${message.target}`;
+    }
+
+    if (message.invocationId) {
+      this.sendRecord(conn, error
+        ? { type: 3, invocationId: message.invocationId, error: error }
+        : { type: 3, invocationId: message.invocationId, result: null });
+    }
+  }
+
+  /**
+   * Send a hub message to connections subscribed to its charger
+   *
+   * @param {string} target ProductUpdate, ChargerUpdate or CommandResponse
+   * @param {object} data
+   */
+  broadcast(target, data) {
+    const chargerId = data.mid ?? data.serialNumber;
+    this.connections.forEach((conn) => {
+      if (conn.handshakeDone && conn.subscriptions.has(chargerId)) {
+        this.sendInvocation(conn, target, data);
+      }
+    });
+  }
+
+  /**
+   * @param {object} conn
+   * @param {string} target
+   * @param {object} data
+   */
+  sendInvocation(conn, target, data) {
+    this.sendRecord(conn, { type: 1, target: target, arguments: [data] });
+  }
+
+  /**
+   * @param {object} conn
+   * @param {object} message
+   */
+  sendRecord(conn, message) {
+    if (conn.ws.readyState === WebSocket.OPEN) {
+      conn.ws.send(JSON.stringify(message) + RECORD_SEPARATOR);
+    }
+  }
+}
+
+module.exports = {
+  EaseeMockServer,
+  createDefaultAccount,
+  createSession,
+  scenarios
+};
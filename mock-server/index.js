@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Run the mock Easee cloud from the command line
+ *
+ *   npm run mock-server -- --port 8090 --scenario charging-session --speed 60
+ *
+ * Options:
+ *   --port <port>          port to listen on (default 8090)
+ *   --host <host>          interface to bind (default 127.0.0.1)
+ *   --scenario <name>      scenario to play once a client subscribes to a charger
+ *   --speed <factor>       play the scenario faster than real time (default 1)
+ *   --username <username>  account username (default test@example.com)
+ *   --password <password>  account password (default password)
+ *   --quiet                do not log requests
+ */
+
+const { EaseeMockServer, createDefaultAccount, scenarios } = require("./easee-mock-server");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) {
+      continue;
+    }
+    const key = argv[i].substring(2);
+    if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const account = createDefaultAccount();
+  account.username = args.username || account.username;
+  account.password = args.password || account.password;
+
+  if (args.scenario && !scenarios[args.scenario]) {
+    console.error(`Unknown scenario "${args.scenario}". Available: ${Object.keys(scenarios).join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const server = new EaseeMockServer({ account: account, log: !args.quiet, speed: parseFloat(args.speed) });
+
+  server.start(parseInt(args.port) || 8090, args.host || "127.0.0.1").then((urls) => {
+    console.log("[easee-mock] Mock Easee cloud running");
+    console.log(`[easee-mock]   REST API URL:    ${urls.restApiPath}`);
+    console.log(`[easee-mock]   SignalR hub URL: ${urls.signalRpath}`);
+    console.log(`[easee-mock]   Login:           ${account.username} / ${account.password}`);
+    console.log(`[easee-mock]   Chargers:        ${account.chargers.map((c) => c.id).join(", ")}`);
+
+    if (args.scenario) {
+      console.log(`[easee-mock] Scenario "${args.scenario}" starts when a client subscribes: ${scenarios[args.scenario].description}`);
+      server.once("subscribe", (chargerId) => {
+        server.runScenario(args.scenario, chargerId).then(() => {
+          console.log(`[easee-mock] Scenario "${args.scenario}" completed`);
+        });
+      });
+    }
+  }).catch((error) => {
+    console.error("[easee-mock] Unable to start:", error.message);
+    process.exitCode = 1;
+  });
+
+  process.on("SIGINT", () => {
+    server.stop().then(() => {
+      console.log("[easee-mock] Stopped");
+    });
+  });
+}
+
+main();
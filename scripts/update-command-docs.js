@@ -0,0 +1,60 @@
+/**
+ * Write the REST node's topic list from the command catalogue
+ * (easee-client/rest-commands.js) into the node help and README.
+ *
+ * The list goes between "<!-- commands:start -->" and "<!-- commands:end -->".
+ * With --check, nothing is written and the exit code tells whether the
+ * files are up to date.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { describeCommands } = require("../easee-client/rest-commands");
+
+const FILES = [
+  { file: path.join(__dirname, "..", "easee-client", "easee-rest-client.html"), indent: "  " },
+  { file: path.join(__dirname, "..", "README.md"), indent: "" }
+];
+const MARKERS = /([ \t]*<!-- commands:start -->\n)[\s\S]*?([ \t]*<!-- commands:end -->)/;
+
+/**
+ * @param {string} content
+ * @param {string} indent
+ * @returns {string} content with the list replaced
+ */
+function updateContent(content, indent) {
+  if (!MARKERS.test(content)) {
+    throw new Error("commands:start/commands:end markers not found");
+  }
+  return content.replace(MARKERS, (match, start, end) => `${start}${describeCommands(indent)}\n${end}`);
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  let outdated = false;
+
+  FILES.forEach(({ file, indent }) => {
+    const content = fs.readFileSync(file, "utf8");
+    const updated = updateContent(content, indent);
+    if (updated === content) {
+      return;
+    }
+    outdated = true;
+    if (check) {
+      console.error(`${path.relative(process.cwd(), file)} is out of date, run npm run docs:commands`);
+    } else {
+      fs.writeFileSync(file, updated);
+      console.log(`Updated ${path.relative(process.cwd(), file)}`);
+    }
+  });
+
+  if (check && outdated) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { FILES, updateContent };
@@ -0,0 +1,325 @@
+/**
+ * End to end tests against the bundled mock Easee cloud (mock-server/)
+ *
+ * Unlike the other tests, requests go over real HTTP and WebSocket
+ * connections, so fetch is backed by Node's own fetch and timers are real.
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const restClientNode = require("../../easee-client/easee-rest-client.js");
+const streamingClientNode = require("../../easee-client/charger-streaming-client.js");
+const chargerControlNode = require("../../easee-client/easee-charger-control.js");
+const { EaseeMockServer, createSession } = require("../../mock-server/easee-mock-server.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Mock Easee Cloud - End to End", function() {
+  let server;
+  let urls;
+
+  const createFlow = () => [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      name: "Mock cloud",
+      username: "test@example.com",
+      restApiPath: urls.restApiPath,
+      signalRpath: urls.signalRpath
+    },
+    {
+      id: "rest1",
+      type: "easee-rest-client",
+      charger: "EH000001",
+      configuration: "config1",
+      wires: [["restOut"]]
+    },
+    {
+      id: "streaming1",
+      type: "charger-streaming-client",
+      charger: "EH000001",
+      configuration: "config1",
+      wires: [[], [], [], ["productUpdates"], [], ["commandResponses"]]
+    },
+    { id: "restOut", type: "helper" },
+    { id: "productUpdates", type: "helper" },
+    { id: "commandResponses", type: "helper" }
+  ];
+  const credentials = {
+    config1: { password: "password" }
+  };
+
+  /**
+   * Resolve with the first message on a helper node matching the predicate
+   */
+  const nextMessage = (helperNode, predicate = () => true) => {
+    return new Promise((resolve) => {
+      const listener = (msg) => {
+        if (predicate(msg)) {
+          helperNode.removeListener("input", listener);
+          resolve(msg);
+        }
+      };
+      helperNode.on("input", listener);
+    });
+  };
+
+  beforeAll(async function() {
+    server = new EaseeMockServer({
+      commandResponseDelay: 100,
+      sessions: [
+        createSession(1, "EH000001", new Date("2024-04-30T20:00:00Z"), 2, 14),
+        createSession(2, "EH000001", new Date("2024-05-03T17:00:00Z"), 3, 21.5),
+        createSession(3, "EH000002", new Date("2024-05-02T06:00:00Z"), 1, 7.2),
+        createSession(4, "EH000002", new Date("2024-06-01T06:00:00Z"), 1, 7.2)
+      ]
+    });
+    urls = await server.start(0);
+  });
+
+  afterAll(async function() {
+    // tests/setup.js switches back to fake timers after each test
+    jest.useRealTimers();
+    await server.stop();
+  });
+
+  beforeEach(function() {
+    jest.useRealTimers();
+    global.fetch.mockImplementation((...args) => global.nativeFetch(...args));
+  });
+
+  afterEach(async function() {
+    server.stopScenario();
+    await helper.unload();
+  });
+
+  it("should log in and read charger state over REST", function(done) {
+    helper.load([configNode, restClientNode, streamingClientNode], createFlow(), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const rest = helper.getNode("rest1");
+        const restOut = helper.getNode("restOut");
+
+        await config.doLogin();
+        expect(config.accessToken).toMatch(/^mock-access-/);
+
+        const reply = nextMessage(restOut);
+        rest.receive({ topic: "charger_state" });
+        const msg = await reply;
+
+        expect(msg.status).toBe("ok");
+        expect(msg.payload.chargerOpMode.value).toBe(1);
+        expect(msg.payload.chargerOpMode.valueText).toBeDefined();
+        expect(server.requests.some((r) => r.path === "/api/chargers/EH000001/state")).toBe(true);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 10000);
+
+  it("should write charger settings and read them back", function(done) {
+    helper.load([configNode, restClientNode, streamingClientNode], createFlow(), credentials, async function() {
+      try {
+        const rest = helper.getNode("rest1");
+        const restOut = helper.getNode("restOut");
+
+        let reply = nextMessage(restOut);
+        rest.receive({ topic: "charger_settings", payload: { maxChargerCurrent: 16, enableIdleCurrent: true } });
+        let msg = await reply;
+        expect(msg.status).toBe("ok");
+        expect(msg.payload.result).toBe(202);
+
+        reply = nextMessage(restOut);
+        rest.receive({ topic: "charger_config" });
+        msg = await reply;
+        expect(msg.payload.maxChargerCurrent).toBe(16);
+        expect(msg.payload.enableIdleCurrent).toBe(true);
+
+        // Rejected before it reaches the cloud
+        const requests = server.requests.length;
+        reply = nextMessage(restOut);
+        rest.receive({ topic: "charger_settings", payload: { phaseMode: 4 } });
+        msg = await reply;
+        expect(msg.status).toBe("error");
+        expect(msg.error.message).toContain("phaseMode must be one of 1, 2, 3");
+        expect(server.requests.length).toBe(requests);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 10000);
+
+  it("should list the chargers and sites of the account", function(done) {
+    helper.load([configNode, restClientNode, streamingClientNode], createFlow(), credentials, async function() {
+      try {
+        const rest = helper.getNode("rest1");
+        const restOut = helper.getNode("restOut");
+
+        let reply = nextMessage(restOut);
+        rest.receive({ topic: "list_chargers" });
+        let msg = await reply;
+        expect(msg.status).toBe("ok");
+        expect(msg.payload).toEqual([
+          { id: "EH000001", name: "Garage", siteId: 1234, siteName: "Mock site", circuitId: 1345, circuitName: "Main" },
+          { id: "EH000002", name: "Driveway", siteId: 1234, siteName: "Mock site", circuitId: 1345, circuitName: "Main" }
+        ]);
+
+        reply = nextMessage(restOut);
+        rest.receive({ topic: "site_details", site: 1234 });
+        msg = await reply;
+        expect(msg.payload.circuits[0].chargers.map((charger) => charger.id)).toEqual(["EH000001", "EH000002"]);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 10000);
+
+  it("should collect session history for a site", function(done) {
+    helper.load([configNode, restClientNode, streamingClientNode], createFlow(), credentials, async function() {
+      try {
+        const rest = helper.getNode("rest1");
+        const restOut = helper.getNode("restOut");
+        const site = server.account.sites[0];
+
+        const reply = nextMessage(restOut);
+        rest.receive({ topic: "site_sessions", site: site.id, payload: { from: "2024-05-01T00:00:00Z", to: "2024-06-01T00:00:00Z" } });
+        const msg = await reply;
+
+        expect(msg.status).toBe("ok");
+        expect(msg.payload).toEqual([
+          { id: 3, chargerId: "EH000002", start: "2024-05-02T06:00:00.000Z", end: "2024-05-02T07:00:00.000Z", kWh: 7.2, duration: 3600 },
+          { id: 2, chargerId: "EH000001", start: "2024-05-03T17:00:00.000Z", end: "2024-05-03T20:00:00.000Z", kWh: 21.5, duration: 10800 }
+        ]);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 10000);
+
+  it("should stream ProductUpdate and CommandResponse messages over the hub", function(done) {
+    helper.load([configNode, restClientNode, streamingClientNode], createFlow(), credentials, async function() {
+      try {
+        const streaming = helper.getNode("streaming1");
+        const rest = helper.getNode("rest1");
+        const productUpdates = helper.getNode("productUpdates");
+        const commandResponses = helper.getNode("commandResponses");
+
+        // SubscribeWithCurrentState replays the current state first
+        const currentState = nextMessage(productUpdates, (msg) => msg.payload.dataName === "TotalPower");
+        streaming.register();
+        const stateMsg = await currentState;
+        expect(stateMsg.charger).toBe("EH000001");
+        expect(stateMsg.payload.value).toBe(0);
+
+        const power = nextMessage(productUpdates, (msg) => msg.payload.dataName === "TotalPower");
+        server.setObservations("EH000001", { TotalPower: 7.2 });
+        const powerMsg = await power;
+        expect(powerMsg.payload.value).toBe(7.2);
+
+        // Pausing is only accepted while charging
+        server.setObservations("EH000001", { ChargerOpMode: 3 });
+        const response = nextMessage(commandResponses);
+        const paused = nextMessage(productUpdates, (msg) => msg.payload.dataName === "ChargerOpMode" && msg.payload.value === 6);
+        rest.receive({ topic: "pause_charging" });
+        const responseMsg = await response;
+        expect(responseMsg.charger).toBe("EH000001");
+        expect(responseMsg.payload.wasAccepted).toBe(true);
+        await paused;
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 15000);
+
+  it("should wait for the CommandResponse of a charger command", function(done) {
+    helper.load([configNode, restClientNode, streamingClientNode], createFlow(), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const rest = helper.getNode("rest1");
+        const restOut = helper.getNode("restOut");
+        server.setObservations("EH000001", { ChargerOpMode: 3 });
+
+        let reply = nextMessage(restOut);
+        rest.receive({ topic: "pause_charging", waitForResponse: true });
+        let msg = await reply;
+        expect(msg.status).toBe("ok");
+        expect(msg.payload).toEqual(expect.objectContaining({
+          result: "accepted",
+          command: "pause_charging",
+          charger: "EH000001",
+          commandId: 3
+        }));
+        expect(msg.payload.response.ticks).toBe(msg.payload.ticks);
+        expect(msg.payload.response.wasAccepted).toBe(true);
+
+        // Already paused, so the charger turns it down
+        reply = nextMessage(restOut);
+        rest.receive({ topic: "pause_charging", waitForResponse: true });
+        msg = await reply;
+        expect(msg.status).toBe("error");
+        expect(msg.payload.result).toBe("rejected");
+        expect(msg.error.code).toBe("command_rejected");
+        expect(config.commandTrackers.size).toBe(0);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 15000);
+
+  it("should confirm charger control actions from the charger state", function(done) {
+    const flow = createFlow().concat([
+      {
+        id: "control1",
+        type: "easee-charger-control",
+        charger: "EH000001",
+        action: "pause_charging",
+        configuration: "config1",
+        confirmTimeout: 10,
+        wires: [["controlOut"]]
+      },
+      { id: "controlOut", type: "helper" }
+    ]);
+    helper.load([configNode, restClientNode, streamingClientNode, chargerControlNode], flow, credentials, async function() {
+      try {
+        const control = helper.getNode("control1");
+        const controlOut = helper.getNode("controlOut");
+        server.setObservations("EH000001", { ChargerOpMode: 3, DynamicChargerCurrent: 16 });
+
+        let reply = nextMessage(controlOut);
+        control.receive({});
+        let msg = await reply;
+        expect(msg.status).toBe("ok");
+        expect(msg.payload).toEqual(expect.objectContaining({ result: "confirmed", value: 6 }));
+
+        reply = nextMessage(controlOut);
+        control.receive({ action: "set_dynamic_current", payload: 10 });
+        msg = await reply;
+        expect(msg.status).toBe("ok");
+        expect(msg.payload).toEqual(expect.objectContaining({ result: "confirmed", value: 10 }));
+        expect(server.chargerState.EH000001.DynamicChargerCurrent).toBe(10);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  }, 15000);
+
+  it("should play the shared scenarios in seconds, scaled by speed", async function() {
+    const fast = new EaseeMockServer({ speed: 100 });
+    fast.setObservations("EH000001", { ChargerOpMode: 3, SessionEnergy: 4.2 });
+
+    const started = Date.now();
+    await fast.runScenario("car-leaves", "EH000001");
+
+    // 3 seconds of scenario time at 100x
+    expect(Date.now() - started).toBeGreaterThanOrEqual(25);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(fast.chargerState.EH000001).toEqual(expect.objectContaining({ ChargerOpMode: 1, SessionEnergy: 0 }));
+  });
+});
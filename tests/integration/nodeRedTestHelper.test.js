@@ -115,4 +115,74 @@ describe("Easee Configuration - Test Helper Integration", function() {
       }
     });
   }, 15000);
+
+  it("should use custom REST API and SignalR URLs", function(done) {
+    const flow = [
+      {
+        id: "n4",
+        type: "easee-configuration",
+        name: "local mock",
+        username: "test@example.com",
+        restApiPath: "http://localhost:8090/api/",
+        signalRpath: "http://localhost:8090/hubs/chargers"
+      }
+    ];
+
+    const credentials = {
+      n4: {
+        password: "testpass"
+      }
+    };
+
+    helper.load(easeeConfiguration, flow, credentials, async function() {
+      try {
+        const n4 = helper.getNode("n4");
+
+        expect(n4.RestApipath).toBe("http://localhost:8090/api");
+        expect(n4.signalRpath).toBe("http://localhost:8090/hubs/chargers");
+
+        global.fetch.mockResolvedValueOnce(
+          global.testHelpers.createFetchResponse(global.testHelpers.createAuthResponse(), 200)
+        );
+        await n4.doLogin();
+        expect(global.fetch).toHaveBeenCalledWith("http://localhost:8090/api/accounts/login", expect.anything());
+
+        done();
+      } catch (error) {
+        done(error);
+      }
+    });
+  }, 15000);
+
+  it("should fall back to the easee cloud for invalid URLs", function(done) {
+    const flow = [
+      {
+        id: "n5",
+        type: "easee-configuration",
+        name: "invalid urls",
+        username: "test@example.com",
+        restApiPath: "not a url",
+        signalRpath: "ftp://streams.example.com"
+      }
+    ];
+
+    const credentials = {
+      n5: {
+        password: "testpass"
+      }
+    };
+
+    helper.load(easeeConfiguration, flow, credentials, function() {
+      try {
+        const n5 = helper.getNode("n5");
+
+        expect(n5.RestApipath).toBe("https://api.easee.com/api");
+        expect(n5.signalRpath).toBe("https://streams.easee.com/hubs/chargers");
+
+        done();
+      } catch (error) {
+        done(error);
+      }
+    });
+  }, 15000);
 });
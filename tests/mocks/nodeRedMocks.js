@@ -24,6 +24,13 @@ function createMockRED() {
     events: {
       on: jest.fn(),
       emit: jest.fn()
+    },
+    httpAdmin: {
+      get: jest.fn(),
+      post: jest.fn()
+    },
+    auth: {
+      needsPermission: jest.fn(() => (req, res, next) => next())
     }
   };
 }
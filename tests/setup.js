@@ -3,6 +3,9 @@
  * This file is executed before each test file
  */
 
+// Keep Node's own fetch for tests that talk to the bundled mock server
+global.nativeFetch = global.fetch;
+
 // Mock fetch globally for all tests
 global.fetch = jest.fn();
 
@@ -70,6 +73,47 @@ global.testHelpers = {
       json: () => Promise.resolve(data),
       text: () => Promise.resolve(typeof data === 'string' ? data : JSON.stringify(data))
     });
+  },
+
+  /**
+   * Configuration node for node-red-node-test-helper flows, with the id
+   * config1, pointing at the mock server's URL
+   */
+  configNode: (overrides = {}) => {
+    return {
+      id: 'config1',
+      type: 'easee-configuration',
+      username: 'test@example.com',
+      restApiPath: 'http://127.0.0.1:8090/api',
+      ...overrides
+    };
+  },
+
+  /**
+   * Credentials of configNode()
+   */
+  configCredentials: () => {
+    return { config1: { password: 'testpass' } };
+  },
+
+  /**
+   * Log a loaded configuration node in without calling the API, with a
+   * token valid for an hour. With hub, the SignalR hub is connected, with
+   * send and stop mocks.
+   */
+  loginConfig: (config, { hub = false } = {}) => {
+    config.accessToken = 'access-token';
+    config.refreshToken = 'refresh-token';
+    config.tokenIssuedAt = new Date();
+    config.tokenExpires = new Date(Date.now() + 3600000);
+    if (hub) {
+      config.hubConnected = true;
+      config.hubConnection = {
+        send: jest.fn().mockResolvedValue(),
+        stop: jest.fn().mockResolvedValue()
+      };
+    }
+    return config;
   }
 };
 
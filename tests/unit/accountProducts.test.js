@@ -0,0 +1,108 @@
+/**
+ * Tests for the configuration node's account lookup used by the node editors
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Account products admin endpoint", function() {
+  const flow = [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      name: "Test Config",
+      username: "test@example.com"
+    }
+  ];
+  const credentials = {
+    config1: { password: "testpass" }
+  };
+  const products = [
+    {
+      id: 1234,
+      name: "Home",
+      circuits: [
+        { id: 1345, panelName: "Garage", chargers: [{ id: "EH000001", name: "Car" }] }
+      ]
+    }
+  ];
+
+  beforeAll(function(done) {
+    helper.startServer(done);
+  });
+
+  afterAll(function(done) {
+    jest.useRealTimers();
+    helper.stopServer(done);
+  });
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  /**
+   * Answer /accounts/products and /chargers like the cloud
+   */
+  const mockCloud = (config) => {
+    return jest.spyOn(config, "genericCall").mockImplementation((url) => {
+      if (url === "/accounts/products") {
+        return Promise.resolve(products);
+      }
+      if (url === "/chargers") {
+        return Promise.resolve([{ id: "EH000001", name: "Car" }, { id: "EH000009", name: "Spare" }]);
+      }
+      return Promise.reject(new Error(`Unexpected ${url}`));
+    });
+  };
+
+  it("should list sites, circuits and chargers of the account", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        const genericCall = mockCloud(helper.getNode("config1"));
+
+        const res = await helper.request().get("/easee-configuration/config1/products").expect(200);
+        expect(res.body.sites).toEqual([{
+          id: 1234,
+          name: "Home",
+          siteKey: null,
+          circuits: [{ id: 1345, name: "Garage", ratedCurrent: null, chargers: [{ id: "EH000001", name: "Car" }] }]
+        }]);
+        expect(res.body.chargers.map((charger) => [charger.id, charger.siteId])).toEqual([["EH000001", 1234], ["EH000009", null]]);
+
+        // Cached, until a refresh is asked for
+        await helper.request().get("/easee-configuration/config1/products").expect(200);
+        expect(genericCall).toHaveBeenCalledTimes(2);
+        await helper.request().get("/easee-configuration/config1/products?refresh=true").expect(200);
+        expect(genericCall).toHaveBeenCalledTimes(4);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should report undeployed accounts and cloud errors", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        jest.spyOn(config, "genericCall").mockRejectedValue(new Error("REST Command failed (401: Unauthorized)"));
+
+        let res = await helper.request().get("/easee-configuration/nosuchnode/products").expect(404);
+        expect(res.body.error).toBe("Deploy the account configuration first");
+
+        res = await helper.request().get("/easee-configuration/config1/products").expect(502);
+        expect(res.body.error).toContain("401");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the token pair and partner token authentication modes
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Easee Configuration - Authentication modes", function() {
+  const createFlow = (overrides = {}) => [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      name: "Customer A",
+      restApiPath: "http://127.0.0.1:8090/api",
+      ...overrides
+    }
+  ];
+
+  /**
+   * An unsigned JWT expiring in the given number of seconds
+   */
+  const jwt = (expiresIn) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    return `${encode({ alg: "none" })}.${encode({ exp: Math.floor(Date.now() / 1000) + expiresIn })}.signature`;
+  };
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should require the tokens of the selected mode", function(done) {
+    const flow = [
+      ...createFlow({ authMode: "tokens" }),
+      { id: "config2", type: "easee-configuration", authMode: "partner" }
+    ];
+    helper.load(configNode, flow, { config1: { refreshToken: "refresh" } }, function() {
+      try {
+        expect(helper.getNode("config1").validateCredentials().message).toBe("Access token is required");
+        expect(helper.getNode("config2").validateCredentials().message).toBe("Partner token is required");
+        expect(helper.getNode("config2").accessToken).toBeFalsy();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should use a partner token as it is", function(done) {
+    const partnerToken = jwt(7200);
+    helper.load(configNode, createFlow({ authMode: "partner" }), { config1: { partnerToken } }, async function() {
+      try {
+        const config = helper.getNode("config1");
+        expect(config.validateCredentials().valid).toBe(true);
+        expect(config.accessToken).toBe(partnerToken);
+        expect(config.refreshToken).toBe(false);
+
+        expect(await config.ensureAuthentication()).toBe(true);
+        expect(global.fetch).not.toHaveBeenCalled();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should refuse an expired partner token", function(done) {
+    helper.load(configNode, createFlow({ authMode: "partner" }), { config1: { partnerToken: jwt(-60) } }, async function() {
+      try {
+        const config = helper.getNode("config1");
+        await expect(config.doLogin()).rejects.toThrow("the partner token has expired");
+        expect(global.fetch).not.toHaveBeenCalled();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should refresh the configured token pair through the refresh pipeline", function(done) {
+    const credentials = { config1: { accessToken: jwt(30), refreshToken: "configured-refresh" } };
+    helper.load(configNode, createFlow({ authMode: "tokens" }), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse(
+          global.testHelpers.createAuthResponse({ accessToken: "refreshed-access", refreshToken: "refreshed-refresh" })
+        ));
+
+        // Expires within the buffer time, so it is refreshed right away
+        expect(await config.ensureAuthentication()).toBe(true);
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe("http://127.0.0.1:8090/api/accounts/refresh_token");
+        expect(JSON.parse(options.body)).toEqual({
+          accessToken: credentials.config1.accessToken,
+          refreshToken: "configured-refresh"
+        });
+        expect(config.accessToken).toBe("refreshed-access");
+        expect(config.refreshToken).toBe("refreshed-refresh");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should not use a token pair again once it has been tried", function(done) {
+    const credentials = { config1: { accessToken: "opaque-access", refreshToken: "configured-refresh" } };
+    helper.load(configNode, createFlow({ authMode: "tokens" }), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        // Without an expiry in the token, it is refreshed before use
+        expect(config.tokenExpires.getTime()).toBeLessThanOrEqual(Date.now());
+
+        await expect(config.doLogin()).rejects.toThrow("the configured token pair can no longer be refreshed");
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        // Log in again from the editor tries the configured pair once more
+        config.checkToken = jest.fn().mockResolvedValue();
+        const login = await config.relogin();
+        expect(login.refreshToken).toBe("configured-refresh");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should ignore stored tokens refreshed from another token pair", function(done) {
+    const stored = {
+      username: "",
+      source: "0000000000000000",
+      accessToken: "stored-access",
+      refreshToken: "stored-refresh",
+      tokenExpires: new Date(Date.now() + 3600000).toISOString(),
+      tokenIssuedAt: new Date().toISOString(),
+      tokenLifetime: 3600
+    };
+    const credentials = {
+      config1: { accessToken: jwt(3600), refreshToken: "new-refresh" }
+    };
+    helper.load(configNode, createFlow({ authMode: "tokens", tokenStorage: "context" }), credentials, function() {
+      try {
+        const config = helper.getNode("config1");
+        config.context().set(config.TOKEN_CONTEXT_KEY, stored);
+
+        expect(config.loadStoredTokens()).toBe(false);
+        expect(config.refreshToken).toBe("new-refresh");
+        expect(config.context().get(config.TOKEN_CONTEXT_KEY)).toBeUndefined();
+
+        // Tokens refreshed from this pair are kept
+        config.saveStoredTokens();
+        expect(config.loadStoredTokens()).toBe(true);
+        expect(config.refreshToken).toBe("new-refresh");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should keep tokens in context when set up to keep them in credentials", function(done) {
+    const credentials = {
+      config1: { accessToken: jwt(3600), refreshToken: "new-refresh" }
+    };
+    helper.load(configNode, createFlow({ authMode: "tokens", tokenStorage: "credentials" }), credentials, function() {
+      try {
+        const config = helper.getNode("config1");
+        expect(config.tokenStorage).toBe("context");
+
+        config.saveStoredTokens();
+        expect(config.context().get(config.TOKEN_CONTEXT_KEY).refreshToken).toBe("new-refresh");
+        expect(config.credentials.tokens).toBeUndefined();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for the charger control node
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const chargerControlNode = require("../../easee-client/easee-charger-control.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Charger control", function() {
+  const flow = (overrides = {}) => [
+    global.testHelpers.configNode(),
+    {
+      id: "control1",
+      type: "easee-charger-control",
+      charger: "EH000001",
+      action: "pause_charging",
+      configuration: "config1",
+      confirmTimeout: 0.2,
+      wires: [["out1"]],
+      ...overrides
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+  const accept = [{ device: "EH000001", commandId: 3, ticks: 638500000000000000 }];
+  const fetchResponse = global.testHelpers.createFetchResponse;
+
+  /**
+   * An observation as the hub streams it
+   */
+  const observation = (id, value) => ({ mid: "EH000001", dataType: 4, id: id, timestamp: new Date().toISOString(), value: String(value) });
+
+  /**
+   * Load the flow with a logged in account and a connected hub. respond(url,
+   * options) answers the REST calls, and may stream hub messages meanwhile.
+   */
+  const load = (overrides, respond) => {
+    return new Promise((resolve) => {
+      helper.load([configNode, chargerControlNode], flow(overrides), credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config, { hub: true });
+        jest.spyOn(config, "warn").mockImplementation(() => {});
+        global.fetch.mockImplementation((url, options) => respond(config, url, options));
+        resolve(config);
+      });
+    });
+  };
+
+  const send = (msg = {}) => {
+    return new Promise((resolve) => {
+      helper.getNode("out1").on("input", resolve);
+      helper.getNode("control1").receive(msg);
+    });
+  };
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should report success once ChargerOpMode shows the command was carried out", async function() {
+    const config = await load({}, (config, url) => {
+      setTimeout(() => {
+        config.dispatchHubMessage("ProductUpdate", observation(109, 3));
+        config.dispatchHubMessage("CommandResponse", { serialNumber: "EH000001", id: 3, ticks: accept[0].ticks, wasAccepted: true, resultCode: 0 });
+        config.dispatchHubMessage("ProductUpdate", observation(109, 6));
+      }, 20);
+      expect(url).toBe("http://127.0.0.1:8090/api/chargers/EH000001/commands/pause_charging");
+      return fetchResponse(accept, 202);
+    });
+
+    const msg = await send({ topic: "anything", _msgid: "keep" });
+
+    expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000001", false);
+    expect(msg._msgid).toBe("keep");
+    expect(msg.topic).toBe("pause_charging");
+    expect(msg.status).toBe("ok");
+    expect(msg.error).toBeUndefined();
+    expect(msg.payload).toEqual({
+      result: "confirmed",
+      action: "pause_charging",
+      charger: "EH000001",
+      observation: "ChargerOpMode",
+      expected: [2, 4, 6],
+      value: 6,
+      values: [3, 6]
+    });
+    expect(config.chargerWatchers.size).toBe(0);
+    expect(config.hubClients.size).toBe(0);
+  });
+
+  it("should set the current from msg.payload and confirm it from a ChargerUpdate", async function() {
+    await load({ action: "set_dynamic_current", current: 16 }, (config, url, options) => {
+      expect(url).toBe("http://127.0.0.1:8090/api/chargers/EH000001/settings");
+      expect(JSON.parse(options.body)).toEqual({ dynamicChargerCurrent: 10 });
+      setTimeout(() => config.dispatchHubMessage("ChargerUpdate", observation(48, 10)), 20);
+      return fetchResponse(null, 202);
+    });
+
+    const msg = await send({ payload: 10 });
+
+    expect(msg.status).toBe("ok");
+    expect(msg.payload.value).toBe(10);
+    expect(msg.payload.expected).toEqual([10]);
+  });
+
+  it("should report a command the charger rejects right away", async function() {
+    await load({ confirmTimeout: 30 }, (config) => {
+      setTimeout(() => {
+        config.dispatchHubMessage("CommandResponse", { serialNumber: "EH000001", id: 3, ticks: accept[0].ticks, wasAccepted: false, resultCode: 2 });
+      }, 20);
+      return fetchResponse(accept, 202);
+    });
+
+    const msg = await send();
+
+    expect(msg.status).toBe("error");
+    expect(msg.payload.result).toBe("rejected");
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "command_rejected",
+      message: "pause_charging was rejected by the charger (result code 2)",
+      retryable: false
+    }));
+  });
+
+  it("should read the state once when no update arrives in time", async function() {
+    const state = { chargerOpMode: 3 };
+    await load({}, (config, url) => {
+      if (url.endsWith("/state")) {
+        return fetchResponse(state);
+      }
+      return fetchResponse(accept, 202);
+    });
+
+    let msg = await send();
+    expect(msg.status).toBe("error");
+    expect(msg.payload.result).toBe("timeout");
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "not_confirmed",
+      message: "pause_charging was not confirmed, ChargerOpMode did not change to 2, 4 or 6 within 0.2s",
+      retryable: true
+    }));
+
+    // Already paused, or the update was missed
+    state.chargerOpMode = 6;
+    msg = await send();
+    expect(msg.status).toBe("ok");
+    expect(msg.payload.result).toBe("confirmed");
+    expect(msg.payload.value).toBe(6);
+  });
+
+  it("should toggle to the opposite of the state read before sending", async function() {
+    await load({ action: "toggle_charging" }, (config, url) => {
+      if (url.endsWith("/state")) {
+        return fetchResponse({ chargerOpMode: 6 });
+      }
+      setTimeout(() => config.dispatchHubMessage("ProductUpdate", observation(109, 3)), 20);
+      return fetchResponse([{ device: "EH000001", commandId: 5, ticks: 1 }], 202);
+    });
+
+    const msg = await send();
+
+    expect(global.fetch.mock.calls.map((call) => call[0])).toEqual([
+      "http://127.0.0.1:8090/api/chargers/EH000001/state",
+      "http://127.0.0.1:8090/api/chargers/EH000001/commands/toggle_charging"
+    ]);
+    expect(msg.status).toBe("ok");
+    expect(msg.payload.expected).toEqual([3]);
+  });
+
+  it("should not send anything for an action missing its value", async function() {
+    await load({ action: "set_max_current" }, () => fetchResponse(null, 202));
+
+    const msg = await send();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "invalid_request",
+      message: "Set max current needs a current in A, in the node or as a number in msg.payload"
+    }));
+
+    const unknown = await new Promise((resolve) => {
+      helper.getNode("out1").removeAllListeners("input");
+      helper.getNode("out1").on("input", resolve);
+      helper.getNode("control1").receive({ action: "self_destruct" });
+    });
+    expect(unknown.error.message).toBe("Unknown action self_destruct");
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for the easee-charger-simulator node
+ */
+
+const helper = require("node-red-node-test-helper");
+const simulatorNode = require("../../easee-client/easee-charger-simulator.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Easee Charger Simulator", function() {
+  const createFlow = (overrides = {}) => [
+    {
+      id: "sim1",
+      type: "easee-charger-simulator",
+      charger: "EH000001",
+      scenario: "charging-session",
+      speed: 1,
+      interval: 10,
+      autoStart: false,
+      ...overrides
+    }
+  ];
+
+  /**
+   * Collect the ProductUpdate payloads sent by the node, by name
+   */
+  const productUpdates = (send) => {
+    return send.mock.calls
+      .map((call) => call[0][3])
+      .filter((msg) => msg)
+      .map((msg) => msg.payload);
+  };
+
+  beforeEach(function() {
+    jest.useFakeTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should send observations shaped like parseObservation() output", function(done) {
+    helper.load(simulatorNode, createFlow(), function() {
+      try {
+        const sim = helper.getNode("sim1");
+        const send = jest.spyOn(sim, "send");
+
+        sim.setState({ ChargerOpMode: 3 });
+
+        expect(send).toHaveBeenCalledTimes(1);
+        const msg = send.mock.calls[0][0][3];
+        expect(send.mock.calls[0][0]).toHaveLength(6);
+        expect(msg.charger).toBe("EH000001");
+        expect(msg.simulated).toBe(true);
+        expect(msg.payload).toEqual(expect.objectContaining({
+          mid: "EH000001",
+          id: 109,
+          dataName: "ChargerOpMode",
+          dataType: 4,
+          dataTypeName: "Integer",
+          value: 3,
+          valueText: expect.stringContaining("Charging")
+        }));
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should send the current state and play the scenario steps", function(done) {
+    helper.load(simulatorNode, createFlow(), function() {
+      try {
+        const sim = helper.getNode("sim1");
+        const send = jest.spyOn(sim, "send");
+
+        sim.receive({ topic: "start" });
+        expect(send.mock.calls[0][0][0].payload).toBe("Connected");
+        expect(productUpdates(send).map((p) => p.dataName)).toContain("TotalPower");
+
+        send.mockClear();
+        jest.advanceTimersByTime(10000);
+        expect(productUpdates(send).find((p) => p.dataName === "ChargerOpMode").value).toBe(2);
+
+        jest.advanceTimersByTime(10000);
+        expect(sim.state.ChargerOpMode).toBe(3);
+        expect(sim.state.OutputCurrent).toBe(16);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should integrate power and energy while charging", function(done) {
+    helper.load(simulatorNode, createFlow({ speed: 60 }), function() {
+      try {
+        const sim = helper.getNode("sim1");
+        sim.random = () => 0.5;
+        sim.receive({ topic: "start" });
+
+        // 20 s until charging, then almost 15 minutes at 16 A on three phases, at 60x
+        jest.advanceTimersByTime((20 + 890) * 1000 / 60);
+
+        // 16 A * 3 phases * 230 V
+        expect(sim.state.TotalPower).toBe(11.04);
+        expect(sim.state.InCurrent_T3).toBe(16);
+        // About 11 kW for a quarter of an hour
+        expect(sim.state.SessionEnergy).toBeGreaterThan(2.6);
+        expect(sim.state.SessionEnergy).toBeLessThan(2.8);
+        expect(sim.state.TempMax).toBeGreaterThan(21.5);
+
+        // Throttled to 6 A
+        jest.advanceTimersByTime(20 * 1000 / 60);
+        expect(sim.state.OutputCurrent).toBe(6);
+        jest.advanceTimersByTime(10 * 1000 / 60);
+        expect(sim.state.TotalPower).toBe(4.14);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should answer charger commands with a CommandResponse", function(done) {
+    helper.load(simulatorNode, createFlow(), function() {
+      try {
+        const sim = helper.getNode("sim1");
+        const send = jest.spyOn(sim, "send");
+
+        sim.receive({ topic: "pause_charging" });
+        let response = send.mock.calls[send.mock.calls.length - 1][0][5];
+        expect(response.payload.wasAccepted).toBe(false);
+
+        sim.setState({ ChargerOpMode: 3 });
+        sim.receive({ topic: "pause_charging" });
+        response = send.mock.calls[send.mock.calls.length - 1][0][5];
+        expect(response.charger).toBe("EH000001");
+        expect(response.payload).toEqual(expect.objectContaining({
+          serialNumber: "EH000001",
+          id: 3,
+          wasAccepted: true,
+          resultCode: 0
+        }));
+        expect(sim.state.ChargerOpMode).toBe(6);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should play custom steps and report invalid scenarios", function(done) {
+    const steps = JSON.stringify([
+      { after: 1, target: "ChargerUpdate", set: { MaxChargerCurrent: 16 } },
+      { after: 1, commandResponse: { wasAccepted: false } }
+    ]);
+    helper.load(simulatorNode, createFlow({ scenario: "custom", customScenario: steps }), function() {
+      try {
+        const sim = helper.getNode("sim1");
+        const send = jest.spyOn(sim, "send");
+        jest.spyOn(sim, "error").mockImplementation(() => {});
+
+        sim.receive({ topic: "start" });
+        send.mockClear();
+        jest.advanceTimersByTime(1000);
+        expect(send.mock.calls[0][0][4].payload.dataName).toBe("MaxChargerCurrent");
+
+        jest.advanceTimersByTime(1000);
+        expect(send.mock.calls[1][0][5].payload.wasAccepted).toBe(false);
+
+        sim.receive({ topic: "start", payload: "no-such-scenario" });
+        expect(send.mock.calls[2][0][1].payload).toContain("Unknown scenario");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the last known state of the chargers kept by the configuration node
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const restClientNode = require("../../easee-client/easee-rest-client.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Charger snapshot", function() {
+  const flow = [
+    global.testHelpers.configNode(),
+    {
+      id: "rest1",
+      type: "easee-rest-client",
+      charger: "EH000001",
+      configuration: "config1",
+      wires: [["out1"]]
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+  const state = { chargerOpMode: 3, totalPower: 7.2 };
+
+  /**
+   * Load the flow with a logged in account, answering the charger state
+   */
+  const load = () => {
+    return new Promise((resolve) => {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config);
+        global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse({ ...state }));
+        resolve(config);
+      });
+    });
+  };
+
+  const send = (msg) => {
+    return new Promise((resolve) => {
+      helper.getNode("out1").on("input", resolve);
+      helper.getNode("rest1").receive(msg);
+    });
+  };
+
+  beforeAll(function(done) {
+    helper.startServer(done);
+  });
+
+  afterAll(function(done) {
+    jest.useRealTimers();
+    helper.stopServer(done);
+  });
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should remember the latest streamed observation of each charger", async function() {
+    const config = await load();
+
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000001", dataType: 4, id: 109, timestamp: "2025-06-01T12:00:00Z", value: "2" });
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000001", dataType: 4, id: 109, timestamp: "2025-06-01T12:01:00Z", value: "3" });
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000002", dataType: 3, id: 120, timestamp: "2025-06-01T12:01:00Z", value: "1.5" });
+    config.dispatchHubMessage("CommandResponse", { serialNumber: "EH000003", id: 3 });
+
+    expect([...config.chargerStates.keys()]).toEqual(["EH000001", "EH000002"]);
+    expect(config.chargerStates.get("EH000001").ChargerOpMode).toEqual(expect.objectContaining({
+      dataName: "ChargerOpMode",
+      observationId: 109,
+      value: 3,
+      timestamp: "2025-06-01T12:01:00Z",
+      source: "stream"
+    }));
+    expect(config.chargerStates.get("EH000002").TotalPower.value).toBe(1.5);
+  });
+
+  it("should seed the state from charger_state calls", async function() {
+    const config = await load();
+
+    const msg = await send({ topic: "charger_state" });
+
+    expect(msg.payload.chargerOpMode.value).toBe(3);
+    const cached = config.chargerStates.get("EH000001");
+    expect(Object.keys(cached).sort()).toEqual(["ChargerOpMode", "TotalPower"]);
+    expect(cached.TotalPower).toEqual(expect.objectContaining({ value: 7.2, source: "rest" }));
+    expect(typeof cached.TotalPower.timestamp).toBe("string");
+  });
+
+  it("should answer charger_snapshot from the cache and read the state when needed", async function() {
+    const config = await load();
+
+    let msg = await send({ topic: "charger_snapshot" });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe("http://127.0.0.1:8090/api/chargers/EH000001/state");
+    expect(msg.payload.ChargerOpMode.value).toBe(3);
+
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000001", dataType: 4, id: 109, timestamp: "2025-06-01T12:01:00Z", value: "1" });
+    msg = await send({ topic: "charger_snapshot" });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(msg.payload.ChargerOpMode).toEqual(expect.objectContaining({ value: 1, source: "stream" }));
+    expect(msg.payload.TotalPower.source).toBe("rest");
+
+    msg = await send({ topic: "charger_snapshot", payload: { refresh: true } });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(msg.payload.ChargerOpMode).toEqual(expect.objectContaining({ value: 3, source: "rest" }));
+  });
+
+  it("should serve the state on the admin endpoint", async function() {
+    const config = await load();
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000002", dataType: 3, id: 120, timestamp: "2025-06-01T12:01:00Z", value: "1.5" });
+
+    let res = await helper.request().get("/easee-configuration/config1/snapshot").expect(200);
+    expect(Object.keys(res.body)).toEqual(["EH000002"]);
+    expect(res.body.EH000002.TotalPower.value).toBe(1.5);
+
+    res = await helper.request().get("/easee-configuration/config1/snapshot?charger=EH000001").expect(200);
+    expect(res.body.ChargerOpMode.value).toBe(3);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse({ message: "Not found" }, 404));
+    jest.spyOn(config, "error").mockImplementation(() => {});
+    res = await helper.request().get("/easee-configuration/config1/snapshot?charger=EH000009").expect(502);
+    expect(res.body.error).toContain("Not found");
+
+    await helper.request().get("/easee-configuration/nosuchnode/snapshot").expect(404);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for correlating charger commands with their CommandResponse
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const restClientNode = require("../../easee-client/easee-rest-client.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Command tracking", function() {
+  const flow = (overrides = {}) => [
+    global.testHelpers.configNode(),
+    {
+      id: "rest1",
+      type: "easee-rest-client",
+      charger: "EH000001",
+      configuration: "config1",
+      waitForResponse: true,
+      responseTimeout: 0.2,
+      wires: [["out1"]],
+      ...overrides
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+  const accept = [{ device: "EH000001", commandId: 3, ticks: 638500000000000000 }];
+
+  /**
+   * Load the flow with a logged in account and a connected hub, answer
+   * charger commands with the accept and stream the given CommandResponses
+   */
+  const load = (overrides, commandResponses = []) => {
+    return new Promise((resolve) => {
+      helper.load([configNode, restClientNode], flow(overrides), credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config, { hub: true });
+        jest.spyOn(config, "warn").mockImplementation(() => {});
+
+        global.fetch.mockImplementation(() => {
+          // Streamed before the HTTP answer arrives, which must not be missed
+          commandResponses.forEach((response) => {
+            config.dispatchHubMessage("CommandResponse", { serialNumber: "EH000001", ...response });
+          });
+          return global.testHelpers.createFetchResponse(accept, 202);
+        });
+        resolve(config);
+      });
+    });
+  };
+
+  const send = (msg) => {
+    return new Promise((resolve) => {
+      helper.getNode("out1").on("input", resolve);
+      helper.getNode("rest1").receive(msg);
+    });
+  };
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should send the matching CommandResponse once the charger accepts", async function() {
+    const config = await load({}, [
+      { id: 3, ticks: 638400000000000000, wasAccepted: false, resultCode: 1 },
+      { id: 3, ticks: accept[0].ticks, wasAccepted: true, resultCode: 0 }
+    ]);
+
+    const msg = await send({ topic: "pause_charging" });
+
+    expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000001", false);
+    expect(msg.status).toBe("ok");
+    expect(msg.payload).toEqual({
+      result: "accepted",
+      command: "pause_charging",
+      charger: "EH000001",
+      commandId: 3,
+      ticks: accept[0].ticks,
+      response: { serialNumber: "EH000001", id: 3, ticks: accept[0].ticks, wasAccepted: true, resultCode: 0 }
+    });
+    expect(config.commandTrackers.size).toBe(0);
+    expect(config.hubClients.size).toBe(0);
+  });
+
+  it("should report a timeout when no CommandResponse arrives", async function() {
+    await load();
+
+    const msg = await send({ topic: "pause_charging" });
+
+    expect(msg.status).toBe("error");
+    expect(msg.payload.result).toBe("timeout");
+    expect(msg.payload.response).toBeNull();
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "command_timeout",
+      message: "No CommandResponse for pause_charging within 0.2s",
+      retryable: true
+    }));
+  });
+
+  it("should match by command ID when the accept has no ticks", async function() {
+    accept[0].ticks = null;
+    try {
+      await load({}, [{ id: 3, ticks: 638500000000000000, wasAccepted: false, resultCode: 2 }]);
+
+      const msg = await send({ topic: "pause_charging" });
+
+      expect(msg.payload.result).toBe("rejected");
+      expect(msg.error.message).toBe("pause_charging was rejected by the charger (result code 2)");
+    } finally {
+      accept[0].ticks = 638500000000000000;
+    }
+  });
+
+  it("should send the API answer right away unless asked to wait", async function() {
+    const config = await load({ waitForResponse: false });
+
+    const msg = await send({ topic: "pause_charging" });
+
+    expect(msg.status).toBe("ok");
+    expect(msg.payload).toEqual(accept);
+    expect(config.hubConnection.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Tests for the load balancer node
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const loadBalancerNode = require("../../easee-client/easee-load-balancer.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Load balancer", function() {
+  const flow = (overrides = {}) => [
+    global.testHelpers.configNode(),
+    {
+      id: "balancer1",
+      type: "easee-load-balancer",
+      site: "123",
+      circuit: "456",
+      configuration: "config1",
+      mainFuse: 25,
+      margin: 2,
+      hysteresis: 1,
+      writeInterval: 30,
+      staleTimeout: 0,
+      wires: [["out1"]],
+      ...overrides
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+
+  /**
+   * Load the flow with a logged in account, accepting every write
+   */
+  const load = (overrides, login = {}) => {
+    return new Promise((resolve) => {
+      helper.load([configNode, loadBalancerNode], flow(overrides), credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config, login);
+        config.REQUEST_RETRY_DELAY = 1;
+        jest.spyOn(config, "warn").mockImplementation(() => {});
+        jest.spyOn(config, "error").mockImplementation(() => {});
+        global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse(null, 202));
+        resolve(helper.getNode("balancer1"));
+      });
+    });
+  };
+
+  const nextDecision = () => new Promise((resolve) => helper.getNode("out1").once("input", resolve));
+
+  const send = (msg) => {
+    const decision = nextDecision();
+    helper.getNode("balancer1").receive(msg);
+    return decision;
+  };
+
+  const writes = () => global.fetch.mock.calls.map((call) => JSON.parse(call[1].body));
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should write what the main fuse allows on each phase", async function() {
+    await load();
+
+    const msg = await send({ payload: { L1: 10, l2: 12.4, "L 3": "8" }, id: "meter" });
+
+    expect(global.fetch.mock.calls[0][0]).toBe("http://127.0.0.1:8090/api/sites/123/circuits/456/dynamicCurrent");
+    expect(global.fetch.mock.calls[0][1].method).toBe("POST");
+    expect(writes()).toEqual([{ phase1: 13, phase2: 10, phase3: 15 }]);
+    expect(msg.id).toBe("meter");
+    expect(msg.topic).toBe("write");
+    expect(msg.payload).toEqual({
+      decision: "write",
+      reason: "First reading",
+      meter: [10, 12.4, 8],
+      circuitCurrent: null,
+      limit: [13, 10, 15],
+      site: "123",
+      circuit: "456",
+      previous: null,
+      applied: [13, 10, 15]
+    });
+  });
+
+  it("should lower the current right away and raise it at most once per interval", async function() {
+    await load();
+    const idle = [0, 0, 0];
+
+    await send({ payload: [10, 10, 10], circuitCurrent: idle });
+    let msg = await send({ payload: [10.5, 10, 10], circuitCurrent: idle });
+    expect(msg.payload.decision).toBe("write");
+    expect(msg.payload.reason).toBe("Less current available");
+
+    msg = await send({ payload: [8, 8, 8], circuitCurrent: idle });
+    expect(msg.payload.decision).toBe("wait");
+    expect(msg.payload.reason).toMatch(/^More current available, next write in \d+s$/);
+    expect(msg.payload.limit).toEqual([15, 15, 15]);
+    expect(msg.payload.applied).toEqual([12, 13, 13]);
+
+    msg = await send({ payload: [20, 20, 20], circuitCurrent: [8, 8, 8] });
+    expect(msg.payload.decision).toBe("write");
+    expect(writes()).toEqual([
+      { phase1: 13, phase2: 13, phase3: 13 },
+      { phase1: 12, phase2: 13, phase3: 13 },
+      { phase1: 11, phase2: 11, phase3: 11 }
+    ]);
+  });
+
+  it("should hold small changes and cut phases below the minimum", async function() {
+    await load({ hysteresis: 2, writeInterval: 0 });
+
+    await send({ payload: [10, 10, 10], circuitCurrent: [0, 0, 0] });
+    let msg = await send({ payload: [9, 10, 10], circuitCurrent: [0, 0, 0] });
+    expect(msg.payload.decision).toBe("hold");
+    expect(msg.payload.reason).toBe("Change of 1 A is within the hysteresis");
+
+    msg = await send({ payload: [7, 10, 18], circuitCurrent: [0, 0, 0] });
+    expect(msg.payload.decision).toBe("write");
+    expect(msg.payload.applied).toEqual([16, 13, 0]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should fall back to a safe current when the meter goes quiet", async function() {
+    await load({ staleTimeout: 0.1, fallbackCurrent: 6 });
+
+    let msg = await nextDecision();
+    expect(msg.payload).toEqual(expect.objectContaining({
+      decision: "fallback",
+      reason: "No meter reading for 0.1s",
+      meter: null,
+      applied: [6, 6, 6]
+    }));
+
+    msg = await send({ payload: [10, 10, 10] });
+    expect(msg.payload.decision).toBe("write");
+    expect(msg.payload.reason).toBe("Meter reading is back");
+    expect(msg.payload.applied).toEqual([13, 13, 13]);
+  });
+
+  const collect = () => {
+    const decisions = [];
+    helper.getNode("out1").on("input", (msg) => decisions.push(msg));
+    return decisions;
+  };
+
+  const until = async(condition) => {
+    while (!condition()) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  /**
+   * Hold the next write until release() is called
+   */
+  const holdWrite = () => {
+    let release;
+    global.fetch.mockImplementationOnce(() => new Promise((resolve) => {
+      release = () => resolve(global.testHelpers.createFetchResponse(null, 202));
+    }));
+    return () => release();
+  };
+
+  it("should apply a lower limit that came in while a write was in progress", async function() {
+    await load();
+    const decisions = collect();
+
+    const release = holdWrite();
+    helper.getNode("balancer1").receive({ payload: [10, 10, 10], circuitCurrent: [0, 0, 0] });
+    helper.getNode("balancer1").receive({ payload: [16, 16, 16], circuitCurrent: [0, 0, 0] });
+    await until(() => decisions.length === 1 && global.fetch.mock.calls.length === 1);
+    expect(decisions[0].payload).toEqual(expect.objectContaining({ decision: "wait", reason: "A write is in progress", limit: [7, 7, 7] }));
+
+    release();
+    await until(() => decisions.length === 3);
+    expect(decisions[1].payload.applied).toEqual([13, 13, 13]);
+    expect(decisions[2].payload).toEqual(expect.objectContaining({ decision: "write", reason: "Less current available", applied: [7, 7, 7] }));
+    expect(writes()).toEqual([
+      { phase1: 13, phase2: 13, phase3: 13 },
+      { phase1: 7, phase2: 7, phase3: 7 }
+    ]);
+  });
+
+  it("should fall back once a write in progress is done when the meter went quiet meanwhile", async function() {
+    await load({ staleTimeout: 0.1, fallbackCurrent: 6 });
+    const decisions = collect();
+
+    const release = holdWrite();
+    helper.getNode("balancer1").receive({ payload: [10, 10, 10], circuitCurrent: [0, 0, 0] });
+    await until(() => decisions.length === 1 && global.fetch.mock.calls.length === 1);
+    expect(decisions[0].payload.decision).toBe("wait");
+    expect(decisions[0].payload.meter).toBeNull();
+
+    release();
+    await until(() => decisions.length === 3);
+    expect(decisions[1].payload.applied).toEqual([13, 13, 13]);
+    expect(decisions[2].payload).toEqual(expect.objectContaining({ decision: "fallback", applied: [6, 6, 6] }));
+  });
+
+  it("should try the fallback again when writing it failed", async function() {
+    await load({ staleTimeout: 0.1, fallbackCurrent: 6 });
+    global.fetch.mockImplementationOnce(() => global.testHelpers.createFetchResponse({ title: "Bad Request" }, 400));
+
+    let msg = await nextDecision();
+    expect(msg.payload.decision).toBe("error");
+    expect(msg.payload.applied).toBeNull();
+
+    msg = await nextDecision();
+    expect(msg.payload).toEqual(expect.objectContaining({ decision: "fallback", applied: [6, 6, 6] }));
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should use the measured current of the chargers, and count unmeasured current as house load", async function() {
+    const balancer = await load({ chargers: "EH000001, EH000002", writeInterval: 0, hysteresis: 0 }, { hub: true });
+    const config = helper.getNode("config1");
+    const reading = (charger, id, value, timestamp = new Date().toISOString()) => {
+      config.dispatchHubMessage("ProductUpdate", { mid: charger, dataType: 3, id: id, timestamp: timestamp, value: value });
+    };
+
+    // Granted 13 A, but the car is idle: all of the meter is house load
+    let msg = await send({ payload: [10, 10, 10] });
+    expect(msg.payload.circuitCurrent).toBeNull();
+    expect(msg.payload.applied).toEqual([13, 13, 13]);
+    expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000001", false);
+    expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000002", false);
+
+    // InCurrent_T3..T5 of both chargers add up per phase
+    reading("EH000001", 183, "8");
+    reading("EH000001", 184, "8");
+    reading("EH000002", 183, "2");
+    reading("EH000002", 185, "5");
+    msg = await send({ payload: [16, 14, 15] });
+    expect(msg.payload.circuitCurrent).toEqual([10, 8, 5]);
+    expect(msg.payload.applied).toEqual([17, 17, 13]);
+
+    // An old reading does not count
+    reading("EH000001", 183, "8", new Date(Date.now() - balancer.CURRENT_MAX_AGE - 1000).toISOString());
+    msg = await send({ payload: [16, 14, 15] });
+    expect(msg.payload.circuitCurrent).toEqual([2, 8, 5]);
+  });
+
+  it("should report readings it cannot use and failed writes", async function() {
+    await load();
+
+    let msg = await send({ payload: { L1: 10, L2: 12 } });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(msg.payload.decision).toBe("error");
+    expect(msg.error.code).toBe("invalid_request");
+
+    global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse({ title: "Bad Request" }, 400));
+    msg = await send({ payload: [10, 10, 10] });
+    expect(msg.payload.decision).toBe("error");
+    expect(msg.payload.applied).toBeNull();
+    expect(msg.error).toEqual(expect.objectContaining({ code: "validation", httpStatus: 400 }));
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for the "Test connection" and "Log in again" buttons of the
+ * configuration node editor
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Login admin endpoints", function() {
+  const flow = [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      name: "Test Config",
+      username: "test@example.com",
+      restApiPath: "http://127.0.0.1:8090/api"
+    }
+  ];
+  const credentials = {
+    config1: { password: "testpass" }
+  };
+
+  /**
+   * Answer logins with the given status and body
+   */
+  const mockLogin = (status, body, headers = {}) => {
+    global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse(body, status, headers));
+  };
+
+  /**
+   * Body of the last login request
+   */
+  const lastLogin = () => {
+    const call = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+    return { url: call[0], body: JSON.parse(call[1].body) };
+  };
+
+  beforeAll(function(done) {
+    helper.startServer(done);
+  });
+
+  afterAll(function(done) {
+    jest.useRealTimers();
+    helper.stopServer(done);
+  });
+
+  beforeEach(function() {
+    jest.useRealTimers();
+    mockLogin(200, global.testHelpers.createAuthResponse({ expiresIn: 86400 }));
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should test undeployed credentials and report the token lifetime", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const accessToken = config.accessToken;
+
+        const res = await helper.request()
+          .post("/easee-configuration/test-login")
+          .send({ username: "new@example.com", password: "newpass", restApiPath: "https://api.example.com/api/" })
+          .expect(200);
+
+        expect(res.body.result).toBe("success");
+        expect(res.body.tokenLifetime).toBe(86400);
+        expect(res.body.message).toContain("1440 minutes");
+        expect(lastLogin()).toEqual({
+          url: "https://api.example.com/api/accounts/login",
+          body: { userName: "new@example.com", password: "newpass" }
+        });
+        // The deployed account keeps its own login
+        expect(config.accessToken).toBe(accessToken);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should use the deployed password when it was not changed in the dialog", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        await helper.request()
+          .post("/easee-configuration/test-login")
+          .send({ id: "config1", username: "test@example.com", password: "__PWRD__", restApiPath: "http://127.0.0.1:8090/api/" })
+          .expect(200);
+
+        expect(lastLogin().body.password).toBe("testpass");
+        expect(lastLogin().url).toBe("http://127.0.0.1:8090/api/accounts/login");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should log in with the deployed account when only its id is posted", function(done) {
+    const defaultFlow = [{ id: "config1", type: "easee-configuration", username: "test@example.com" }];
+    helper.load(configNode, defaultFlow, credentials, async function() {
+      try {
+        const res = await helper.request()
+          .post("/easee-configuration/test-login")
+          .send({ id: "config1" })
+          .expect(200);
+
+        expect(res.body.result).toBe("success");
+        expect(lastLogin()).toEqual({
+          url: "https://api.easee.com/api/accounts/login",
+          body: { userName: "test@example.com", password: "testpass" }
+        });
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should only send the deployed password to the deployed node's URL", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        const test = (restApiPath) => helper.request()
+          .post("/easee-configuration/test-login")
+          .send({ id: "config1", username: "test@example.com", password: "__PWRD__", restApiPath: restApiPath })
+          .expect(200);
+
+        let res = await test("https://attacker.example.com/api");
+        expect(res.body).toEqual({ result: "invalid_credentials", message: "Enter a username and password" });
+        res = await test("");
+        expect(res.body.result).toBe("invalid_credentials");
+        res = await test("file:///etc/passwd");
+        expect(res.body.result).toBe("error");
+        expect(res.body.message).toBe("Invalid REST API URL file:///etc/passwd");
+        expect(global.fetch).not.toHaveBeenCalled();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should tell invalid credentials, rate limiting and network errors apart", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        const test = () => helper.request()
+          .post("/easee-configuration/test-login")
+          .send({ username: "test@example.com", password: "wrong" })
+          .expect(200);
+
+        mockLogin(401, { title: "Unauthorized" });
+        let res = await test();
+        expect(res.body).toEqual(expect.objectContaining({ result: "invalid_credentials", httpStatus: 401 }));
+
+        mockLogin(429, { title: "Too Many Requests" }, { "retry-after": "30" });
+        res = await test();
+        expect(res.body).toEqual(expect.objectContaining({ result: "rate_limited", retryAfter: "30" }));
+
+        global.fetch.mockImplementation(() => Promise.reject(new Error("getaddrinfo ENOTFOUND api.easee.com")));
+        res = await test();
+        expect(res.body.result).toBe("network_error");
+        expect(res.body.message).toContain("ENOTFOUND");
+
+        mockLogin(503, "Service Unavailable", { "content-type": "text/plain" });
+        res = await test();
+        expect(res.body).toEqual(expect.objectContaining({ result: "error", httpStatus: 503 }));
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should log a deployed account in again", function(done) {
+    helper.load(configNode, flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        config.accessToken = false;
+        config.loginRetryCount = 5;
+        mockLogin(200, global.testHelpers.createAuthResponse({ accessToken: "fresh-token" }));
+
+        const res = await helper.request().post("/easee-configuration/config1/login").expect(200);
+        expect(res.body.result).toBe("success");
+        expect(res.body.tokenLifetime).toBe(3600);
+        expect(config.accessToken).toBe("fresh-token");
+        expect(config.loginRetryCount).toBe(0);
+        expect(lastLogin().url).toBe("http://127.0.0.1:8090/api/accounts/login");
+
+        await helper.request().post("/easee-configuration/nosuchnode/login").expect(404);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
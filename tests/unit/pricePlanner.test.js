@@ -0,0 +1,215 @@
+/**
+ * Tests for the price planner node
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const pricePlannerNode = require("../../easee-client/easee-price-planner.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Price planner", function() {
+  const HOUR = 3600000;
+
+  const flow = (overrides = {}) => [
+    global.testHelpers.configNode(),
+    {
+      id: "planner1",
+      type: "easee-price-planner",
+      charger: "EH000001",
+      configuration: "config1",
+      energy: 22,
+      maxPower: 11,
+      mode: "plan",
+      wires: [["out1"]],
+      ...overrides
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+
+  // Tomorrow, on the hour, so no slot has started yet
+  const base = Math.ceil(Date.now() / HOUR) * HOUR + 24 * HOUR;
+  const at = (offset) => new Date(base + offset).toISOString();
+  const hourly = (prices) => prices.map((price, hour) => ({ start: at(hour * HOUR), end: at((hour + 1) * HOUR), price: price }));
+
+  /**
+   * Load the flow with a logged in account, accepting every request
+   */
+  const load = (overrides) => {
+    return new Promise((resolve) => {
+      helper.load([configNode, pricePlannerNode], flow(overrides), credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config);
+        jest.spyOn(config, "warn").mockImplementation(() => {});
+        global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse(null, 202));
+        resolve(helper.getNode("planner1"));
+      });
+    });
+  };
+
+  /**
+   * Send the message, resolve with the first count messages on the output
+   */
+  const send = (msg, count = 1) => {
+    return new Promise((resolve) => {
+      const received = [];
+      helper.getNode("out1").on("input", (out) => {
+        received.push(out);
+        if (received.length === count) {
+          resolve(count === 1 ? received[0] : received);
+        }
+      });
+      helper.getNode("planner1").receive(msg);
+    });
+  };
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should pick the cheapest hours", async function() {
+    await load();
+
+    const msg = await send({ payload: hourly([5, 1, 3, 2, 4]) });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(msg.topic).toBe("plan");
+    expect(msg.status).toBe("ok");
+    expect(msg.payload).toEqual({
+      windows: [
+        { start: at(HOUR), end: at(2 * HOUR), energy: 11, cost: 11, averagePrice: 1 },
+        { start: at(3 * HOUR), end: at(4 * HOUR), energy: 11, cost: 22, averagePrice: 2 }
+      ],
+      energy: 22,
+      requestedEnergy: 22,
+      cost: 33,
+      averagePrice: 1.5,
+      maxPower: 11,
+      departure: null,
+      complete: true,
+      mode: "plan"
+    });
+  });
+
+  it("should use part of a slot and join slots back to back", async function() {
+    await load();
+
+    const msg = await send({ payload: hourly([5, 1, 2, 3]), energy: 16.5 });
+
+    expect(msg.payload.windows).toEqual([
+      { start: at(HOUR), end: at(2.5 * HOUR), energy: 16.5, cost: 22, averagePrice: 1.333 }
+    ]);
+  });
+
+  it("should plan only until the departure", async function() {
+    await load();
+
+    const msg = await send({ payload: hourly([5, 1, 0, 0]), energy: 33, departure: at(2 * HOUR) });
+
+    expect(msg.payload.departure).toBe(at(2 * HOUR));
+    expect(msg.payload.energy).toBe(22);
+    expect(msg.payload.complete).toBe(false);
+    expect(msg.payload.windows).toEqual([
+      { start: at(0), end: at(2 * HOUR), energy: 22, cost: 66, averagePrice: 3 }
+    ]);
+  });
+
+  it("should read Nord Pool prices for 15 minute slots", async function() {
+    await load({ energy: 8.25, area: "NO2" });
+    const quarter = HOUR / 4;
+    const entries = [3, 1, 2, 1].map((price, index) => ({
+      deliveryStart: at(index * quarter),
+      deliveryEnd: at((index + 1) * quarter),
+      entryPerArea: { NO1: 0, NO2: price }
+    }));
+
+    const msg = await send({ payload: { multiAreaEntries: entries } });
+
+    expect(msg.payload.windows).toEqual([
+      { start: at(quarter), end: at(4 * quarter), energy: 8.25, cost: 11, averagePrice: 1.333 }
+    ]);
+  });
+
+  it("should set one window as a one-off charge plan and clear it for none", async function() {
+    await load({ mode: "charge_plan" });
+
+    let msg = await send({ payload: hourly([5, 1, 1, 5]) });
+    expect(global.fetch.mock.calls[0][0]).toBe("http://127.0.0.1:8090/api/chargers/EH000001/basic_charge_plan");
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      chargeStartTime: at(HOUR),
+      chargeStopTime: at(3 * HOUR),
+      repeat: false,
+      isEnabled: true
+    });
+    expect(msg.payload.chargePlan.topic).toBe("set_basic_charge_plan");
+
+    helper.getNode("out1").removeAllListeners("input");
+    global.fetch.mockImplementation(() => global.testHelpers.createFetchResponse({ title: "Not Found" }, 404));
+    msg = await send({ payload: hourly([5, 1]), energy: 0 });
+    expect(global.fetch.mock.calls[1][0]).toBe("http://127.0.0.1:8090/api/chargers/EH000001/basic_charge_plan");
+    expect(global.fetch.mock.calls[1][1].method).toBe("DELETE");
+    expect(msg.payload.chargePlan.topic).toBe("delete_basic_charge_plan");
+    expect(msg.status).toBe("ok");
+  });
+
+  it("should send the commands itself for several windows instead of a weekly plan", async function() {
+    const planner = await load({ mode: "charge_plan" });
+
+    const msg = await send({ payload: hourly([1, 5, 1, 5]) });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe("http://127.0.0.1:8090/api/chargers/EH000001/basic_charge_plan");
+    expect(global.fetch.mock.calls[0][1].method).toBe("DELETE");
+    expect(msg.payload.windows).toHaveLength(2);
+    expect(msg.status).toBe("ok");
+    // Pause until the first window, then resume and pause for each window
+    expect(planner.timers.size).toBe(5);
+  });
+
+  it("should pause until the first window and resume and pause on time", async function() {
+    await load({ mode: "commands" });
+    const start = Date.now() + 150;
+    const slot = (offset, price) => ({ start: new Date(start + offset).toISOString(), end: new Date(start + offset + 100).toISOString(), price: price });
+
+    const messages = await send({ payload: [slot(0, 5), slot(100, 1), slot(200, 5)], energy: 11 * 100 / HOUR }, 4);
+
+    expect(messages.map((msg) => msg.topic)).toEqual(["plan", "pause_charging", "resume_charging", "pause_charging"]);
+    expect(messages.slice(1).every((msg) => msg.status === "ok")).toBe(true);
+    expect(messages[2].payload.window.start).toBe(new Date(start + 100).toISOString());
+    expect(global.fetch.mock.calls.map((call) => call[0].split("/").pop())).toEqual(["pause_charging", "resume_charging", "pause_charging"]);
+  });
+
+  it("should report prices it cannot read", async function() {
+    const planner = await load();
+    const status = jest.spyOn(planner, "status");
+
+    const msg = await send({ payload: [{ start: "soon", price: 1 }] });
+
+    expect(msg.status).toBe("error");
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "invalid_request",
+      message: "Price 1 needs a start and a price"
+    }));
+    expect(status).toHaveBeenLastCalledWith({ fill: "red", shape: "ring", text: "Invalid prices" });
+  });
+
+  it("should report invalid settings apart from prices", async function() {
+    const planner = await load();
+    const status = jest.spyOn(planner, "status");
+
+    const msg = await send({ payload: hourly([1, 2]), maxPower: 0 });
+
+    expect(msg.error.message).toBe("msg.maxPower must be the charging power in kW");
+    expect(status).toHaveBeenLastCalledWith({ fill: "red", shape: "ring", text: "Invalid settings" });
+  });
+});
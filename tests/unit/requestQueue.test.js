@@ -0,0 +1,196 @@
+/**
+ * Tests for the request queue of the configuration node
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const { RequestQueue, retryAfterDelay } = require("../../easee-client/request-queue.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Request queue", function() {
+  /**
+   * A task that resolves with its name when finish() is called
+   */
+  const deferredTask = (name, log) => {
+    let finish;
+    const task = () => {
+      log.push(name);
+      return new Promise((resolve) => {
+        finish = () => resolve(name);
+      });
+    };
+    return { task, finish: () => finish() };
+  };
+
+  const flush = () => new Promise((resolve) => jest.requireActual("timers").setImmediate(resolve));
+
+  beforeEach(function() {
+    jest.useFakeTimers();
+  });
+
+  it("should limit the requests running at once", async function() {
+    const log = [];
+    const queue = new RequestQueue({ concurrency: 2 });
+    const tasks = ["a", "b", "c"].map((name) => deferredTask(name, log));
+    const results = tasks.map((t) => queue.add(t.task));
+
+    await flush();
+    expect(log).toEqual(["a", "b"]);
+    expect(queue.waiting).toHaveLength(1);
+
+    tasks[0].finish();
+    await flush();
+    expect(log).toEqual(["a", "b", "c"]);
+    tasks[1].finish();
+    tasks[2].finish();
+    await expect(Promise.all(results)).resolves.toEqual(["a", "b", "c"]);
+  });
+
+  it("should limit the requests started per minute", async function() {
+    const log = [];
+    const queue = new RequestQueue({ concurrency: 5, perMinute: 2 });
+    ["a", "b", "c"].forEach((name) => queue.add(() => log.push(name)));
+
+    await flush();
+    expect(log).toEqual(["a", "b"]);
+
+    jest.advanceTimersByTime(59000);
+    await flush();
+    expect(log).toEqual(["a", "b"]);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(log).toEqual(["a", "b", "c"]);
+  });
+
+  it("should hold back requests while paused", async function() {
+    const log = [];
+    const queue = new RequestQueue({ concurrency: 2 });
+    queue.pause(5000);
+    queue.add(() => log.push("a"));
+
+    jest.advanceTimersByTime(4999);
+    await flush();
+    expect(log).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(log).toEqual(["a"]);
+  });
+
+  it("should apply the overflow policy when the queue is full", async function() {
+    const dropping = new RequestQueue({ concurrency: 1, maxWaiting: 1, overflow: "drop" });
+    const rejecting = new RequestQueue({ concurrency: 1, maxWaiting: 1, overflow: "reject" });
+    const waiting = new RequestQueue({ concurrency: 1, maxWaiting: 1, overflow: "wait" });
+    const never = () => new Promise(() => {});
+
+    [dropping, rejecting, waiting].forEach((queue) => queue.add(never));
+    await flush();
+
+    const dropped = dropping.add(never);
+    dropping.add(never);
+    await expect(dropped).rejects.toThrow("Request dropped, the request queue is full");
+    expect(dropping.waiting).toHaveLength(1);
+
+    rejecting.add(never);
+    await expect(rejecting.add(never)).rejects.toThrow("Request queue is full (1 waiting)");
+
+    waiting.add(never);
+    waiting.add(never);
+    expect(waiting.waiting).toHaveLength(2);
+  });
+
+  it("should stop listening to the signal of a dropped request", async function() {
+    const queue = new RequestQueue({ concurrency: 1, maxWaiting: 1, overflow: "drop" });
+    const never = () => new Promise(() => {});
+    const controller = new AbortController();
+    const addListener = jest.spyOn(controller.signal, "addEventListener");
+    const removeListener = jest.spyOn(controller.signal, "removeEventListener");
+
+    queue.add(never);
+    await flush();
+    const dropped = queue.add(never, controller.signal);
+    queue.add(never);
+
+    await expect(dropped).rejects.toThrow("Request dropped, the request queue is full");
+    expect(removeListener).toHaveBeenCalledWith("abort", addListener.mock.calls[0][1]);
+  });
+
+  it("should read Retry-After in seconds or as a date", function() {
+    const response = (value) => ({ headers: { get: () => value } });
+    jest.setSystemTime(new Date("2025-06-01T12:00:00Z"));
+
+    expect(retryAfterDelay(response("7"), 1000)).toBe(7000);
+    expect(retryAfterDelay(response("Sun, 01 Jun 2025 12:00:30 GMT"), 1000)).toBe(30000);
+    expect(retryAfterDelay(response(null), 1000)).toBe(1000);
+    expect(retryAfterDelay(response("soon"), 1000)).toBe(1000);
+  });
+
+  describe("in the configuration node", function() {
+    const flow = (overrides = {}) => [
+      global.testHelpers.configNode(overrides)
+    ];
+    const credentials = global.testHelpers.configCredentials();
+
+    afterEach(function(done) {
+      helper.unload();
+      done();
+    });
+
+    it("should retry a 429 after its Retry-After", function(done) {
+      helper.load(configNode, flow(), credentials, async function() {
+        try {
+          const config = helper.getNode("config1");
+          global.testHelpers.loginConfig(config);
+          jest.spyOn(config, "warn").mockImplementation(() => {});
+          global.fetch
+            .mockImplementationOnce(() => global.testHelpers.createFetchResponse({ message: "Too many requests" }, 429, { "retry-after": "3" }))
+            .mockImplementation(() => global.testHelpers.createFetchResponse({ id: "EH000001" }));
+
+          const result = config.doAuthRestCall("/chargers/EH000001");
+          await flush();
+          expect(global.fetch).toHaveBeenCalledTimes(1);
+          expect(config.requestQueue.pausedUntil).toBeGreaterThan(Date.now());
+
+          // Calls made meanwhile wait for the pause too
+          const other = config.doAuthRestCall("/chargers/EH000002");
+          await flush();
+          expect(global.fetch).toHaveBeenCalledTimes(1);
+
+          jest.advanceTimersByTime(3000);
+          await expect(result).resolves.toEqual({ id: "EH000001" });
+          await expect(other).resolves.toEqual({ id: "EH000001" });
+          expect(global.fetch).toHaveBeenCalledTimes(3);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+    });
+
+    it("should show the queue depth and reject waiting calls when cleared", function(done) {
+      helper.load(configNode, flow({ requestConcurrency: 1 }), credentials, async function() {
+        try {
+          const config = helper.getNode("config1");
+          global.testHelpers.loginConfig(config);
+          const status = jest.spyOn(config, "status");
+          global.fetch.mockImplementation(() => new Promise(() => {}));
+
+          config.doAuthRestCall("/chargers/EH000001").catch(() => {});
+          const waiting = config.doAuthRestCall("/chargers/EH000002");
+          config.doAuthRestCall("/chargers/EH000003").catch(() => {});
+          await flush();
+
+          expect(status).toHaveBeenLastCalledWith({ fill: "yellow", shape: "ring", text: "2 requests queued" });
+
+          config.requestQueue.clear(new Error("Request cancelled, the configuration node was closed"));
+          await expect(waiting).rejects.toThrow("Request cancelled");
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for request timeouts and cancelling requests of closed nodes
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const restClientNode = require("../../easee-client/easee-rest-client.js");
+const { fetchWithTimeout } = require("../../easee-client/request-queue.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Request timeouts", function() {
+  const flow = [
+    global.testHelpers.configNode({ requestTimeout: 0.05 }),
+    {
+      id: "rest1",
+      type: "easee-rest-client",
+      charger: "EH000001",
+      configuration: "config1",
+      wires: [["out1"]]
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+
+  const hangingFetch = () => new Promise(() => {});
+
+  /**
+   * Load the flow with a logged in account
+   */
+  const load = () => {
+    return new Promise((resolve) => {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config);
+        config.REQUEST_RETRY_DELAY = 1;
+        jest.spyOn(config, "warn").mockImplementation(() => {});
+        jest.spyOn(config, "error").mockImplementation(() => {});
+        resolve(config);
+      });
+    });
+  };
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should give up on a request after the timeout", async function() {
+    global.fetch.mockImplementation(hangingFetch);
+
+    await expect(fetchWithTimeout("http://127.0.0.1:8090/api/chargers", {}, 20)).rejects.toMatchObject({
+      code: "timeout",
+      message: "Request timeout, no answer in 0.02s"
+    });
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it("should send a timeout error code on the REST node output", async function() {
+    global.fetch.mockImplementation(hangingFetch);
+    await load();
+
+    const msg = await new Promise((resolve) => {
+      helper.getNode("out1").on("input", resolve);
+      helper.getNode("rest1").receive({ topic: "pause_charging" });
+    });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(msg.status).toBe("error");
+    expect(msg.error).toEqual({
+      message: "Request timeout, no answer in 0.05s",
+      code: "timeout",
+      httpStatus: null,
+      retryable: true,
+      attempts: 1
+    });
+  });
+
+  it("should not leave authentication in progress when the login hangs", async function() {
+    global.fetch.mockImplementation(hangingFetch);
+    const config = await load();
+    config.accessToken = false;
+    config.refreshToken = false;
+
+    await config.checkToken();
+
+    expect(config.authenticationInProgress).toBe(false);
+    expect(config.accessToken).toBe(false);
+    expect(global.fetch.mock.calls[0][0]).toBe("http://127.0.0.1:8090/api/accounts/login");
+  });
+
+  it("should cancel the requests of a closed REST node", async function() {
+    global.fetch.mockImplementation(hangingFetch);
+    const config = await load();
+    config.requestTimeout = 0;
+    config.requestQueue.concurrency = 1;
+    const rest = helper.getNode("rest1");
+    const out = jest.fn();
+    helper.getNode("out1").on("input", out);
+
+    rest.receive({ topic: "charger" });
+    rest.receive({ topic: "charger_state" });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(config.requestQueue.waiting).toHaveLength(1);
+
+    await rest.close();
+
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(config.requestQueue.waiting).toHaveLength(0);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(config.requestQueue.active).toBe(0);
+    expect(out).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * Tests for the REST client command catalogue
+ */
+
+const fs = require("fs");
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const restClientNode = require("../../easee-client/easee-rest-client.js");
+const {
+  COMMANDS,
+  basicChargePlanBody,
+  weeklyChargePlanBody,
+  parseDateRange,
+  fetchAllPages,
+  flattenChargers,
+  normalizeSessions,
+  normalizeSite,
+  prepareCommand
+} = require("../../easee-client/rest-commands.js");
+const { FILES, updateContent } = require("../../scripts/update-command-docs.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("REST Client Command Catalogue", function() {
+  describe("prepareCommand", function() {
+    it("should fill in the path template from the parameters", function() {
+      const request = prepareCommand("charger_details", { charger: "EH000001" });
+      expect(request.method).toBe("GET");
+      expect(request.path).toBe("/chargers/EH000001/details");
+      expect(request.body).toBeUndefined();
+    });
+
+    it("should POST charger commands with an empty body", function() {
+      const request = prepareCommand("pause_charging", { charger: "EH000001" });
+      expect(request.method).toBe("POST");
+      expect(request.path).toBe("/chargers/EH000001/commands/pause_charging");
+      expect(request.body).toEqual({});
+    });
+
+    it("should reject unknown topics and missing parameters", function() {
+      expect(() => prepareCommand("no_such_topic", {})).toThrow("Unknown topic no_such_topic");
+      expect(() => prepareCommand("toString", {})).toThrow("Unknown topic toString");
+      expect(() => prepareCommand("charger_state", {})).toThrow("charger_state failed: charger missing");
+      expect(() => prepareCommand("dynamic_current", { site: "1234" })).toThrow(/circuit missing/);
+    });
+
+    it("should GET dynamic_current without current fields and POST the other fields along", function() {
+      const params = { site: "1234", circuit: "1345" };
+
+      const read = prepareCommand("dynamic_current", params, { site_id: "1234" });
+      expect(read.method).toBe("GET");
+      expect(read.body).toBeUndefined();
+
+      const write = prepareCommand("dynamic_current", params, { site_id: "1234", phase1: 10, phase2: 10, phase3: 10 });
+      expect(write.method).toBe("POST");
+      expect(write.path).toBe("/sites/1234/circuits/1345/dynamicCurrent");
+      expect(write.body).toEqual({ phase1: 10, phase2: 10, phase3: 10 });
+
+      const other = prepareCommand("dynamic_current", params, { circuit_id: "1345", phase1: 10, newField: true });
+      expect(other.body).toEqual({ phase1: 10, newField: true });
+    });
+
+    it("should validate body field types", function() {
+      const params = { site: "1234", circuit: "1345" };
+      expect(() => prepareCommand("dynamic_current", params, { phase1: "ten" })).toThrow("phase1 must be a number");
+      expect(() => prepareCommand("dynamic_current", params, { phase1: -1 })).toThrow("phase1 must be at least 0");
+    });
+
+    it("should validate charger settings with types from the observation table", function() {
+      const params = { charger: "EH000001" };
+      const request = prepareCommand("charger_settings", params, { maxChargerCurrent: 16, phaseMode: 3, lockCablePermanently: true });
+      expect(request.method).toBe("POST");
+      expect(request.path).toBe("/chargers/EH000001/settings");
+      expect(request.body).toEqual({ lockCablePermanently: true, phaseMode: 3, maxChargerCurrent: 16 });
+
+      const fields = COMMANDS.charger_settings.body.fields;
+      expect(fields.enableIdleCurrent.type).toBe("boolean");
+      expect(fields.maxChargerCurrent.type).toBe("number");
+      expect(fields.ledStripBrightness.type).toBe("integer");
+      expect(fields.offlineChargingMode.values).toEqual([0, 1, 2]);
+
+      expect(() => prepareCommand("charger_settings", params, { phaseMode: 0 })).toThrow("phaseMode must be one of 1, 2, 3");
+      expect(() => prepareCommand("charger_settings", params, { ledStripBrightness: 50.5 })).toThrow("ledStripBrightness must be a whole number");
+      expect(() => prepareCommand("charger_settings", params, { maxChargerCurrent: 40 })).toThrow("maxChargerCurrent must be at most 32");
+      expect(() => prepareCommand("charger_settings", params, { smartButtonEnabled: "yes" })).toThrow("smartButtonEnabled must be a boolean");
+      expect(() => prepareCommand("charger_settings", params, { maxChargerCurent: 16 })).toThrow("unknown field maxChargerCurent");
+      expect(() => prepareCommand("charger_settings", params, {})).toThrow("msg.payload has no fields to send");
+    });
+
+    it("should declare a description, method, path and params for every topic", function() {
+      Object.entries(COMMANDS).forEach(([topic, command]) => {
+        expect({ topic, description: typeof command.description }).toEqual({ topic, description: "string" });
+        expect(["GET", "POST", "DELETE"]).toContain(command.method);
+        expect(command.path).toMatch(/^\//);
+        expect(Array.isArray(command.params)).toBe(true);
+      });
+    });
+  });
+
+  describe("charge plans", function() {
+    // Monday 15 January 2024, 20:00 local time
+    const now = new Date(2024, 0, 15, 20, 0);
+
+    it("should build a basic plan from the next start and stop times", function() {
+      expect(basicChargePlanBody({ start: "22:00", stop: "06:00", currentLimit: 16 }, now)).toEqual({
+        chargeStartTime: new Date(2024, 0, 15, 22, 0).toISOString(),
+        chargeStopTime: new Date(2024, 0, 16, 6, 0).toISOString(),
+        repeat: true,
+        isEnabled: true,
+        chargingCurrentLimit: 16
+      });
+
+      const tomorrow = basicChargePlanBody({ start: "07:30", repeat: false }, now);
+      expect(tomorrow.chargeStartTime).toBe(new Date(2024, 0, 16, 7, 30).toISOString());
+      expect(tomorrow.repeat).toBe(false);
+      expect(tomorrow.chargeStopTime).toBeUndefined();
+    });
+
+    it("should split weekly windows past midnight over two days", function() {
+      expect(weeklyChargePlanBody({ start: "22:00", stop: "06:00", days: ["fri", "sunday"] })).toEqual({
+        isEnabled: true,
+        days: [
+          { dayOfWeek: 0, ranges: [{ startTime: "00:00", stopTime: "06:00" }] },
+          { dayOfWeek: 4, ranges: [{ startTime: "22:00", stopTime: "23:59" }] },
+          { dayOfWeek: 5, ranges: [{ startTime: "00:00", stopTime: "06:00" }] },
+          { dayOfWeek: 6, ranges: [{ startTime: "22:00", stopTime: "23:59" }] }
+        ]
+      });
+
+      const weekdays = weeklyChargePlanBody({ start: "9:00", stop: "15:00", days: "weekdays", currentLimit: 10 });
+      expect(weekdays.days.map((day) => day.dayOfWeek)).toEqual([0, 1, 2, 3, 4]);
+      expect(weekdays.days[0].ranges).toEqual([{ startTime: "09:00", stopTime: "15:00", chargingCurrentLimit: 10 }]);
+    });
+
+    it("should prepare charge plan requests and report invalid helper values", function() {
+      const weekly = prepareCommand("set_weekly_charge_plan", { charger: "EH000001" }, { start: "01:00", stop: "05:00", days: "6" });
+      expect(weekly.method).toBe("POST");
+      expect(weekly.path).toBe("/chargers/EH000001/weekly_charge_plan");
+      expect(weekly.body.days).toEqual([{ dayOfWeek: 6, ranges: [{ startTime: "01:00", stopTime: "05:00" }] }]);
+
+      const easeeBody = { chargeStartTime: "2024-01-15T21:00:00Z", repeat: true };
+      expect(prepareCommand("set_basic_charge_plan", { charger: "EH000001" }, easeeBody).body).toEqual(easeeBody);
+
+      const remove = prepareCommand("delete_basic_charge_plan", { charger: "EH000001" });
+      expect(remove.method).toBe("DELETE");
+      expect(remove.body).toBeUndefined();
+
+      expect(() => prepareCommand("set_weekly_charge_plan", { charger: "EH000001" }, { start: "25:00", stop: "06:00" }))
+        .toThrow("set_weekly_charge_plan failed: start must be a time like \"22:00\"");
+      expect(() => prepareCommand("set_weekly_charge_plan", { charger: "EH000001" }, { start: "22:00", stop: "06:00", days: ["funday"] }))
+        .toThrow("Unknown day funday");
+      expect(() => prepareCommand("set_basic_charge_plan", { charger: "EH000001" }, { repeat: true }))
+        .toThrow("chargeStartTime is required");
+    });
+  });
+
+  describe("session history", function() {
+    // Wednesday 15 May 2024, 12:00 local time
+    const now = new Date(2024, 4, 15, 12, 0);
+
+    it("should parse date ranges, months and periods", function() {
+      expect(parseDateRange({ month: "2024-02" }, now)).toEqual({
+        from: new Date(2024, 1, 1).toISOString(),
+        to: new Date(2024, 2, 1).toISOString()
+      });
+      expect(parseDateRange({ period: "last_month" }, now)).toEqual({
+        from: new Date(2024, 3, 1).toISOString(),
+        to: new Date(2024, 4, 1).toISOString()
+      });
+      expect(parseDateRange({ from: "2024-05-01", to: "2024-05-08T12:00:00Z" }, now)).toEqual({
+        from: new Date(2024, 4, 1).toISOString(),
+        to: "2024-05-08T12:00:00.000Z"
+      });
+      // Defaults to this month so far
+      expect(parseDateRange(null, now)).toEqual({
+        from: new Date(2024, 4, 1).toISOString(),
+        to: now.toISOString()
+      });
+
+      expect(() => parseDateRange({ from: "yesterday" }, now)).toThrow("from must be a date");
+      expect(() => parseDateRange({ month: "2024-13" }, now)).toThrow("month must be like");
+      expect(() => parseDateRange({ period: "fortnight" }, now)).toThrow("Unknown period fortnight");
+      expect(() => parseDateRange({ from: "2024-05-08", to: "2024-05-01" }, now)).toThrow("to must be after from");
+    });
+
+    it("should put the date range in the path", function() {
+      const request = prepareCommand("charger_sessions", { charger: "EH000001" }, { from: "2024-05-01T00:00:00Z", to: "2024-06-01T00:00:00Z" });
+      expect(request.path).toBe("/sessions/charger/EH000001/sessions/2024-05-01T00%3A00%3A00.000Z/2024-06-01T00%3A00%3A00.000Z");
+      expect(() => prepareCommand("charger_sessions", { charger: "EH000001" }, { from: "soon" })).toThrow("charger_sessions failed: from must be a date");
+    });
+
+    it("should follow pages until the last one", async function() {
+      const connection = {
+        genericCall: jest.fn()
+          .mockResolvedValueOnce({ page: 1, pages: 3, data: [{ id: 1 }, { id: 2 }] })
+          .mockResolvedValueOnce({ page: 2, pages: 3, data: [{ id: 3 }] })
+          .mockResolvedValueOnce({ page: 3, pages: 3, data: [{ id: 4 }] })
+      };
+      expect(await fetchAllPages(connection, "/sessions?from=1")).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
+      expect(connection.genericCall).toHaveBeenLastCalledWith("/sessions?from=1&page=3", "GET", null);
+
+      const unpaged = { genericCall: jest.fn().mockResolvedValue([{ id: 1 }]) };
+      expect(await fetchAllPages(unpaged, "/sessions")).toEqual([{ id: 1 }]);
+      expect(unpaged.genericCall).toHaveBeenCalledTimes(1);
+
+      const endless = { genericCall: jest.fn().mockResolvedValue({ page: 1, totalPages: 1000, items: [{ id: 1 }] }) };
+      expect(await fetchAllPages(endless, "/sessions", 5)).toHaveLength(5);
+    });
+
+    it("should normalize sessions", function() {
+      expect(normalizeSessions([
+        { id: 2, carConnected: "2024-05-02T18:00:00Z", carDisconnected: "2024-05-02T20:00:00Z", kiloWattHours: 14.4, actualDurationSeconds: 6000 },
+        { sessionId: 1, sessionStart: "2024-05-01T18:00:00Z", sessionEnd: "2024-05-01T19:30:00Z", sessionEnergy: 5 }
+      ], "EH000001")).toEqual([
+        { id: 1, chargerId: "EH000001", start: "2024-05-01T18:00:00Z", end: "2024-05-01T19:30:00Z", kWh: 5, duration: 5400 },
+        { id: 2, chargerId: "EH000001", start: "2024-05-02T18:00:00Z", end: "2024-05-02T20:00:00Z", kWh: 14.4, duration: 6000 }
+      ]);
+    });
+  });
+
+  describe("account discovery", function() {
+    const product = {
+      id: 1234,
+      name: "Home",
+      siteKey: "ABCD-1234",
+      address: { street: "Main street" },
+      circuits: [
+        { id: 1345, panelName: "Garage", circuitPanelId: 1, ratedCurrent: 25, chargers: [{ id: "EH000001", name: "Car", color: 1 }] },
+        { id: 1346, circuitPanelId: 2, chargers: [] }
+      ]
+    };
+
+    it("should normalize sites into a tree of circuits and chargers", function() {
+      expect(normalizeSite(product)).toEqual({
+        id: 1234,
+        name: "Home",
+        siteKey: "ABCD-1234",
+        circuits: [
+          { id: 1345, name: "Garage", ratedCurrent: 25, chargers: [{ id: "EH000001", name: "Car" }] },
+          { id: 1346, name: "Circuit 2", ratedCurrent: null, chargers: [] }
+        ]
+      });
+      expect(normalizeSite({ id: 1, name: "Cabin" }).circuits).toEqual([]);
+    });
+
+    it("should list chargers with their site and circuit", function() {
+      expect(flattenChargers([normalizeSite(product)], [{ id: "EH000001" }, { id: "EH000009", name: "Spare" }])).toEqual([
+        { id: "EH000001", name: "Car", siteId: 1234, siteName: "Home", circuitId: 1345, circuitName: "Garage" },
+        { id: "EH000009", name: "Spare", siteId: null, siteName: null, circuitId: null, circuitName: null }
+      ]);
+    });
+  });
+
+  it("should have the generated topic list in the node help and README", function() {
+    FILES.forEach(({ file, indent }) => {
+      const content = fs.readFileSync(file, "utf8");
+      expect(updateContent(content, indent)).toBe(content);
+    });
+  });
+
+  describe("easee-rest-client", function() {
+    const flow = [
+      {
+        id: "config1",
+        type: "easee-configuration",
+        name: "Test Config",
+        username: "test@example.com"
+      },
+      {
+        id: "rest1",
+        type: "easee-rest-client",
+        charger: "EH000001",
+        configuration: "config1",
+        wires: [["out1"]]
+      },
+      { id: "out1", type: "helper" }
+    ];
+    const credentials = {
+      config1: { password: "testpass" }
+    };
+
+    beforeEach(function() {
+      jest.useRealTimers();
+    });
+
+    afterEach(function(done) {
+      helper.unload();
+      done();
+    });
+
+    it("should run catalogue commands with the post-processor", function(done) {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        const config = helper.getNode("config1");
+        const rest = helper.getNode("rest1");
+        const out = helper.getNode("out1");
+        const genericCall = jest.spyOn(config, "genericCall").mockResolvedValue({ chargerOpMode: 3, totalPower: 7.2 });
+
+        out.on("input", function(msg) {
+          try {
+            expect(genericCall).toHaveBeenCalledWith("/chargers/EH000002/state", "GET", null, { signal: rest.requestController.signal });
+            expect(msg.status).toBe("ok");
+            expect(msg.payload.chargerOpMode.dataName).toBe("ChargerOpMode");
+            expect(msg.payload.chargerOpMode.value).toBe(3);
+            expect(msg.payload.totalPower.value).toBe(7.2);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        rest.receive({ topic: "charger_state", charger: "EH000002" });
+      });
+    });
+
+    it("should follow pages and normalize the rows", function(done) {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        const config = helper.getNode("config1");
+        const rest = helper.getNode("rest1");
+        const out = helper.getNode("out1");
+        const genericCall = jest.spyOn(config, "genericCall")
+          .mockResolvedValueOnce({ page: 1, pages: 2, data: [{ id: 1, carConnected: "2024-05-01T18:00:00Z", kiloWattHours: 7 }] })
+          .mockResolvedValueOnce({ page: 2, pages: 2, data: [{ id: 2, carConnected: "2024-05-02T18:00:00Z", kiloWattHours: 3 }] });
+
+        out.on("input", function(msg) {
+          try {
+            expect(genericCall).toHaveBeenCalledTimes(2);
+            expect(genericCall.mock.calls[1][0]).toMatch(/^\/sessions\/charger\/EH000001\/sessions\/.+\?page=2$/);
+            expect(msg.status).toBe("ok");
+            expect(msg.payload.map((session) => session.kWh)).toEqual([7, 3]);
+            expect(msg.payload[0].chargerId).toBe("EH000001");
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        rest.receive({ topic: "charger_sessions", payload: { month: "2024-05" } });
+      });
+    });
+
+    it("should read the chargers of the site from its detailed view for site_sessions", function(done) {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        const config = helper.getNode("config1");
+        const rest = helper.getNode("rest1");
+        const out = helper.getNode("out1");
+        const genericCall = jest.spyOn(config, "genericCall").mockImplementation((url) => {
+          if (url === "/sites/123?detailed=true") {
+            return Promise.resolve({ id: 123, circuits: [{ id: 456, chargers: [{ id: "EH000001" }, { id: "EH000002" }] }] });
+          }
+          return Promise.resolve([{ id: url.includes("EH000001") ? 1 : 2, carConnected: "2024-05-01T18:00:00Z", kiloWattHours: 7 }]);
+        });
+
+        out.on("input", function(msg) {
+          try {
+            expect(genericCall.mock.calls[0][0]).toBe("/sites/123?detailed=true");
+            expect(genericCall.mock.calls.slice(1).map((call) => call[0].split("/")[3])).toEqual(["EH000001", "EH000002"]);
+            expect(msg.status).toBe("ok");
+            expect(msg.payload.map((session) => session.chargerId)).toEqual(["EH000001", "EH000002"]);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        rest.receive({ topic: "site_sessions", site: "123", payload: { month: "2024-05" } });
+      });
+    });
+
+    it("should send validation errors without calling the API", function(done) {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        const config = helper.getNode("config1");
+        const rest = helper.getNode("rest1");
+        const out = helper.getNode("out1");
+        const genericCall = jest.spyOn(config, "genericCall");
+
+        out.on("input", function(msg) {
+          try {
+            expect(genericCall).not.toHaveBeenCalled();
+            expect(msg.status).toBe("error");
+            expect(msg.error.message).toContain("site and circuit missing");
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        rest.receive({ topic: "dynamic_current", payload: { phase1: 16 } });
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for classifying and retrying failed REST calls
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const restClientNode = require("../../easee-client/easee-rest-client.js");
+const { EaseeRestError, describeError, fetchError, statusCode } = require("../../easee-client/rest-errors.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("REST errors", function() {
+  const flow = [
+    global.testHelpers.configNode(),
+    {
+      id: "rest1",
+      type: "easee-rest-client",
+      charger: "EH000001",
+      configuration: "config1",
+      wires: [["out1"]]
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+
+  /**
+   * Load the flow with a logged in account and fast retries, and send the
+   * message; resolves with the output message
+   */
+  const runCommand = (msg, setup = () => {}) => {
+    return new Promise((resolve, reject) => {
+      helper.load([configNode, restClientNode], flow, credentials, function() {
+        try {
+          const config = helper.getNode("config1");
+          global.testHelpers.loginConfig(config);
+          config.REQUEST_RETRY_DELAY = 1;
+          jest.spyOn(config, "warn").mockImplementation(() => {});
+          jest.spyOn(config, "error").mockImplementation(() => {});
+          setup(config);
+
+          helper.getNode("out1").on("input", resolve);
+          helper.getNode("rest1").receive(msg);
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+  };
+
+  const fetchResponse = global.testHelpers.createFetchResponse;
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should classify HTTP statuses", function() {
+    expect(statusCode(400)).toBe("validation");
+    expect(statusCode(401)).toBe("unauthorized");
+    expect(statusCode(404)).toBe("validation");
+    expect(statusCode(429)).toBe("rate_limited");
+    expect(statusCode(503)).toBe("server");
+
+    expect(describeError("Something broke")).toEqual({
+      message: "Something broke",
+      code: "error",
+      httpStatus: null,
+      retryable: false,
+      attempts: 0
+    });
+    expect(new EaseeRestError("Queue full", { code: "queue_full" }).retryable).toBe(true);
+  });
+
+  it("should not change a shared cancellation reason when reporting attempts", function() {
+    const reason = new EaseeRestError("Request cancelled, the node was closed", { code: "cancelled" });
+
+    const first = fetchError(reason, 1);
+    const second = fetchError(reason, 3);
+
+    expect(first).not.toBe(reason);
+    expect(describeError(first)).toEqual(expect.objectContaining({ code: "cancelled", message: reason.message, attempts: 1 }));
+    expect(second.attempts).toBe(3);
+    expect(reason.attempts).toBe(0);
+  });
+
+  it("should retry GET requests after network errors and report the attempts", async function() {
+    global.fetch.mockImplementation(() => Promise.reject(new TypeError("fetch failed", { cause: new Error("ECONNREFUSED") })));
+
+    const msg = await runCommand({ topic: "charger_state" });
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(msg.status).toBe("error");
+    expect(msg.error).toEqual({
+      message: "REST Command failed (network error) ECONNREFUSED",
+      code: "network",
+      httpStatus: null,
+      retryable: true,
+      attempts: 3
+    });
+  });
+
+  it("should retry 5xx for GET and succeed", async function() {
+    global.fetch
+      .mockImplementationOnce(() => fetchResponse({ title: "Service Unavailable" }, 503))
+      .mockImplementation(() => fetchResponse({ id: "EH000001" }));
+
+    const msg = await runCommand({ topic: "charger" });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(msg.status).toBe("ok");
+    expect(msg.payload).toEqual({ id: "EH000001" });
+  });
+
+  it("should not repeat POST commands after a 5xx", async function() {
+    global.fetch.mockImplementation(() => fetchResponse({ title: "Bad Gateway" }, 502));
+
+    const msg = await runCommand({ topic: "pause_charging" });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "server",
+      httpStatus: 502,
+      retryable: true,
+      attempts: 1
+    }));
+    expect(msg.error.message).toContain("Bad Gateway");
+  });
+
+  it("should not retry validation errors", async function() {
+    global.fetch.mockImplementation(() => fetchResponse({ message: "Invalid charger id" }, 400));
+
+    const msg = await runCommand({ topic: "charger" });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(msg.error).toEqual(expect.objectContaining({
+      message: "REST Command failed (400: Error) Invalid charger id",
+      code: "validation",
+      httpStatus: 400,
+      retryable: false
+    }));
+  });
+
+  it("should refresh the token once after a 401 and replay the call", async function() {
+    global.fetch.mockImplementation((url, options) => {
+      if (url.endsWith("/accounts/refresh_token")) {
+        return fetchResponse(global.testHelpers.createAuthResponse({ accessToken: "new-access-token" }));
+      }
+      if (options.headers.Authorization === "Bearer new-access-token") {
+        return fetchResponse({ id: "EH000001" });
+      }
+      return fetchResponse({ title: "Unauthorized" }, 401);
+    });
+
+    const msg = await runCommand({ topic: "pause_charging" });
+
+    const urls = global.fetch.mock.calls.map((call) => call[0]);
+    expect(urls).toEqual([
+      "http://127.0.0.1:8090/api/chargers/EH000001/commands/pause_charging",
+      "http://127.0.0.1:8090/api/accounts/refresh_token",
+      "http://127.0.0.1:8090/api/chargers/EH000001/commands/pause_charging"
+    ]);
+    expect(msg.status).toBe("ok");
+  });
+
+  it("should give up after a second 401", async function() {
+    global.fetch.mockImplementation((url) => {
+      if (url.endsWith("/accounts/refresh_token")) {
+        return fetchResponse(global.testHelpers.createAuthResponse({ accessToken: "new-access-token" }));
+      }
+      return fetchResponse({ title: "Unauthorized" }, 401);
+    });
+
+    const msg = await runCommand({ topic: "charger" });
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(msg.error).toEqual(expect.objectContaining({
+      code: "unauthorized",
+      httpStatus: 401,
+      retryable: false,
+      attempts: 2
+    }));
+  });
+
+  it("should report messages that are not a valid request", async function() {
+    const msg = await runCommand({ topic: "no_such_topic" });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(msg.error).toEqual(expect.objectContaining({
+      message: "Unknown topic no_such_topic",
+      code: "invalid_request",
+      retryable: false,
+      attempts: 0
+    }));
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Tests for the shared SignalR hub connection owned by the configuration node
+ */
+
+const helper = require("node-red-node-test-helper");
+const streamingClientNode = require("../../easee-client/charger-streaming-client.js");
+const configNode = require("../../easee-client/easee-configuration.js");
+
+// Connections built by the hub, see the fake builder below
+const mockConnections = [];
+
+jest.mock("@microsoft/signalr", () => {
+  const actual = jest.requireActual("@microsoft/signalr");
+  class FakeHubConnectionBuilder {
+    withUrl() {
+      return this;
+    }
+    withAutomaticReconnect() {
+      return this;
+    }
+    configureLogging() {
+      return this;
+    }
+    build() {
+      const connection = {
+        connectionId: `conn-${mockConnections.length + 1}`,
+        on: jest.fn(),
+        onreconnecting: jest.fn(),
+        onreconnected: jest.fn(),
+        onclose: jest.fn(),
+        start: jest.fn().mockResolvedValue(),
+        stop: jest.fn().mockResolvedValue(),
+        send: jest.fn().mockResolvedValue()
+      };
+      mockConnections.push(connection);
+      return connection;
+    }
+  }
+  return { ...actual, HubConnectionBuilder: FakeHubConnectionBuilder };
+});
+
+helper.init(require.resolve("node-red"));
+
+const flushPromises = async() => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe("Shared Hub Connection", function() {
+  const flow = [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      name: "Test Config",
+      username: "test@example.com"
+    },
+    {
+      id: "streaming1",
+      type: "charger-streaming-client",
+      charger: "EH000001",
+      configuration: "config1",
+      wires: [[], [], [], [], [], []]
+    },
+    {
+      id: "streaming2",
+      type: "charger-streaming-client",
+      charger: "EH000002, EH000003",
+      configuration: "config1",
+      wires: [[], [], [], [], [], []]
+    }
+  ];
+  const credentials = {
+    config1: { password: "testpass" }
+  };
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should subscribe every registered node's chargers on one connection", function(done) {
+    helper.load([configNode, streamingClientNode], flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const streaming1 = helper.getNode("streaming1");
+        const streaming2 = helper.getNode("streaming2");
+
+        config.hubConnected = true;
+        config.hubConnectionId = "conn-1";
+        config.hubConnection = {
+          send: jest.fn().mockResolvedValue(),
+          stop: jest.fn().mockResolvedValue()
+        };
+
+        streaming1.register();
+        streaming2.register();
+        await flushPromises();
+
+        expect(config.hubClients.size).toBe(2);
+        expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000001", true);
+        expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000002", true);
+        expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000003", true);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should build one connection when nodes register during the login", function(done) {
+    jest.useRealTimers();
+    helper.load([configNode, streamingClientNode], flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const streaming1 = helper.getNode("streaming1");
+        const streaming2 = helper.getNode("streaming2");
+        mockConnections.length = 0;
+        global.fetch.mockImplementation(() => new Promise((resolve) => {
+          setTimeout(() => resolve(global.testHelpers.createFetchResponse(global.testHelpers.createAuthResponse())), 20);
+        }));
+
+        streaming1.register();
+        streaming2.register();
+        await config.hubStarting;
+
+        expect(mockConnections).toHaveLength(1);
+        expect(config.hubConnection).toBe(mockConnections[0]);
+        expect(config.hubStarting).toBeNull();
+        const subscribed = mockConnections[0].send.mock.calls.map((call) => call[1]);
+        expect(subscribed.sort()).toEqual(["EH000001", "EH000002", "EH000003"]);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should dispatch hub messages only to nodes subscribed to the charger", function(done) {
+    helper.load([configNode, streamingClientNode], flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const streaming1 = helper.getNode("streaming1");
+        const streaming2 = helper.getNode("streaming2");
+
+        config.hubConnected = true;
+        config.hubConnection = {
+          send: jest.fn().mockResolvedValue(),
+          stop: jest.fn().mockResolvedValue()
+        };
+        streaming1.register();
+        streaming2.register();
+        await flushPromises();
+
+        const send1 = jest.spyOn(streaming1, "send");
+        const send2 = jest.spyOn(streaming2, "send");
+
+        config.dispatchHubMessage("ProductUpdate", { mid: "EH000002", id: 120, value: "7200" });
+
+        expect(send1).not.toHaveBeenCalled();
+        expect(send2).toHaveBeenCalledTimes(1);
+        const productUpdate = send2.mock.calls[0][0][3];
+        expect(productUpdate.charger).toBe("EH000002");
+        expect(productUpdate.payload.dataName).toBe("TotalPower");
+        expect(productUpdate.payload.value).toBe(7200);
+
+        config.dispatchHubMessage("CommandResponse", { serialNumber: "EH000001", wasAccepted: true });
+        expect(send1).toHaveBeenCalledTimes(1);
+        expect(send1.mock.calls[0][0][5].charger).toBe("EH000001");
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should keep the connection while other nodes are still registered", function(done) {
+    helper.load([configNode, streamingClientNode], flow, credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        const streaming1 = helper.getNode("streaming1");
+        const streaming2 = helper.getNode("streaming2");
+
+        config.hubConnected = true;
+        config.hubConnection = {
+          send: jest.fn().mockResolvedValue(),
+          stop: jest.fn().mockResolvedValue()
+        };
+        streaming1.register();
+        streaming2.register();
+        await flushPromises();
+
+        config.unregisterHubClient(streaming1);
+        expect(config.hubClients.size).toBe(1);
+        expect(config.hubIdleHandle).toBeNull();
+
+        config.unregisterHubClient(streaming2);
+        expect(config.hubClients.size).toBe(0);
+        expect(config.hubIdleHandle).not.toBeNull();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should back off exponentially with jitter up to the maximum delay", function(done) {
+    const backoffFlow = [{ ...flow[0], reconnectMinDelay: 2, reconnectMaxDelay: 10 }];
+    helper.load(configNode, backoffFlow, credentials, function() {
+      try {
+        const config = helper.getNode("config1");
+
+        // Without jitter (random = 1) the delay is the full exponential value
+        expect(config.getReconnectDelay(1, () => 1)).toBe(2000);
+        expect(config.getReconnectDelay(2, () => 1)).toBe(4000);
+        expect(config.getReconnectDelay(3, () => 1)).toBe(8000);
+        expect(config.getReconnectDelay(4, () => 1)).toBe(10000);
+        expect(config.getReconnectDelay(10, () => 1)).toBe(10000);
+
+        // With maximum jitter half of the delay remains
+        expect(config.getReconnectDelay(2, () => 0)).toBe(2000);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should open the circuit after repeated failures and report each attempt", function(done) {
+    const circuitFlow = [{ ...flow[0], reconnectFailureThreshold: 3 }, flow[1]];
+    helper.load([configNode, streamingClientNode], circuitFlow, credentials, function() {
+      try {
+        const config = helper.getNode("config1");
+        const streaming1 = helper.getNode("streaming1");
+        config.hubClients.set(streaming1.id, { client: streaming1, chargers: [], allChargers: false });
+
+        const send = jest.spyOn(streaming1, "send");
+        const status = jest.spyOn(streaming1, "status");
+
+        config.scheduleHubReconnect(new Error("503"));
+        config.scheduleHubReconnect(new Error("503"));
+        expect(config.hubCircuitOpen).toBe(false);
+
+        config.scheduleHubReconnect(new Error("503"));
+        expect(config.hubCircuitOpen).toBe(true);
+
+        expect(send).toHaveBeenCalledTimes(3);
+        const attempt = send.mock.calls[2][0][1];
+        expect(attempt.topic).toBe("reconnect");
+        expect(attempt.payload).toEqual(expect.objectContaining({
+          attempt: 3,
+          circuitOpen: true,
+          automatic: false,
+          error: "503"
+        }));
+        expect(attempt.payload.delay).toBe(config.HUB_CIRCUIT_COOLDOWN);
+        expect(status).toHaveBeenLastCalledWith(expect.objectContaining({
+          text: expect.stringContaining("Circuit open")
+        }));
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the solar surplus node
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const solarSurplusNode = require("../../easee-client/easee-solar-surplus.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Solar surplus", function() {
+  const flow = (overrides = {}) => [
+    global.testHelpers.configNode(),
+    {
+      id: "solar1",
+      type: "easee-solar-surplus",
+      charger: "EH000001",
+      configuration: "config1",
+      startThreshold: 1500,
+      stopThreshold: 1000,
+      minOnTime: 300,
+      minOffTime: 300,
+      writeInterval: 0,
+      includesCharger: true,
+      wires: [["out1"]],
+      ...overrides
+    },
+    { id: "out1", type: "helper" }
+  ];
+  const credentials = global.testHelpers.configCredentials();
+
+  /**
+   * Load the flow with a logged in account and a connected hub. The charger
+   * state and config are read from the given objects, commands are accepted.
+   */
+  const load = (overrides, state, chargerConfig = { phaseMode: 1 }) => {
+    return new Promise((resolve) => {
+      helper.load([configNode, solarSurplusNode], flow(overrides), credentials, function() {
+        const config = helper.getNode("config1");
+        global.testHelpers.loginConfig(config, { hub: true });
+        jest.spyOn(config, "warn").mockImplementation(() => {});
+        global.fetch.mockImplementation((url) => {
+          if (url.endsWith("/state")) {
+            return global.testHelpers.createFetchResponse(state);
+          }
+          if (url.endsWith("/config")) {
+            return global.testHelpers.createFetchResponse(chargerConfig);
+          }
+          return global.testHelpers.createFetchResponse(null, 202);
+        });
+        resolve(config);
+      });
+    });
+  };
+
+  const send = (msg) => {
+    return new Promise((resolve) => {
+      helper.getNode("out1").once("input", resolve);
+      helper.getNode("solar1").receive(msg);
+    });
+  };
+
+  /**
+   * REST commands sent, as "path body"
+   */
+  const commands = () => global.fetch.mock.calls
+    .filter((call) => call[1].method === "POST")
+    .map((call) => `${call[0].replace("http://127.0.0.1:8090/api/chargers/EH000001", "")} ${call[1].body}`);
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should wait for both production and consumption", async function() {
+    await load({}, { chargerOpMode: 6, totalPower: 0 });
+
+    const msg = await send({ topic: "production", payload: 4000 });
+
+    expect(msg.payload.decision).toBe("hold");
+    expect(msg.payload.reason).toBe("Waiting for both production and consumption");
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should resume on surplus and keep charging for the minimum on time", async function() {
+    const config = await load({}, { chargerOpMode: 6, totalPower: 0, dynamicChargerCurrent: 16 });
+
+    let msg = await send({ payload: { production: 3000, consumption: 500 } });
+    expect(msg.topic).toBe("resume");
+    expect(msg.payload).toEqual(expect.objectContaining({
+      decision: "resume",
+      surplus: 2500,
+      opMode: 6,
+      phases: 3,
+      current: 16
+    }));
+    expect(commands()).toEqual(["/commands/resume_charging {}"]);
+    expect(config.hubConnection.send).toHaveBeenCalledWith("SubscribeWithCurrentState", "EH000001", false);
+
+    // The stream reports the charger charging at 1.4 kW
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000001", id: 109, value: "3" });
+    config.dispatchHubMessage("ProductUpdate", { mid: "EH000001", id: 120, value: "1.4" });
+
+    msg = await send({ payload: { production: 1500, consumption: 2000 } });
+    expect(msg.payload).toEqual(expect.objectContaining({
+      decision: "hold",
+      reason: "On for less than 300s",
+      chargerPower: 1400,
+      surplus: 900
+    }));
+    expect(commands()).toHaveLength(1);
+  });
+
+  it("should follow the surplus with the current and pause below the threshold", async function() {
+    await load({ minOnTime: 0 }, { chargerOpMode: 3, totalPower: 2.3, dynamicChargerCurrent: 10 });
+
+    let msg = await send({ payload: { production: 5000, consumption: 3000 } });
+    expect(msg.payload).toEqual(expect.objectContaining({
+      decision: "current",
+      reason: "6 A for 4300 W",
+      surplus: 4300,
+      current: 6
+    }));
+
+    msg = await send({ payload: { production: 1000, consumption: 3000 } });
+    expect(msg.payload.decision).toBe("pause");
+    expect(commands()).toEqual([
+      "/settings {\"dynamicChargerCurrent\":6}",
+      "/commands/pause_charging {}"
+    ]);
+  });
+
+  it("should switch to three phases on a large surplus", async function() {
+    await load({ phaseSwitching: true, threePhaseThreshold: 4500 }, { chargerOpMode: 3, totalPower: 3.6, dynamicChargerCurrent: 16 });
+
+    let msg = await send({ payload: { production: 4500, consumption: 4000 } });
+    expect(msg.payload.decision).toBe("current");
+    expect(msg.payload.phases).toBe(1);
+    expect(msg.payload.current).toBe(17);
+
+    msg = await send({ payload: { production: 8000, consumption: 4000 } });
+    expect(msg.payload.decision).toBe("phases");
+    expect(msg.payload.phases).toBe(3);
+    expect(commands()).toEqual([
+      "/settings {\"dynamicChargerCurrent\":17}",
+      "/settings {\"phaseMode\":3}"
+    ]);
+  });
+
+  it("should not resume unless the charger awaits a start", async function() {
+    await load({}, { chargerOpMode: 1, totalPower: 0 });
+
+    const msg = await send({ payload: { production: 6000, consumption: 500 } });
+
+    expect(msg.payload.decision).toBe("hold");
+    expect(msg.payload.reason).toBe("No car connected");
+    expect(commands()).toEqual([]);
+
+    for (const [opMode, reason] of [[4, "Charging is completed"], [5, "Charger is in error"], [7, "Charger is waiting for authentication"]]) {
+      helper.getNode("solar1").opMode = opMode;
+      const held = await send({ payload: { production: 6000, consumption: 500 } });
+      expect(held.payload.decision).toBe("hold");
+      expect(held.payload.reason).toBe(reason);
+    }
+    expect(commands()).toEqual([]);
+
+    const invalid = await send({ payload: "sunny" });
+    expect(invalid.error.code).toBe("invalid_request");
+  });
+});
@@ -137,4 +137,67 @@ describe("Streaming Client Options", function() {
       }
     });
   });
+
+  it("should parse a comma separated charger list", function(done) {
+    const flow = [
+      {
+        id: "config1",
+        type: "easee-configuration",
+        name: "Test Config",
+        username: "test@example.com",
+        password: "testpass"
+      },
+      {
+        id: "streaming1",
+        type: "charger-streaming-client",
+        name: "Test Streaming",
+        charger: "EH000000, EH000001;EH000002",
+        configuration: "config1",
+        wires: [[], [], [], [], [], []]
+      }
+    ];
+
+    helper.load([configNode, streamingClientNode], flow, function() {
+      try {
+        const streamingNode = helper.getNode("streaming1");
+        expect(streamingNode.allChargers).toBe(false);
+        expect(streamingNode.chargers).toEqual(["EH000000", "EH000001", "EH000002"]);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should not use the charger list when subscribing to all chargers", function(done) {
+    const flow = [
+      {
+        id: "config1",
+        type: "easee-configuration",
+        name: "Test Config",
+        username: "test@example.com",
+        password: "testpass"
+      },
+      {
+        id: "streaming1",
+        type: "charger-streaming-client",
+        name: "Test Streaming",
+        charger: "EH000000",
+        allChargers: true,
+        configuration: "config1",
+        wires: [[], [], [], [], [], []]
+      }
+    ];
+
+    helper.load([configNode, streamingClientNode], flow, function() {
+      try {
+        const streamingNode = helper.getNode("streaming1");
+        expect(streamingNode.allChargers).toBe(true);
+        expect(streamingNode.chargers).toEqual([]);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
 });
@@ -0,0 +1,115 @@
+/**
+ * Tests for the merged charger state output of the streaming client
+ */
+
+const helper = require("node-red-node-test-helper");
+const streamingClientNode = require("../../easee-client/charger-streaming-client.js");
+const configNode = require("../../easee-client/easee-configuration.js");
+
+helper.init(require.resolve("node-red"));
+
+describe("Streaming client state output", function() {
+  const flow = (overrides = {}) => [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      username: "test@example.com"
+    },
+    {
+      id: "streaming1",
+      type: "charger-streaming-client",
+      charger: "EH000001, EH000002",
+      configuration: "config1",
+      stateOutput: true,
+      stateInterval: 0.05,
+      wires: [[], [], [], [], [], [], ["state1"]],
+      ...overrides
+    },
+    { id: "state1", type: "helper" }
+  ];
+  const credentials = { config1: { password: "testpass" } };
+
+  /**
+   * Load the flow; resolves with the streaming node and the state messages
+   */
+  const load = (overrides) => {
+    return new Promise((resolve) => {
+      helper.load([configNode, streamingClientNode], flow(overrides), credentials, function() {
+        const states = [];
+        helper.getNode("state1").on("input", (msg) => states.push(msg));
+        resolve({ streaming: helper.getNode("streaming1"), states });
+      });
+    });
+  };
+
+  const update = (streaming, charger, id, value) => {
+    streaming.handleHubMessage("ProductUpdate", { mid: charger, id: id, timestamp: "2025-06-01T12:00:00Z", value: value }, charger);
+  };
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(function() {
+    jest.useRealTimers();
+  });
+
+  afterAll(function() {
+    jest.useRealTimers();
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should merge the observations of each charger and send them at most every interval", async function() {
+    const { streaming, states } = await load();
+
+    update(streaming, "EH000001", 109, "3");
+    update(streaming, "EH000001", 120, "7.2");
+    update(streaming, "EH000002", 120, "1.5");
+    expect(states).toHaveLength(0);
+
+    await wait(100);
+    expect(states).toHaveLength(2);
+    expect(states[0]).toEqual(expect.objectContaining({ topic: "state", charger: "EH000001" }));
+    expect(states[0].payload).toEqual({
+      ChargerOpMode: { value: 3, unit: "", valueText: expect.any(String), timestamp: "2025-06-01T12:00:00Z" },
+      TotalPower: { value: 7.2, unit: "kW", valueText: expect.any(String), timestamp: "2025-06-01T12:00:00Z" }
+    });
+    expect(states[1].payload).toEqual({ TotalPower: expect.objectContaining({ value: 1.5 }) });
+
+    update(streaming, "EH000001", 120, "3.6");
+    await wait(100);
+    expect(states).toHaveLength(3);
+    expect(states[2].payload.TotalPower.value).toBe(3.6);
+    expect(states[2].payload.ChargerOpMode.value).toBe(3);
+  });
+
+  it("should send the state right away when a selected key changes", async function() {
+    const { streaming, states } = await load({ stateInterval: 0, stateKeys: "ChargerOpMode" });
+
+    update(streaming, "EH000001", 120, "7.2");
+    update(streaming, "EH000001", 109, "3");
+    update(streaming, "EH000001", 109, "3");
+    await wait(20);
+    expect(states).toHaveLength(1);
+    expect(Object.keys(states[0].payload)).toEqual(["TotalPower", "ChargerOpMode"]);
+
+    update(streaming, "EH000001", 109, "2");
+    await wait(20);
+    expect(states).toHaveLength(2);
+    expect(states[1].payload.ChargerOpMode.value).toBe(2);
+  });
+
+  it("should only send the six outputs unless enabled", async function() {
+    const { streaming, states } = await load({ stateOutput: false });
+    const send = jest.spyOn(streaming, "send");
+
+    update(streaming, "EH000001", 109, "3");
+    await wait(100);
+
+    expect(states).toHaveLength(0);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0]).toHaveLength(6);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for persisting access and refresh tokens across restarts
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../../easee-client/easee-configuration.js");
+const { mockFetchResponses, mockData } = require("../mocks/nodeRedMocks");
+
+helper.init(require.resolve("node-red"));
+
+describe("Easee Configuration - Token Persistence", function() {
+  const credentials = {
+    config1: { password: "testpass" }
+  };
+
+  const createFlow = (overrides = {}) => [
+    {
+      id: "config1",
+      type: "easee-configuration",
+      name: "Test Config",
+      username: "test@example.com",
+      tokenStorage: "context",
+      ...overrides
+    }
+  ];
+
+  const storedTokens = (overrides = {}) => ({
+    username: "test@example.com",
+    accessToken: "stored-access-token",
+    refreshToken: "stored-refresh-token",
+    tokenExpires: new Date(Date.now() + 3600000).toISOString(),
+    tokenIssuedAt: new Date().toISOString(),
+    tokenLifetime: 3600,
+    ...overrides
+  });
+
+  afterEach(function(done) {
+    helper.unload();
+    done();
+  });
+
+  it("should store tokens in context after a successful login", function(done) {
+    helper.load(configNode, createFlow(), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        mockFetchResponses.loginSuccess();
+
+        await config.doLogin();
+
+        const stored = config.context().get("easeeTokens");
+        expect(stored.accessToken).toBe(mockData.loginSuccess.accessToken);
+        expect(stored.refreshToken).toBe(mockData.loginSuccess.refreshToken);
+        expect(stored.username).toBe("test@example.com");
+        expect(stored.tokenLifetime).toBe(3600);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should restore stored tokens without logging in again", function(done) {
+    helper.load(configNode, createFlow(), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        config.context().set("easeeTokens", storedTokens());
+
+        expect(config.loadStoredTokens()).toBe(true);
+        expect(config.accessToken).toBe("stored-access-token");
+        expect(config.refreshToken).toBe("stored-refresh-token");
+
+        expect(await config.ensureAuthentication()).toBe(true);
+        expect(global.fetch).not.toHaveBeenCalled();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should ignore tokens stored for another username", function(done) {
+    helper.load(configNode, createFlow(), credentials, function() {
+      try {
+        const config = helper.getNode("config1");
+        config.context().set("easeeTokens", storedTokens({ username: "other@example.com" }));
+
+        expect(config.loadStoredTokens()).toBe(false);
+        expect(config.accessToken).toBe(false);
+        expect(config.context().get("easeeTokens")).toBeUndefined();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should wipe stored tokens when authentication state is reset", function(done) {
+    helper.load(configNode, createFlow(), credentials, function() {
+      try {
+        const config = helper.getNode("config1");
+        config.context().set("easeeTokens", storedTokens());
+        config.loadStoredTokens();
+
+        config.resetAuthenticationState();
+
+        expect(config.accessToken).toBe(false);
+        expect(config.context().get("easeeTokens")).toBeUndefined();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should not store anything when token storage is disabled", function(done) {
+    helper.load(configNode, createFlow({ tokenStorage: "none" }), credentials, async function() {
+      try {
+        const config = helper.getNode("config1");
+        mockFetchResponses.loginSuccess();
+
+        await config.doLogin();
+
+        expect(config.context().get("easeeTokens")).toBeUndefined();
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});